@@ -0,0 +1,327 @@
+/**
+ * Undo/redo history for the annotation ranges of `pb-view-annotate`.
+ *
+ * Instead of storing a full snapshot of all ranges for every step, the history
+ * records the difference between two consecutive states as a splice operation on
+ * the array of ranges: the index at which ranges changed, the ranges removed and
+ * the ranges added. Applying the operation in reverse order undoes the step.
+ *
+ * Named checkpoints point to a position in the undo stack and can be used to jump
+ * back (or forward again) to a certain state.
+ */
+
+const DB_NAME = 'pb-annotation-history';
+const STORE_NAME = 'history';
+
+function clone(ranges) {
+  return JSON.parse(JSON.stringify(ranges || []));
+}
+
+/**
+ * Compute the difference between two arrays of ranges.
+ *
+ * @param {Object[]} before the old ranges
+ * @param {Object[]} after the new ranges
+ * @returns {{index: number, removed: Object[], added: Object[]}|null} a splice operation or null if both are equal
+ */
+export function diffRanges(before, after) {
+  const oldJson = before.map(range => JSON.stringify(range));
+  const newJson = after.map(range => JSON.stringify(range));
+  let start = 0;
+  while (start < oldJson.length && start < newJson.length && oldJson[start] === newJson[start]) {
+    start += 1;
+  }
+  let oldEnd = oldJson.length;
+  let newEnd = newJson.length;
+  while (oldEnd > start && newEnd > start && oldJson[oldEnd - 1] === newJson[newEnd - 1]) {
+    oldEnd -= 1;
+    newEnd -= 1;
+  }
+  if (start === oldEnd && start === newEnd) {
+    return null;
+  }
+  return {
+    index: start,
+    removed: clone(before.slice(start, oldEnd)),
+    added: clone(after.slice(start, newEnd)),
+  };
+}
+
+/**
+ * Apply a splice operation computed by `diffRanges` to a copy of the given ranges.
+ *
+ * @param {Object[]} ranges the ranges to patch
+ * @param {Object} diff the operation to apply
+ * @param {boolean} reverse if true, undo the operation instead of applying it
+ * @returns {Object[]} the patched ranges
+ */
+export function applyDiff(ranges, diff, reverse = false) {
+  const result = clone(ranges);
+  if (reverse) {
+    result.splice(diff.index, diff.added.length, ...clone(diff.removed));
+  } else {
+    result.splice(diff.index, diff.removed.length, ...clone(diff.added));
+  }
+  return result;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function withStore(mode, callback) {
+  return openDatabase().then(
+    db =>
+      new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = callback(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      }),
+  );
+}
+
+export class AnnotationHistory {
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Reset the history, using the given ranges as the initial state.
+   *
+   * @param {Object[]} ranges the current ranges
+   */
+  clear(ranges = []) {
+    this._undo = [];
+    this._redo = [];
+    this._checkpoints = [];
+    this._state = clone(ranges);
+  }
+
+  get canUndo() {
+    return this._undo.length > 0;
+  }
+
+  get canRedo() {
+    return this._redo.length > 0;
+  }
+
+  /**
+   * The list of undoable steps, oldest first.
+   */
+  get entries() {
+    return this._undo;
+  }
+
+  get checkpoints() {
+    return this._checkpoints;
+  }
+
+  /**
+   * Full copies of the ranges before each undoable step, oldest first.
+   */
+  get snapshots() {
+    const snapshots = [];
+    this._undo.reduceRight((state, diff) => {
+      const before = applyDiff(state, diff, true);
+      snapshots.unshift(before);
+      return before;
+    }, this._state);
+    return snapshots;
+  }
+
+  /**
+   * The last state recorded in the history.
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Record the changes between the last recorded state and the given ranges
+   * as a new step. Clears the redo stack and any checkpoints pointing into it.
+   *
+   * @param {Object[]} ranges the current ranges
+   * @returns {boolean} true if there were changes to record
+   */
+  commit(ranges) {
+    const diff = diffRanges(this._state, ranges);
+    if (!diff) {
+      return false;
+    }
+    // checkpoints beyond the current position refer to undone steps, which are discarded
+    this._checkpoints = this._checkpoints.filter(cp => cp.position <= this._undo.length);
+    this._undo.push(diff);
+    this._redo = [];
+    this._state = clone(ranges);
+    return true;
+  }
+
+  /**
+   * Undo the last step. Uncommitted changes in the given ranges are recorded first,
+   * so they can be redone.
+   *
+   * @param {Object[]} ranges the current ranges
+   * @returns {Object[]|null} the ranges after undoing or null if there is nothing to undo
+   */
+  undo(ranges) {
+    this.commit(ranges);
+    const diff = this._undo.pop();
+    if (!diff) {
+      return null;
+    }
+    this._redo.push(diff);
+    this._state = applyDiff(this._state, diff, true);
+    return clone(this._state);
+  }
+
+  /**
+   * Redo the last undone step. If the given ranges contain uncommitted changes,
+   * those are recorded as a new step first, which discards the redo stack.
+   *
+   * @param {Object[]} ranges the current ranges
+   * @returns {Object[]|null} the ranges after redoing or null if there is nothing to redo
+   */
+  redo(ranges) {
+    this.commit(ranges);
+    const diff = this._redo.pop();
+    if (!diff) {
+      return null;
+    }
+    this._undo.push(diff);
+    this._state = applyDiff(this._state, diff);
+    return clone(this._state);
+  }
+
+  /**
+   * Create a named checkpoint for the given ranges. An existing checkpoint
+   * with the same name is replaced.
+   *
+   * @param {string} name name of the checkpoint
+   * @param {Object[]} ranges the current ranges
+   * @returns {Object} the checkpoint
+   */
+  addCheckpoint(name, ranges) {
+    this.commit(ranges);
+    const checkpoint = {
+      name,
+      position: this._undo.length,
+      timestamp: Date.now(),
+    };
+    this._checkpoints = this._checkpoints.filter(cp => cp.name !== name);
+    this._checkpoints.push(checkpoint);
+    return checkpoint;
+  }
+
+  /**
+   * Undo or redo steps until the state of the named checkpoint is reached.
+   *
+   * @param {string} name name of the checkpoint
+   * @param {Object[]} ranges the current ranges
+   * @returns {Object[]|null} the ranges at the checkpoint or null if no such checkpoint exists
+   */
+  restoreCheckpoint(name, ranges) {
+    const checkpoint = this._checkpoints.find(cp => cp.name === name);
+    if (!checkpoint) {
+      return null;
+    }
+    this.commit(ranges);
+    while (this._undo.length > checkpoint.position) {
+      this.undo(this._state);
+    }
+    while (this._undo.length < checkpoint.position && this.canRedo) {
+      this.redo(this._state);
+    }
+    return clone(this._state);
+  }
+
+  toJSON() {
+    return {
+      undo: this._undo,
+      redo: this._redo,
+      checkpoints: this._checkpoints,
+      state: this._state,
+    };
+  }
+
+  /**
+   * Restore the history from data previously returned by `toJSON`.
+   *
+   * @param {Object} data the serialized history
+   */
+  fromJSON(data) {
+    this._undo = data.undo || [];
+    this._redo = data.redo || [];
+    this._checkpoints = data.checkpoints || [];
+    this._state = data.state || [];
+  }
+
+  /**
+   * Rebuild the history from full copies of the ranges, oldest first, as returned
+   * by `snapshots`. The given current ranges are recorded as the last step.
+   *
+   * @param {Object[][]} snapshots the states before each step
+   * @param {Object[]} ranges the current ranges
+   */
+  fromSnapshots(snapshots, ranges) {
+    this.clear(snapshots.length > 0 ? snapshots[0] : ranges);
+    snapshots.slice(1).forEach(snapshot => this.commit(snapshot));
+    this.commit(ranges);
+  }
+
+  /**
+   * Persist the history in IndexedDB together with the current ranges,
+   * which may contain changes not yet committed to the history.
+   *
+   * @param {string} id key to store the history under, usually the document path
+   * @param {Object[]} ranges the current ranges
+   * @returns {Promise} resolves when the history has been written
+   */
+  save(id, ranges) {
+    const data = { ...this.toJSON(), ranges: clone(ranges || this._state) };
+    return withStore('readwrite', store => store.put(data, id));
+  }
+
+  /**
+   * Load a history previously stored with `save`.
+   *
+   * @param {string} id key the history was stored under
+   * @returns {Promise<Object[]|null>} resolves to the stored ranges or null if no history was found
+   */
+  load(id) {
+    return withStore('readonly', store => store.get(id)).then(data => {
+      if (!data) {
+        return null;
+      }
+      this.fromJSON(data);
+      return data.ranges || clone(this._state);
+    });
+  }
+
+  /**
+   * Remove a stored history from IndexedDB.
+   *
+   * @param {string} id key the history was stored under
+   * @returns {Promise} resolves when the history has been deleted
+   */
+  static remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+}
@@ -0,0 +1,307 @@
+/* eslint-disable max-classes-per-file */
+
+/**
+ * Synchronization of pending annotations between several users annotating the same document.
+ *
+ * The annotations are stored on the server together with a revision. Each client remembers
+ * the revision and the ranges its own changes are based on. When saving, the client sends
+ * its base revision. If another user saved in between, the server rejects the request and
+ * returns the current revision and ranges. The client then performs a three-way merge between
+ * the common base, its own ranges and the ones from the server. Changes made by only one side
+ * are merged automatically. If both sides changed the same annotation, or added annotations
+ * overlapping each other, the changes are reported as conflicts to be resolved by the user.
+ *
+ * Communication with the server is delegated to a transport, which can be replaced, e.g. by
+ * `LocalSyncTransport` for testing. TEI Publisher does not provide the server side of the protocol:
+ * applications using `HttpSyncTransport` need to implement the endpoints it expects.
+ */
+
+function clone(ranges) {
+  return JSON.parse(JSON.stringify(ranges || []));
+}
+
+/**
+ * Compute a key identifying an annotation range independently of its properties.
+ * Ranges copied while resolving a conflict carry an `id` to tell them apart from the original.
+ *
+ * @param {Object} range the annotation range
+ * @returns {String} the key
+ */
+export function rangeKey(range) {
+  const id = range.id ? `:${range.id}` : '';
+  if (range.type === 'delete' || range.type === 'modify') {
+    return `${range.type}:${range.node}${id}`;
+  }
+  return `${range.context}:${range.start}:${range.end}:${range.type}${id}`;
+}
+
+function overlaps(a, b) {
+  if (a.context !== b.context || a.type === 'delete' || a.type === 'modify') {
+    return false;
+  }
+  if (a.start === a.end || b.start === b.end) {
+    return a.start === b.start && a.end === b.end;
+  }
+  return a.start < b.end && b.start < a.end;
+}
+
+function toMap(ranges) {
+  const map = new Map();
+  ranges.forEach(range => map.set(rangeKey(range), JSON.stringify(range)));
+  return map;
+}
+
+/**
+ * Three-way merge of annotation ranges.
+ *
+ * @param {Object[]} base the ranges both sides started from
+ * @param {Object[]} local the ranges of the local user
+ * @param {Object[]} remote the ranges currently stored on the server
+ * @returns {{merged: Object[], conflicts: {local: Object, remote: Object}[]}} the merged ranges
+ * and a list of conflicts. In a conflict, either `local` or `remote` may be null if one side deleted
+ * an annotation the other side changed.
+ */
+export function mergeRanges(base, local, remote) {
+  const baseMap = toMap(base);
+  const localMap = toMap(local);
+  const remoteMap = toMap(remote);
+  const merged = [];
+  const conflicts = [];
+  const keys = new Set([...remoteMap.keys(), ...localMap.keys()]);
+  keys.forEach(key => {
+    const b = baseMap.get(key);
+    const l = localMap.get(key);
+    const r = remoteMap.get(key);
+    let result;
+    if (l === r || l === b) {
+      result = r;
+    } else if (r === b) {
+      result = l;
+    } else {
+      conflicts.push({
+        local: l ? JSON.parse(l) : null,
+        remote: r ? JSON.parse(r) : null,
+      });
+      return;
+    }
+    if (result) {
+      merged.push(JSON.parse(result));
+    }
+  });
+
+  // annotations added on both sides which overlap each other
+  const localAdded = merged.filter(range => {
+    const key = rangeKey(range);
+    return !baseMap.has(key) && !remoteMap.has(key);
+  });
+  const remoteAdded = merged.filter(range => {
+    const key = rangeKey(range);
+    return !baseMap.has(key) && !localMap.has(key);
+  });
+  const conflicting = new Set();
+  localAdded.forEach(l => {
+    remoteAdded
+      .filter(r => overlaps(l, r))
+      .forEach(r => {
+        conflicts.push({ local: l, remote: r });
+        conflicting.add(l);
+        conflicting.add(r);
+      });
+  });
+  return {
+    merged: merged.filter(range => !conflicting.has(range)),
+    conflicts,
+  };
+}
+
+/**
+ * Apply the user's decisions to a list of conflicts.
+ *
+ * @param {Object[]} merged the ranges merged without conflict
+ * @param {{local: Object, remote: Object}[]} conflicts list of conflicts
+ * @param {String[]} choices for each conflict either 'local', 'remote' or 'both'. If both versions
+ * of the same annotation are kept, the local one is assigned a new `id`, so it does not replace the
+ * remote one in later merges
+ * @returns {Object[]} the resulting ranges
+ */
+export function resolveConflicts(merged, conflicts, choices) {
+  const result = clone(merged);
+  const seen = new Set(result.map(range => JSON.stringify(range)));
+  const keys = new Set(result.map(rangeKey));
+  const add = range => {
+    if (!range || seen.has(JSON.stringify(range))) {
+      return;
+    }
+    let copy = range;
+    for (let count = 1; keys.has(rangeKey(copy)); count += 1) {
+      copy = { ...range, id: `${range.id || 'copy'}-${count}` };
+    }
+    seen.add(JSON.stringify(range));
+    keys.add(rangeKey(copy));
+    result.push(copy);
+  };
+  conflicts.forEach((conflict, idx) => {
+    const choice = choices[idx] || 'local';
+    if (choice === 'remote' || choice === 'both') {
+      add(conflict.remote);
+    }
+    if (choice === 'local' || choice === 'both') {
+      add(conflict.local);
+    }
+  });
+  return result;
+}
+
+/**
+ * Transport talking to the server via HTTP. TEI Publisher itself does not implement these endpoints,
+ * so this is the contract an application enabling `sync` needs to fulfil in its API, relative to the
+ * endpoint passed to the constructor. Applications storing annotations differently should pass
+ * their own transport implementing `load` and `save` like this class does:
+ *
+ * - `GET api/annotations/sync/{doc}` returns `{ revision, ranges }`
+ * - `PUT api/annotations/sync/{doc}` with `{ revision, ranges }` stores the ranges if `revision`
+ *   is the current revision and returns the new `{ revision }`. Otherwise responds with
+ *   status 409 and the current `{ revision, ranges }`.
+ */
+export class HttpSyncTransport {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+  }
+
+  _url(doc) {
+    return `${this.endpoint}/api/annotations/sync/${encodeURIComponent(doc)}`;
+  }
+
+  load(doc) {
+    return fetch(this._url(doc), { credentials: 'same-origin' }).then(response => {
+      if (response.status === 404) {
+        return { revision: null, ranges: [] };
+      }
+      if (!response.ok) {
+        throw new Error(`Loading annotations failed with status ${response.status}`);
+      }
+      return response.json();
+    });
+  }
+
+  save(doc, data) {
+    return fetch(this._url(doc), {
+      method: 'PUT',
+      credentials: 'same-origin',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+    }).then(response => {
+      if (response.status === 409) {
+        return response.json().then(json => ({ conflict: true, ...json }));
+      }
+      if (!response.ok) {
+        throw new Error(`Saving annotations failed with status ${response.status}`);
+      }
+      return response.json();
+    });
+  }
+}
+
+/**
+ * In-memory stand-in for the server, implementing the same protocol as `HttpSyncTransport`.
+ * Several `AnnotationSync` instances sharing one transport behave like different users
+ * working on the same server.
+ */
+export class LocalSyncTransport {
+  constructor() {
+    this._documents = new Map();
+  }
+
+  load(doc) {
+    const stored = this._documents.get(doc) || { revision: null, ranges: [] };
+    return Promise.resolve(clone(stored));
+  }
+
+  save(doc, { revision, ranges }) {
+    const stored = this._documents.get(doc) || { revision: null, ranges: [] };
+    if (stored.revision !== revision) {
+      return Promise.resolve({ conflict: true, ...clone(stored) });
+    }
+    const newRevision = (stored.revision || 0) + 1;
+    this._documents.set(doc, { revision: newRevision, ranges: clone(ranges) });
+    return Promise.resolve({ revision: newRevision });
+  }
+}
+
+export class AnnotationSync {
+  constructor(transport) {
+    this.transport = transport;
+    this._revision = null;
+    this._base = [];
+    this._pending = null;
+  }
+
+  /**
+   * The server revision the local annotations are based on.
+   */
+  get revision() {
+    return this._revision;
+  }
+
+  /**
+   * Load the annotations currently stored on the server and use them as base for local changes.
+   *
+   * @param {String} doc the document path
+   * @returns {Promise<Object[]>} the ranges stored on the server
+   */
+  load(doc) {
+    return this.transport.load(doc).then(({ revision, ranges }) => {
+      this._revision = revision;
+      this._base = clone(ranges);
+      return clone(ranges);
+    });
+  }
+
+  /**
+   * Save the local ranges. If the server has a newer revision, merge the changes.
+   * Merges without conflicts are saved immediately.
+   *
+   * @param {String} doc the document path
+   * @param {Object[]} ranges the local ranges
+   * @returns {Promise<Object>} resolves to `{ status: 'saved', revision, ranges }` if the ranges were saved
+   * without merge, `{ status: 'merged', revision, ranges }` if they were merged with remote changes or
+   * `{ status: 'conflict', conflicts, ranges }` if the user needs to resolve conflicts. In the last case,
+   * call `resolve` with the user's choices.
+   */
+  save(doc, ranges) {
+    return this.transport.save(doc, { revision: this._revision, ranges }).then(response => {
+      if (!response.conflict) {
+        this._revision = response.revision;
+        this._base = clone(ranges);
+        this._pending = null;
+        return { status: 'saved', revision: response.revision, ranges: clone(ranges) };
+      }
+      const { merged, conflicts } = mergeRanges(this._base, ranges, response.ranges);
+      this._revision = response.revision;
+      this._base = clone(response.ranges);
+      if (conflicts.length > 0) {
+        this._pending = { merged, conflicts };
+        return { status: 'conflict', conflicts, ranges: merged };
+      }
+      return this.save(doc, merged).then(result => ({ ...result, status: 'merged' }));
+    });
+  }
+
+  /**
+   * Resolve the conflicts reported by the last call to `save` and save the result.
+   *
+   * @param {String} doc the document path
+   * @param {String[]} choices for each conflict, either 'local', 'remote' or 'both'
+   * @returns {Promise<Object>} same as `save`
+   */
+  resolve(doc, choices) {
+    if (!this._pending) {
+      return Promise.reject(new Error('No conflicts to resolve'));
+    }
+    const ranges = resolveConflicts(this._pending.merged, this._pending.conflicts, choices);
+    this._pending = null;
+    return this.save(doc, ranges).then(result =>
+      result.status === 'saved' ? { ...result, status: 'merged' } : result,
+    );
+  }
+}
@@ -0,0 +1,218 @@
+/* eslint-disable no-param-reassign */
+/**
+ * Client-side cache for authority lookups shared by all connectors.
+ *
+ * Entries are kept in memory and persisted to IndexedDB, so they survive page reloads.
+ * Each entry expires after a configurable time to live. If the number of entries exceeds
+ * the size limit, the oldest ones are removed.
+ *
+ * Expired entries are not discarded immediately: if refreshing an expired entry fails,
+ * e.g. because the browser is offline or the external API rejects the request due to
+ * rate limits, the expired entry is returned instead.
+ */
+
+const DB_NAME = 'pb-authority-cache';
+const STORE_NAME = 'entries';
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      store.createIndex('stored', 'stored');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class AuthorityCache {
+  /**
+   * @param {Object} [options] cache options
+   * @param {number} [options.ttl] time to live of an entry in seconds
+   * @param {number} [options.maxEntries] maximum number of entries to keep
+   * @param {boolean} [options.persist] if false, do not use IndexedDB
+   */
+  constructor({ ttl = 86400, maxEntries = 2000, persist = true } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.persist = persist;
+    this._entries = new Map();
+    this._pending = new Map();
+  }
+
+  _withStore(mode, callback) {
+    if (!this.persist) {
+      return Promise.resolve(null);
+    }
+    return openDatabase()
+      .catch(error => {
+        console.warn('<authority-cache> IndexedDB not usable: %s', error);
+        this.persist = false;
+        return null;
+      })
+      .then(db => {
+        if (!db) {
+          return null;
+        }
+        return new Promise((resolve, reject) => {
+          const transaction = db.transaction(STORE_NAME, mode);
+          const request = callback(transaction.objectStore(STORE_NAME));
+          transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : null);
+          };
+          transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+          };
+        });
+      });
+  }
+
+  /**
+   * Look up an entry, regardless of whether it has expired.
+   *
+   * @param {string} key the cache key
+   * @returns {Promise<{key: string, value: any, stored: number}|null>} the entry or null
+   */
+  getEntry(key) {
+    const entry = this._entries.get(key);
+    if (entry) {
+      return Promise.resolve(entry);
+    }
+    return this._withStore('readonly', store => store.get(key)).then(stored => {
+      if (stored) {
+        this._entries.set(key, stored);
+      }
+      return stored || null;
+    });
+  }
+
+  /**
+   * Store a value in the cache.
+   *
+   * @param {string} key the cache key
+   * @param {any} value the value to cache. Must be serializable.
+   * @returns {Promise} resolves when the value has been persisted
+   */
+  set(key, value) {
+    const entry = { key, value, stored: Date.now() };
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    if (this._entries.size > this.maxEntries) {
+      Array.from(this._entries.keys())
+        .slice(0, this._entries.size - this.maxEntries)
+        .forEach(k => this._entries.delete(k));
+    }
+    return this._withStore('readwrite', store => store.put(entry)).then(() => this._prune());
+  }
+
+  _prune() {
+    return this._withStore('readwrite', store => {
+      const count = store.count();
+      count.onsuccess = () => {
+        let excess = count.result - this.maxEntries;
+        if (excess <= 0) {
+          return;
+        }
+        store.index('stored').openCursor().onsuccess = ev => {
+          const cursor = ev.target.result;
+          if (cursor && excess > 0) {
+            cursor.delete();
+            excess -= 1;
+            cursor.continue();
+          }
+        };
+      };
+      return null;
+    });
+  }
+
+  /**
+   * Return the cached value for key if it has not expired. Otherwise call
+   * `load` to retrieve it and store the result. If `load` fails, an expired
+   * value is returned if available. Concurrent calls for the same key share
+   * one call to `load`.
+   *
+   * @param {string} key the cache key
+   * @param {function(): Promise<any>} load function retrieving the value if it is not cached
+   * @returns {Promise<any>} the value
+   */
+  fetch(key, load) {
+    if (this._pending.has(key)) {
+      return this._pending.get(key).then(clone);
+    }
+    const promise = this.getEntry(key)
+      .catch(error => {
+        console.warn('<authority-cache> Reading entry %s failed: %s', key, error);
+        return null;
+      })
+      .then(entry => {
+        if (entry && Date.now() - entry.stored < this.ttl * 1000) {
+          return entry.value;
+        }
+        return load().then(
+          value => {
+            this.set(key, value).catch(error =>
+              console.warn('<authority-cache> Storing entry %s failed: %s', key, error),
+            );
+            return value;
+          },
+          error => {
+            if (entry) {
+              console.warn('<authority-cache> Using expired entry for %s: %s', key, error);
+              return entry.value;
+            }
+            throw error;
+          },
+        );
+      })
+      .finally(() => this._pending.delete(key));
+    this._pending.set(key, promise);
+    // callers may modify the value, e.g. by sorting results
+    return promise.then(clone);
+  }
+
+  /**
+   * Remove all entries from the cache.
+   *
+   * @returns {Promise} resolves when the persisted entries have been removed
+   */
+  clear() {
+    this._entries.clear();
+    return this._withStore('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * The cache shared by all connectors unless another cache is passed to `createConnectors`.
+ */
+export const authorityCache = new AuthorityCache();
+
+/**
+ * Add caching to the `query` and `getRecord` methods of a connector.
+ * Results are cached by connector and query. `info` is not cached as it renders
+ * into the container passed, which may attach listeners a copy of the HTML would lose.
+ *
+ * @param {import('./registry.js').Registry} connector the connector
+ * @param {AuthorityCache} [cache] the cache to use
+ * @returns {import('./registry.js').Registry} the connector
+ */
+export function cacheConnector(connector, cache = authorityCache) {
+  const key = (method, arg) => `${connector.cacheKey}:${method}:${arg}`;
+  const query = connector.query.bind(connector);
+  const getRecord = connector.getRecord.bind(connector);
+
+  connector.query = q => cache.fetch(key('query', q), () => query(q));
+  connector.getRecord = id => cache.fetch(key('record', id), () => getRecord(id));
+  return connector;
+}
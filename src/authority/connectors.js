@@ -5,41 +5,92 @@ import { GND } from './gnd.js';
 import { KBGA } from './kbga.js';
 import { Anton } from './anton.js';
 import { ReconciliationService } from './reconciliation.js';
+import { Wikidata } from './wikidata.js';
+import { Registry } from './registry.js';
+import { authorityCache, cacheConnector } from './cache.js';
+// eslint-disable-next-line import/no-cycle
 import { Custom } from './custom.js';
 
-export function createConnectors(endpoint, root) {
+/**
+ * Maps the name used in the `connector` attribute of `pb-authority`
+ * to a factory function creating the connector.
+ */
+const factories = new Map();
+
+/**
+ * Register a connector class under the given name, so it can be used
+ * in the `connector` attribute of `pb-authority`. The class should extend
+ * `Registry` and will be instantiated with the `pb-authority` element
+ * as first and the server endpoint as second argument.
+ *
+ * Registering a name a second time replaces the previous connector.
+ *
+ * @param {String} name name of the connector
+ * @param {typeof Registry} ConnectorClass the connector class
+ */
+export function registerConnector(name, ConnectorClass) {
+  if (typeof ConnectorClass !== 'function') {
+    throw new Error(`Connector ${name} must be a class extending Registry`);
+  }
+  factories.set(name, (configElem, endpoint) => new ConnectorClass(configElem, endpoint));
+}
+
+/**
+ * @returns {String[]} the names of all registered connectors
+ */
+export function registeredConnectors() {
+  return Array.from(factories.keys());
+}
+
+// built-in connectors: wrapped in functions as `Custom` is not yet initialized
+// if this module is loaded via `custom.js`
+factories.set('Metagrid', configElem => new Metagrid(configElem));
+factories.set('GND', configElem => new GND(configElem));
+factories.set('GeoNames', configElem => new GeoNames(configElem));
+factories.set('Airtable', configElem => new Airtable(configElem));
+factories.set('KBGA', configElem => new KBGA(configElem));
+factories.set('Anton', configElem => new Anton(configElem));
+factories.set('GF', configElem => new Anton(configElem));
+factories.set('ReconciliationService', configElem => new ReconciliationService(configElem));
+factories.set('Wikidata', configElem => new Wikidata(configElem));
+factories.set('Custom', (configElem, endpoint, cache) => new Custom(endpoint, configElem, cache));
+
+/**
+ * Create a connector for each `pb-authority` child of root. If the `connector`
+ * attribute is missing, `Metagrid` is used.
+ *
+ * Results of all connectors except the local register (`Custom`) are cached
+ * unless the `pb-authority` element has a `no-cache` attribute.
+ *
+ * @param {String} endpoint the server endpoint
+ * @param {HTMLElement} root the element containing the `pb-authority` configuration
+ * @param {import('./cache.js').AuthorityCache} [cache] the cache to use, defaults to the one shared by all connectors
+ * @returns {Registry[]} the connectors
+ * @throws {Error} if a `pb-authority` element references an unknown connector
+ */
+export function createConnectors(endpoint, root, cache = authorityCache) {
   const authorities = [];
   root.querySelectorAll(':scope > pb-authority').forEach(configElem => {
-    const connector = configElem.getAttribute('connector');
-    let instance;
-    switch (connector) {
-      case 'GND':
-        instance = new GND(configElem);
-        break;
-      case 'GeoNames':
-        instance = new GeoNames(configElem);
-        break;
-      case 'Airtable':
-        instance = new Airtable(configElem);
-        break;
-      case 'KBGA':
-        instance = new KBGA(configElem);
-        break;
-      case 'Anton':
-      case 'GF':
-        instance = new Anton(configElem);
-        break;
-      case 'ReconciliationService':
-        instance = new ReconciliationService(configElem);
-        break;
-      case 'Custom':
-        instance = new Custom(endpoint, configElem);
-        break;
-      default:
-        instance = new Metagrid(configElem);
-        break;
+    const connector = configElem.getAttribute('connector') || 'Metagrid';
+    const factory = factories.get(connector);
+    if (!factory) {
+      throw new Error(
+        `Unknown authority connector: ${connector}. Registered connectors: ${registeredConnectors().join(
+          ', ',
+        )}`,
+      );
+    }
+    const instance = factory(configElem, endpoint, cache);
+    // the local register may change at any time, so never cache it
+    if (connector === 'Custom' || configElem.hasAttribute('no-cache')) {
+      authorities.push(instance);
+    } else {
+      authorities.push(cacheConnector(instance, cache));
     }
-    authorities.push(instance);
   });
   return authorities;
 }
+
+if (!window.pbAuthority) {
+  window.pbAuthority = { Registry, registerConnector };
+}
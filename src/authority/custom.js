@@ -3,11 +3,11 @@ import { Registry } from './registry.js';
 import { createConnectors } from './connectors.js';
 
 export class Custom extends Registry {
-  constructor(endpoint, configElem) {
+  constructor(endpoint, configElem, cache) {
     super(configElem);
     this._editable = configElem.hasAttribute('edit');
     this._endpoint = endpoint;
-    this._connectors = createConnectors(endpoint, configElem);
+    this._connectors = createConnectors(endpoint, configElem, cache);
     this._connectors.forEach(connector => {
       connector.name = this.name;
     });
@@ -38,6 +38,7 @@ export class Custom extends Registry {
               label: item.label,
               link: item.link,
               details: item.details,
+              sameAs: item.sameAs,
               provider: 'local',
             });
             localResults.add(item.id);
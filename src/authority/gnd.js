@@ -63,6 +63,7 @@ export class GND extends Registry {
               link: item.id,
               details: _details(item),
               strings: [item.preferredName].concat(item.variantName),
+              sameAs: item.sameAs ? item.sameAs.map(link => link.id) : [],
               provider: 'GND',
             };
             results.push(result);
@@ -0,0 +1,121 @@
+/**
+ * Merge the results of several connectors queried in parallel.
+ *
+ * Results describing the same entity are collapsed into one. Two results are considered
+ * to describe the same entity if they share an identifier: their `link` or one of the URIs
+ * listed in `sameAs` (e.g. owl:sameAs links in GND records or the GND id of a Wikidata entity).
+ * The merged result keeps the id and label of the result from the first connector, but
+ * lists all results it was merged from in `sources`.
+ */
+
+/**
+ * Normalize an identifier URI so different spellings of the same URI compare equal.
+ *
+ * @param {String} uri the URI
+ * @returns {String} the normalized identifier
+ */
+export function normalizeIdentifier(uri) {
+  return String(uri)
+    .trim()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/(about|html|json)?$/, '')
+    .toLowerCase();
+}
+
+function identifiers(item) {
+  const ids = [];
+  if (item.link) {
+    ids.push(normalizeIdentifier(item.link));
+  }
+  (item.sameAs || []).forEach(uri => ids.push(normalizeIdentifier(uri)));
+  return ids;
+}
+
+function matchScore(label, query) {
+  if (!query || !label) {
+    return 0;
+  }
+  const l = label.replace(/<[^>]+>/g, '').toLowerCase();
+  const q = query.toLowerCase();
+  if (l === q) {
+    return 3;
+  }
+  if (l.startsWith(q)) {
+    return 2;
+  }
+  return l.indexOf(q) > -1 ? 1 : 0;
+}
+
+/**
+ * Merge and rank result lists returned by several connectors.
+ *
+ * Results are ranked by how well their label matches the query, the number of
+ * connectors which returned them and their position in the original result lists.
+ *
+ * @param {Object[][]} resultLists for each connector, the list of items it returned
+ * @param {String} query the query string
+ * @returns {Object[]} the merged items, each having a property `sources` listing
+ * `provider`, `id` and `link` of the items it was merged from
+ */
+export function mergeResults(resultLists, query) {
+  const groups = [];
+  const byIdentifier = new Map();
+  const listIndex = new Map();
+  resultLists.forEach((items, list) => {
+    items.forEach((item, rank) => {
+      listIndex.set(item, list);
+      const ids = identifiers(item);
+      const found = Array.from(new Set(ids.map(id => byIdentifier.get(id)).filter(g => g)));
+      found.sort((g1, g2) => groups.indexOf(g1) - groups.indexOf(g2));
+      let [group] = found;
+      if (!group) {
+        group = { items: [], rank };
+        groups.push(group);
+      }
+      // the item may link several groups found so far: join them into the first one
+      found.slice(1).forEach(other => {
+        group.items.push(...other.items);
+        group.rank = Math.min(group.rank, other.rank);
+        groups.splice(groups.indexOf(other), 1);
+        byIdentifier.forEach((value, key) => {
+          if (value === other) {
+            byIdentifier.set(key, group);
+          }
+        });
+      });
+      group.rank = Math.min(group.rank, rank);
+      group.items.push(item);
+      ids.forEach(id => byIdentifier.set(id, group));
+    });
+  });
+
+  const merged = groups.map((group, idx) => {
+    group.items.sort((i1, i2) => listIndex.get(i1) - listIndex.get(i2));
+    const [primary] = group.items;
+    const strings = new Set();
+    const sameAs = new Set();
+    group.items.forEach(item => {
+      (item.strings || [item.label]).filter(str => str).forEach(str => strings.add(str));
+      [item.link, ...(item.sameAs || [])].filter(uri => uri).forEach(uri => sameAs.add(uri));
+    });
+    const score = matchScore(primary.label, query) * 10 + (group.items.length - 1) * 5 - group.rank;
+    return {
+      item: {
+        ...primary,
+        details: primary.details || group.items.map(item => item.details).find(d => d),
+        strings: Array.from(strings),
+        sameAs: Array.from(sameAs),
+        sources: group.items.map(item => ({
+          provider: item.provider,
+          id: item.id,
+          link: item.link,
+        })),
+      },
+      score,
+      idx,
+    };
+  });
+  merged.sort((m1, m2) => m2.score - m1.score || m1.idx - m2.idx);
+  return merged.map(m => m.item);
+}
@@ -6,6 +6,8 @@
 export class Registry {
   constructor(configElem) {
     this._prefix = configElem.getAttribute('prefix');
+    // the name the connector is registered under, which does not change if the code is minified
+    this._connector = configElem.getAttribute('connector') || 'Metagrid';
     this._config = {
       name: configElem.getAttribute('name'),
       properties: {},
@@ -30,10 +32,29 @@ export class Registry {
     this._register = name;
   }
 
+  /**
+   * The prefix prepended to the ids of all entries returned by this connector, if any.
+   *
+   * @returns {String|null} the prefix
+   */
+  get prefix() {
+    return this._prefix;
+  }
+
   get editable() {
     return false;
   }
 
+  /**
+   * Key identifying the connector in the authority cache. Should
+   * include all configuration affecting the results.
+   *
+   * @returns {String} the key
+   */
+  get cacheKey() {
+    return `${this._connector}:${this._register}:${this._prefix || ''}`;
+  }
+
   /**
    * Query the authority and return a RegistryResult.
    *
@@ -0,0 +1,234 @@
+import { Registry } from './registry.js';
+
+/**
+ * Wikidata classes used to restrict the results for the common registers.
+ * Instances of subclasses are included.
+ */
+const TYPES = {
+  person: ['Q5'],
+  place: ['Q2221906'],
+  organization: ['Q43229'],
+};
+
+function literal(str) {
+  return `"${str.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+function value(binding, name) {
+  return binding[name] ? binding[name].value : undefined;
+}
+
+function entityId(uri) {
+  return uri.substring(uri.lastIndexOf('/') + 1);
+}
+
+function year(date) {
+  if (!date) {
+    return '';
+  }
+  const match = /^(-?\d+)-/.exec(date);
+  return match ? match[1].replace(/^(-?)0+(?=\d)/, '$1') : date;
+}
+
+/**
+ * Queries Wikidata via its SPARQL endpoint.
+ *
+ * Configuration attributes of `pb-authority`:
+ *
+ * - `endpoint`: URL of the SPARQL endpoint, defaults to https://query.wikidata.org/sparql
+ * - `lang`: comma-separated list of preferred languages for labels and descriptions.
+ *   Defaults to the language of the page. English is always used as fallback.
+ * - `types`: comma-separated list of Wikidata classes (e.g. `Q5`) the results must be
+ *   instances of. For the registers `person`, `place` and `organization`, suitable
+ *   defaults are used. Set to an empty string to disable the constraint.
+ * - `limit`: maximum number of results, defaults to 50
+ */
+export class Wikidata extends Registry {
+  constructor(configElem) {
+    super(configElem);
+    this._endpoint = configElem.getAttribute('endpoint') || 'https://query.wikidata.org/sparql';
+    this._limit = configElem.getAttribute('limit') || 50;
+    const lang = configElem.getAttribute('lang') || document.documentElement.lang || 'en';
+    this._languages = lang.split(/\s*,\s*/).map(l => l.split('-')[0]);
+    if (this._languages.indexOf('en') < 0) {
+      this._languages.push('en');
+    }
+    if (configElem.hasAttribute('types')) {
+      this._types = configElem
+        .getAttribute('types')
+        .split(/\s*,\s*/)
+        .filter(type => /^Q\d+$/.test(type));
+    } else {
+      this._types = TYPES[this._register] || [];
+    }
+  }
+
+  get cacheKey() {
+    return `${super.cacheKey}:${this._languages.join(',')}:${this._types.join(',')}`;
+  }
+
+  _sparql(query) {
+    return fetch(`${this._endpoint}?format=json&query=${encodeURIComponent(query)}`, {
+      headers: {
+        Accept: 'application/sparql-results+json',
+      },
+    }).then(response => {
+      if (response.ok) {
+        return response.json();
+      }
+      return Promise.reject(new Error(`SPARQL query failed with status ${response.status}`));
+    });
+  }
+
+  _id(qid) {
+    return this._prefix ? `${this._prefix}-${qid}` : qid;
+  }
+
+  query(key) {
+    const typeFilter =
+      this._types.length > 0
+        ? `VALUES ?type { ${this._types.map(type => `wd:${type}`).join(' ')} }
+          ?item wdt:P31/wdt:P279* ?type .`
+        : '';
+    const sparql = `
+      SELECT DISTINCT ?item ?itemLabel ?itemDescription ?num ?gnd ?geonames WHERE {
+        SERVICE wikibase:mwapi {
+          bd:serviceParam wikibase:endpoint "www.wikidata.org";
+            wikibase:api "EntitySearch";
+            mwapi:search ${literal(key)};
+            mwapi:language ${literal(this._languages[0])};
+            wikibase:limit ${parseInt(this._limit, 10) * 2} .
+          ?item wikibase:apiOutputItem mwapi:item .
+          ?num wikibase:apiOrdinal true .
+        }
+        ${typeFilter}
+        OPTIONAL { ?item wdt:P227 ?gnd . }
+        OPTIONAL { ?item wdt:P1566 ?geonames . }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${literal(
+          this._languages.join(','),
+        )} . }
+      }
+      ORDER BY ?num
+      LIMIT ${parseInt(this._limit, 10)}`;
+    return this._sparql(sparql).then(json => {
+      // one row per combination of GND and GeoNames ids: collect them into sameAs
+      const items = new Map();
+      json.results.bindings.forEach(binding => {
+        const uri = value(binding, 'item');
+        let item = items.get(uri);
+        if (!item) {
+          const qid = entityId(uri);
+          const label = value(binding, 'itemLabel') || qid;
+          item = {
+            register: this._register,
+            id: this._id(qid),
+            label,
+            link: uri,
+            details: value(binding, 'itemDescription') || '',
+            strings: [label],
+            sameAs: [],
+            provider: 'Wikidata',
+          };
+          items.set(uri, item);
+        }
+        const gnd = value(binding, 'gnd');
+        const geonames = value(binding, 'geonames');
+        [
+          gnd ? `https://d-nb.info/gnd/${gnd}` : null,
+          geonames ? `https://www.geonames.org/${geonames}` : null,
+        ].forEach(sameAs => {
+          if (sameAs && item.sameAs.indexOf(sameAs) < 0) {
+            item.sameAs.push(sameAs);
+          }
+        });
+      });
+      return {
+        totalItems: items.size,
+        items: Array.from(items.values()),
+      };
+    });
+  }
+
+  /**
+   * Retrieve a record for the given key, including label, description,
+   * alternative names, dates of birth and death, coordinates and country.
+   *
+   * @param {string} key the key to look up
+   * @returns {Promise<any>} promise resolving to the record
+   */
+  async getRecord(key) {
+    const qid = this._prefix ? key.substring(this._prefix.length + 1) : key;
+    if (!/^Q\d+$/.test(qid)) {
+      return Promise.reject(new Error(`Invalid Wikidata id: ${key}`));
+    }
+    const sparql = `
+      SELECT ?itemLabel ?itemDescription ?itemAltLabel ?birth ?death ?coordinates ?countryLabel ?typeLabel WHERE {
+        BIND(wd:${qid} AS ?item)
+        OPTIONAL { ?item wdt:P31 ?type . }
+        OPTIONAL { ?item wdt:P569 ?birth . }
+        OPTIONAL { ?item wdt:P570 ?death . }
+        OPTIONAL { ?item wdt:P625 ?coordinates . }
+        OPTIONAL { ?item wdt:P17 ?country . }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language ${literal(
+          this._languages.join(','),
+        )} . }
+      }`;
+    return this._sparql(sparql).then(json => {
+      const { bindings } = json.results;
+      if (bindings.length === 0) {
+        return Promise.reject(new Error(`Wikidata entity ${qid} not found`));
+      }
+      const first = bindings[0];
+      const output = {
+        id: qid,
+        name: value(first, 'itemLabel') || qid,
+        link: `http://www.wikidata.org/entity/${qid}`,
+        description: value(first, 'itemDescription'),
+        alternatives: value(first, 'itemAltLabel')
+          ? value(first, 'itemAltLabel').split(/\s*,\s*/)
+          : [],
+        type: [],
+      };
+      bindings.forEach(binding => {
+        ['birth', 'death', 'country'].forEach(name => {
+          const val = value(binding, name === 'country' ? 'countryLabel' : name);
+          if (val && !output[name]) {
+            output[name] = val;
+          }
+        });
+        const coords = /Point\(([-\d.]+) ([-\d.]+)\)/.exec(value(binding, 'coordinates') || '');
+        if (coords && !output.coordinates) {
+          output.coordinates = { longitude: Number(coords[1]), latitude: Number(coords[2]) };
+        }
+        const type = value(binding, 'typeLabel');
+        if (type && output.type.indexOf(type) < 0) {
+          output.type.push(type);
+        }
+      });
+      return output;
+    });
+  }
+
+  info(key, container) {
+    if (!key) {
+      return Promise.resolve({});
+    }
+    return this.getRecord(key).then(json => {
+      const dates = json.birth || json.death ? `${year(json.birth)} - ${year(json.death)}` : '';
+      const details = [dates, json.country, json.type.join(', ')].filter(detail => detail);
+      const template = document.createElement('template');
+      template.innerHTML = `
+        <h3 class="label">
+          <a href="${json.link}" target="_blank">${json.name}</a>
+        </h3>
+        ${json.description ? `<p>${json.description}</p>` : ''}
+        ${details.length > 0 ? `<p>${details.join('; ')}</p>` : ''}
+      `;
+      container.replaceChildren(template.content);
+      return {
+        id: this._id(json.id),
+        strings: [json.name].concat(json.alternatives),
+      };
+    });
+  }
+}
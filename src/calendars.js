@@ -0,0 +1,335 @@
+/**
+ * Converters between calendars, used by `ParseDateService` and `SearchResultService`
+ * to accept and display dates in calendars other than the Gregorian one.
+ *
+ * Dates are converted via their Julian Day Number (JDN). Each calendar is an object with the
+ * following properties:
+ *
+ * - `toJDN(year, month, day)`: convert a date in the calendar to the JDN
+ * - `fromJDN(jdn)`: convert a JDN into an object `{ year, month, day }` in the calendar
+ * - `monthNames(year)`: names of the months of the given year, in the order of the calendar year.
+ *   Months are numbered starting with 1 in this order. Optional for calendars using the Gregorian months.
+ * - `markers`: optional regular expression matching text identifying dates in this calendar,
+ *   e.g. "AH" for Hijri dates. Text matched by the first capturing group, if any, is part of the date
+ *   and kept when the marker is removed
+ *
+ * Further calendars can be added with `registerCalendar`.
+ */
+
+const calendars = new Map();
+
+function div(a, b) {
+  return Math.floor(a / b);
+}
+
+function pad(num, length = 2) {
+  return String(num).padStart(length, '0');
+}
+
+const gregorian = {
+  toJDN(year, month, day) {
+    const a = div(14 - month, 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + div(153 * m + 2, 5) + 365 * y + div(y, 4) - div(y, 100) + div(y, 400) - 32045;
+  },
+  fromJDN(jdn) {
+    const a = jdn + 32044;
+    const b = div(4 * a + 3, 146097);
+    const c = a - div(146097 * b, 4);
+    const d = div(4 * c + 3, 1461);
+    const e = c - div(1461 * d, 4);
+    const m = div(5 * e + 2, 153);
+    return {
+      year: 100 * b + d - 4800 + div(m, 10),
+      month: m + 3 - 12 * div(m, 10),
+      day: e - div(153 * m + 2, 5) + 1,
+    };
+  },
+};
+
+const julian = {
+  toJDN(year, month, day) {
+    const a = div(14 - month, 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + div(153 * m + 2, 5) + 365 * y + div(y, 4) - 32083;
+  },
+  fromJDN(jdn) {
+    const c = jdn + 32082;
+    const d = div(4 * c + 3, 1461);
+    const e = c - div(1461 * d, 4);
+    const m = div(5 * e + 2, 153);
+    return {
+      year: d - 4800 + div(m, 10),
+      month: m + 3 - 12 * div(m, 10),
+      day: e - div(153 * m + 2, 5) + 1,
+    };
+  },
+  markers: /(?:^|\s)(?:O\.\s?S\.|a\.\s?St\.|julian)(?=\s|$)/i,
+};
+
+/*
+ * Tabular (arithmetical) Islamic calendar with the civil epoch of 16 July 622 (Julian).
+ * Actual dates may differ by a day or two as they depend on the observation of the moon.
+ */
+const ISLAMIC_EPOCH = 1948440;
+
+const islamic = {
+  toJDN(year, month, day) {
+    return (
+      day +
+      Math.ceil(29.5 * (month - 1)) +
+      (year - 1) * 354 +
+      div(3 + 11 * year, 30) +
+      ISLAMIC_EPOCH -
+      1
+    );
+  },
+  fromJDN(jdn) {
+    const year = div(30 * (jdn - ISLAMIC_EPOCH) + 10646, 10631);
+    const month = Math.min(12, Math.ceil((jdn - 29 - islamic.toJDN(year, 1, 1)) / 29.5) + 1);
+    return { year, month, day: jdn - islamic.toJDN(year, month, 1) + 1 };
+  },
+  monthNames() {
+    return [
+      'Muharram',
+      'Safar',
+      'Rabi I',
+      'Rabi II',
+      'Jumada I',
+      'Jumada II',
+      'Rajab',
+      'Shaban',
+      'Ramadan',
+      'Shawwal',
+      'Dhu al-Qada',
+      'Dhu al-Hijja',
+    ];
+  },
+  markers: /(?:^|\s)(?:AH|hijri)(?=\s|$)/i,
+};
+
+/*
+ * Hebrew calendar. Months are numbered in the order of the civil year, starting
+ * with Tishri. In leap years, Adar I and Adar II are the 6th and 7th month.
+ */
+const HEBREW_EPOCH = 347998;
+
+function hebrewLeap(year) {
+  return (7 * year + 1) % 19 < 7;
+}
+
+function hebrewMonths(year) {
+  return hebrewLeap(year) ? 13 : 12;
+}
+
+function hebrewElapsedDays(year) {
+  const months = div(235 * year - 234, 19);
+  const parts = 12084 + 13753 * months;
+  const day = months * 29 + div(parts, 25920);
+  return (3 * (day + 1)) % 7 < 3 ? day + 1 : day;
+}
+
+function hebrewNewYear(year) {
+  const last = hebrewElapsedDays(year - 1);
+  const present = hebrewElapsedDays(year);
+  const next = hebrewElapsedDays(year + 1);
+  let delay = 0;
+  if (next - present === 356) {
+    delay = 2;
+  } else if (present - last === 382) {
+    delay = 1;
+  }
+  return HEBREW_EPOCH + present + delay;
+}
+
+function hebrewMonthDays(year, month) {
+  const yearDays = hebrewNewYear(year + 1) - hebrewNewYear(year);
+  const leap = hebrewLeap(year);
+  // months with 29 days
+  if (
+    (month === 2 && yearDays % 10 !== 5) || // Heshvan, unless the year is complete
+    (month === 3 && yearDays % 10 === 3) || // Kislev, if the year is deficient
+    month === 4 || // Tevet
+    (month === 6 && !leap) || // Adar
+    (month === 7 && leap) || // Adar II
+    month === (leap ? 9 : 8) || // Iyar
+    month === (leap ? 11 : 10) || // Tammuz
+    month === (leap ? 13 : 12) // Elul
+  ) {
+    return 29;
+  }
+  return 30;
+}
+
+const hebrew = {
+  toJDN(year, month, day) {
+    let jdn = hebrewNewYear(year) + day - 1;
+    for (let m = 1; m < month; m += 1) {
+      jdn += hebrewMonthDays(year, m);
+    }
+    return jdn;
+  },
+  fromJDN(jdn) {
+    let year = div(jdn - HEBREW_EPOCH, 366);
+    while (hebrewNewYear(year + 1) <= jdn) {
+      year += 1;
+    }
+    let month = 1;
+    let start = hebrewNewYear(year);
+    while (start + hebrewMonthDays(year, month) <= jdn) {
+      start += hebrewMonthDays(year, month);
+      month += 1;
+    }
+    return { year, month, day: jdn - start + 1 };
+  },
+  monthNames(year) {
+    const adar = year && hebrewMonths(year) === 13 ? ['Adar I', 'Adar II'] : ['Adar'];
+    return [
+      'Tishri',
+      'Heshvan',
+      'Kislev',
+      'Tevet',
+      'Shevat',
+      ...adar,
+      'Nisan',
+      'Iyar',
+      'Sivan',
+      'Tammuz',
+      'Av',
+      'Elul',
+    ];
+  },
+  // "AM" only if it follows the year at the end of the date, so times like "10 AM 1850" are not matched
+  markers: /(\d{3,})\s+AM\s*$|(?:^|\s)hebrew(?=\s|$)/i,
+};
+
+/**
+ * Register a calendar converter under the given name.
+ *
+ * @param {String} name name of the calendar
+ * @param {Object} calendar the calendar, see above
+ */
+export function registerCalendar(name, calendar) {
+  if (typeof calendar.toJDN !== 'function' || typeof calendar.fromJDN !== 'function') {
+    throw new Error(`Calendar ${name} must implement toJDN and fromJDN`);
+  }
+  calendars.set(name, calendar);
+}
+
+/**
+ * Get the calendar registered under the given name.
+ *
+ * @param {String} name name of the calendar
+ * @returns {Object} the calendar
+ */
+export function getCalendar(name = 'gregorian') {
+  const calendar = calendars.get(name);
+  if (!calendar) {
+    throw new Error(
+      `Unknown calendar: ${name}. Registered calendars: ${Array.from(calendars.keys()).join(', ')}`,
+    );
+  }
+  return calendar;
+}
+
+/**
+ * Find the calendar identified by a marker contained in the given text, e.g. "AH" for Hijri dates.
+ *
+ * @param {String} text the text to check
+ * @returns {{name: String, match: Array}|null} name of the calendar and the matching marker or null
+ */
+export function findCalendarMarker(text) {
+  for (const [name, calendar] of calendars) {
+    const match = calendar.markers ? text.match(calendar.markers) : null;
+    if (match) {
+      return { name, match };
+    }
+  }
+  return null;
+}
+
+/**
+ * Number of months in a year of the given calendar.
+ *
+ * @param {String} name name of the calendar
+ * @param {number} year the year
+ * @returns {number} number of months
+ */
+export function monthsInYear(name, year) {
+  const calendar = getCalendar(name);
+  return calendar.monthNames ? calendar.monthNames(year).length : 12;
+}
+
+function clampDay(name, year, month, day) {
+  const calendar = getCalendar(name);
+  const next =
+    month < monthsInYear(name, year)
+      ? calendar.toJDN(year, month + 1, 1)
+      : calendar.toJDN(year + 1, 1, 1);
+  return { year, month, day: Math.min(day, next - calendar.toJDN(year, month, 1)) };
+}
+
+/**
+ * Add months to a date in the given calendar. If the day does not exist
+ * in the resulting month, the last day of the month is returned.
+ *
+ * @param {String} name name of the calendar
+ * @param {{year: number, month: number, day: number}} date the date
+ * @param {number} months number of months to add
+ * @returns {{year: number, month: number, day: number}} the new date
+ */
+export function addMonths(name, { year, month, day }, months) {
+  let y = year;
+  let m = month + months;
+  while (m > monthsInYear(name, y)) {
+    m -= monthsInYear(name, y);
+    y += 1;
+  }
+  return clampDay(name, y, m, day);
+}
+
+/**
+ * Add years to a date in the given calendar.
+ *
+ * @param {String} name name of the calendar
+ * @param {{year: number, month: number, day: number}} date the date
+ * @param {number} years number of years to add
+ * @returns {{year: number, month: number, day: number}} the new date
+ */
+export function addYears(name, { year, month, day }, years) {
+  const y = year + years;
+  return clampDay(name, y, Math.min(month, monthsInYear(name, y)), day);
+}
+
+/**
+ * Convert a date in the given calendar to an ISO date string (proleptic Gregorian calendar).
+ *
+ * @param {String} name name of the calendar
+ * @param {number} year the year
+ * @param {number} month the month, starting with 1
+ * @param {number} day the day
+ * @returns {String} the date formatted as YYYY-MM-DD
+ */
+export function toISO(name, year, month, day) {
+  const date = gregorian.fromJDN(getCalendar(name).toJDN(year, month, day));
+  return `${pad(date.year, 4)}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+/**
+ * Convert an ISO date string (proleptic Gregorian calendar) to a date in the given calendar.
+ *
+ * @param {String} name name of the calendar
+ * @param {String} dateStr date formatted as YYYY-MM-DD
+ * @returns {{year: number, month: number, day: number}} the date in the calendar
+ */
+export function fromISO(name, dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return getCalendar(name).fromJDN(gregorian.toJDN(year, month, day));
+}
+
+registerCalendar('gregorian', gregorian);
+registerCalendar('julian', julian);
+registerCalendar('islamic', islamic);
+registerCalendar('hebrew', hebrew);
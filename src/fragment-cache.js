@@ -0,0 +1,58 @@
+/**
+ * In-memory cache for the fragments loaded by `pb-view`, limited to a maximum number
+ * of entries. If the limit is reached, the least recently used entry is removed.
+ */
+export class FragmentCache {
+  /**
+   * @param {number} maxSize maximum number of fragments to keep
+   */
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this._entries = new Map();
+  }
+
+  /**
+   * Get a fragment and mark it as recently used.
+   *
+   * @param {string} key the key, usually created by `cacheKey` in `offline-cache.js`
+   * @returns {Object|null} the fragment or null if not cached
+   */
+  get(key) {
+    if (!this._entries.has(key)) {
+      return null;
+    }
+    const value = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, value);
+    return value;
+  }
+
+  has(key) {
+    return this._entries.has(key);
+  }
+
+  /**
+   * Add a fragment, removing the least recently used ones if the cache is full.
+   *
+   * @param {string} key the key
+   * @param {Object} value the fragment
+   */
+  set(key, value) {
+    this._entries.delete(key);
+    this._entries.set(key, value);
+    while (this._entries.size > this.maxSize) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * The number of fragments in the cache.
+   */
+  get size() {
+    return this._entries.size;
+  }
+}
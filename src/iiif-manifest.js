@@ -0,0 +1,155 @@
+/**
+ * Extracts the sequence of canvases from a IIIF Presentation manifest, supporting
+ * both versions 2 and 3 of the API.
+ */
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function idOf(resource) {
+  const res = firstOf(resource);
+  if (!res) {
+    return null;
+  }
+  if (typeof res === 'string') {
+    return res;
+  }
+  return res.id || res['@id'] || null;
+}
+
+/**
+ * Get a label as plain string. Labels may be strings, arrays of strings or `@value` objects
+ * (version 2) or language maps (version 3).
+ *
+ * @param {any} label the label
+ * @param {string} [lang] preferred language
+ * @returns {string} the label
+ */
+export function labelToString(label, lang = document.documentElement.lang) {
+  if (!label) {
+    return '';
+  }
+  if (typeof label === 'string') {
+    return label;
+  }
+  if (Array.isArray(label)) {
+    const preferred = label.find(value => value['@language'] === lang) || label[0];
+    return labelToString(preferred, lang);
+  }
+  if (label['@value']) {
+    return label['@value'];
+  }
+  const language = (lang && label[lang] && lang) || (label.none && 'none') || Object.keys(label)[0];
+  return language ? [].concat(label[language]).join(' ') : '';
+}
+
+/*
+ * Returns the id of the IIIF image service without trailing slash
+ */
+function serviceOf(resource) {
+  const service = idOf(resource.service);
+  return service ? service.replace(/\/$/, '') : null;
+}
+
+function canvasV2(canvas, lang) {
+  const image = canvas.images && canvas.images[0];
+  const resource = image ? image.resource : null;
+  return {
+    id: canvas['@id'],
+    label: labelToString(canvas.label, lang),
+    width: canvas.width,
+    height: canvas.height,
+    image: resource ? idOf(resource) : null,
+    service: resource ? serviceOf(resource) : null,
+    thumbnail: idOf(canvas.thumbnail),
+  };
+}
+
+function canvasV3(canvas, lang) {
+  const page = canvas.items && canvas.items[0];
+  const annotation = page && page.items && page.items[0];
+  const body = annotation ? firstOf(annotation.body) : null;
+  return {
+    id: canvas.id,
+    label: labelToString(canvas.label, lang),
+    width: canvas.width,
+    height: canvas.height,
+    image: body ? idOf(body) : null,
+    service: body ? serviceOf(body) : null,
+    thumbnail: idOf(canvas.thumbnail),
+  };
+}
+
+/**
+ * Parse a IIIF Presentation manifest.
+ *
+ * @param {Object} manifest the manifest as JSON
+ * @param {string} [lang] preferred language for labels
+ * @returns {{label: string, canvases: Array<{id: string, label: string, width: number, height: number,
+ * image: string, service: string, thumbnail: string}>}} label of the manifest and its canvases
+ */
+export function parseManifest(manifest, lang) {
+  if (manifest.items) {
+    return {
+      label: labelToString(manifest.label, lang),
+      canvases: manifest.items
+        .filter(item => item.type === 'Canvas')
+        .map(canvas => canvasV3(canvas, lang)),
+    };
+  }
+  if (manifest.sequences) {
+    const sequence = manifest.sequences[0];
+    return {
+      label: labelToString(manifest.label, lang),
+      canvases: (sequence.canvases || []).map(canvas => canvasV2(canvas, lang)),
+    };
+  }
+  throw new Error('Not a IIIF Presentation manifest: neither items nor sequences found');
+}
+
+/**
+ * URL of a thumbnail for the canvas: either the one given in the manifest or one requested
+ * from the image service.
+ *
+ * @param {Object} canvas a canvas as returned by `parseManifest`
+ * @param {number} [height] height of the thumbnail
+ * @returns {string} the URL
+ */
+export function thumbnailOf(canvas, height = 120) {
+  if (canvas.thumbnail) {
+    return canvas.thumbnail;
+  }
+  if (canvas.service) {
+    return `${canvas.service}/full/,${height}/0/default.jpg`;
+  }
+  return canvas.image;
+}
+
+/**
+ * Find the canvas targeted by an annotation. The target may be the id of a canvas,
+ * optionally with a media fragment selecting a region (`#xywh=x,y,w,h`), or the
+ * URL or name of the image on the canvas.
+ *
+ * @param {Array} canvases the canvases returned by `parseManifest`
+ * @param {string} target the target
+ * @returns {{index: number, region: Array<number>|null}} index of the canvas (-1 if not found)
+ * and the region selected by the fragment
+ */
+export function findCanvas(canvases, target) {
+  const [id, fragment] = String(target).split('#');
+  const match = fragment
+    ? /xywh=(?:pixel:)?([\d.]+),([\d.]+),([\d.]+),([\d.]+)/.exec(fragment)
+    : null;
+  const index = canvases.findIndex(
+    canvas =>
+      canvas.id === id ||
+      canvas.image === id ||
+      canvas.service === id.replace(/\/$/, '') ||
+      (canvas.service && canvas.service.endsWith(`/${id}`)),
+  );
+  return {
+    index,
+    region: match ? match.slice(1).map(Number) : null,
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * A leaflet control to draw a rectangle or polygon on the map, e.g. to select an area for a search.
+ *
+ * A rectangle is drawn by dragging the mouse. For a polygon, each click adds a point;
+ * a double click or the enter key finishes the polygon. Escape cancels drawing.
+ *
+ * Leaflet is loaded at runtime by `pb-leaflet-map`, so the control class is only defined
+ * on first use via `areaSelectControl`.
+ */
+
+let AreaSelectControl;
+
+function defineControl() {
+  AreaSelectControl = L.Control.extend({
+    options: {
+      position: 'topleft',
+      style: {
+        color: '#3388ff',
+        weight: 2,
+        fillOpacity: 0.1,
+      },
+      labels: {
+        rectangle: 'Rectangle',
+        polygon: 'Polygon',
+        clear: 'Clear',
+      },
+      onSelect: () => {},
+      onClear: () => {},
+    },
+
+    onAdd(map) {
+      this._map = map;
+      this._area = L.featureGroup().addTo(map);
+      this._buttons = {};
+      const container = L.DomUtil.create('div', 'leaflet-bar area-select');
+      L.DomEvent.disableClickPropagation(container);
+      [
+        ['rectangle', '▭'],
+        ['polygon', '⬠'],
+        ['clear', '✕'],
+      ].forEach(([action, symbol]) => {
+        const button = L.DomUtil.create('button', `area-select-${action}`, container);
+        button.type = 'button';
+        button.textContent = symbol;
+        button.title = this.options.labels[action];
+        L.DomEvent.on(button, 'click', () => {
+          if (action === 'clear') {
+            this.clear();
+            this.options.onClear();
+          } else {
+            this._start(action);
+          }
+        });
+        this._buttons[action] = button;
+      });
+      return container;
+    },
+
+    onRemove(map) {
+      this._stop();
+      map.removeLayer(this._area);
+    },
+
+    /**
+     * Remove the selected area from the map
+     */
+    clear() {
+      this._stop();
+      this._area.clearLayers();
+    },
+
+    _start(type) {
+      this._stop();
+      const map = this._map;
+      this._type = type;
+      this._points = [];
+      L.DomUtil.addClass(this._buttons[type], 'active');
+      map.dragging.disable();
+      map.doubleClickZoom.disable();
+      map.getContainer().style.cursor = 'crosshair';
+      if (type === 'rectangle') {
+        map.on('mousedown', this._rectangleStart, this);
+        map.on('mousemove', this._rectangleMove, this);
+        map.on('mouseup', this._rectangleEnd, this);
+      } else {
+        map.on('click', this._polygonClick, this);
+        map.on('mousemove', this._polygonMove, this);
+        map.on('dblclick', this._polygonEnd, this);
+      }
+      L.DomEvent.on(document, 'keydown', this._keydown, this);
+    },
+
+    _stop() {
+      if (!this._type) {
+        return;
+      }
+      const map = this._map;
+      map.off('mousedown', this._rectangleStart, this);
+      map.off('mousemove', this._rectangleMove, this);
+      map.off('mouseup', this._rectangleEnd, this);
+      map.off('click', this._polygonClick, this);
+      map.off('mousemove', this._polygonMove, this);
+      map.off('dblclick', this._polygonEnd, this);
+      L.DomEvent.off(document, 'keydown', this._keydown, this);
+      map.dragging.enable();
+      map.doubleClickZoom.enable();
+      map.getContainer().style.cursor = '';
+      L.DomUtil.removeClass(this._buttons[this._type], 'active');
+      if (this._preview) {
+        this._preview.remove();
+        this._preview = null;
+      }
+      this._type = null;
+    },
+
+    _keydown(ev) {
+      if (ev.key === 'Escape') {
+        this._stop();
+      } else if (ev.key === 'Enter' && this._type === 'polygon') {
+        this._polygonEnd();
+      }
+    },
+
+    _rectangleStart(ev) {
+      this._startLatLng = ev.latlng;
+      this._preview = L.rectangle(L.latLngBounds(ev.latlng, ev.latlng), this.options.style).addTo(
+        this._map,
+      );
+    },
+
+    _rectangleMove(ev) {
+      if (this._preview) {
+        this._preview.setBounds(L.latLngBounds(this._startLatLng, ev.latlng));
+      }
+    },
+
+    _rectangleEnd(ev) {
+      if (!this._preview) {
+        return;
+      }
+      const bounds = L.latLngBounds(this._startLatLng, ev.latlng);
+      this._stop();
+      // a click without dragging does not select anything
+      if (!bounds.getSouthWest().equals(bounds.getNorthEast())) {
+        this._select(L.rectangle(bounds, this.options.style), 'rectangle');
+      }
+    },
+
+    _polygonClick(ev) {
+      this._points.push(ev.latlng);
+      if (this._preview) {
+        this._preview.setLatLngs(this._points);
+      } else {
+        this._preview = L.polyline(this._points, this.options.style).addTo(this._map);
+      }
+    },
+
+    _polygonMove(ev) {
+      if (this._preview) {
+        this._preview.setLatLngs(this._points.concat([ev.latlng]));
+      }
+    },
+
+    _polygonEnd() {
+      // the clicks of a double click add the last point twice
+      const points = this._points.filter(
+        (point, index) => index === 0 || !point.equals(this._points[index - 1]),
+      );
+      this._stop();
+      if (points.length > 2) {
+        this._select(L.polygon(points, this.options.style), 'polygon');
+      }
+    },
+
+    _select(layer, type) {
+      this._area.clearLayers();
+      layer.addTo(this._area);
+      this.options.onSelect(layer, type);
+    },
+  });
+}
+
+/**
+ * Create a control to select an area on the map.
+ *
+ * @param {Object} options options
+ * @param {Object} [options.labels] tooltips for the buttons `rectangle`, `polygon` and `clear`
+ * @param {Object} [options.style] leaflet path options for the selected area
+ * @param {function(L.Polygon, string): void} options.onSelect called with the layer and the
+ * type of the area (`rectangle` or `polygon`) when the user finished drawing
+ * @param {function(): void} options.onClear called when the user removed the selection
+ * @returns {L.Control} the control
+ */
+export function areaSelectControl(options) {
+  if (!AreaSelectControl) {
+    defineControl();
+  }
+  return new AreaSelectControl(options);
+}
@@ -0,0 +1,185 @@
+/**
+ * A leaflet layer showing the density of points as a heatmap, drawn onto a canvas.
+ *
+ * Leaflet is loaded at runtime by `pb-leaflet-map`, so the layer class is only defined
+ * on first use via `heatmapLayer`.
+ */
+
+const DEFAULT_GRADIENT = {
+  0.4: 'blue',
+  0.6: 'cyan',
+  0.7: 'lime',
+  0.8: 'yellow',
+  1.0: 'red',
+};
+
+let HeatmapLayer;
+
+/*
+ * A blurred circle to be stamped onto the canvas for each point
+ */
+function createStamp(radius, blur) {
+  const canvas = document.createElement('canvas');
+  const size = radius + blur;
+  canvas.width = size * 2;
+  canvas.height = size * 2;
+  const ctx = canvas.getContext('2d');
+  // draw the circle outside the canvas, so only its blurred shadow is visible
+  ctx.shadowOffsetX = size * 2;
+  ctx.shadowOffsetY = size * 2;
+  ctx.shadowBlur = blur;
+  ctx.shadowColor = 'black';
+  ctx.beginPath();
+  ctx.arc(-size, -size, radius, 0, Math.PI * 2, true);
+  ctx.closePath();
+  ctx.fill();
+  return canvas;
+}
+
+/*
+ * Maps the 256 possible alpha values to the colors of the gradient
+ */
+function createPalette(gradient) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1;
+  canvas.height = 256;
+  const ctx = canvas.getContext('2d');
+  const fill = ctx.createLinearGradient(0, 0, 0, 256);
+  Object.keys(gradient).forEach(stop => fill.addColorStop(Number(stop), gradient[stop]));
+  ctx.fillStyle = fill;
+  ctx.fillRect(0, 0, 1, 256);
+  return ctx.getImageData(0, 0, 1, 256).data;
+}
+
+function defineLayer() {
+  HeatmapLayer = L.Layer.extend({
+    options: {
+      radius: 25,
+      blur: 15,
+      max: null,
+      minOpacity: 0.05,
+      gradient: DEFAULT_GRADIENT,
+    },
+
+    initialize(points, options) {
+      this._points = points || [];
+      L.setOptions(this, options);
+    },
+
+    /**
+     * Replace the points shown.
+     *
+     * @param {Array<{latlng: L.LatLng, weight: number}>} points the points
+     */
+    setPoints(points) {
+      this._points = points;
+      return this.redraw();
+    },
+
+    redraw() {
+      if (this._map) {
+        this._draw();
+      }
+      return this;
+    },
+
+    onAdd(map) {
+      this._map = map;
+      this._canvas = L.DomUtil.create('canvas', 'leaflet-heatmap-layer leaflet-layer');
+      this._canvas.style.pointerEvents = 'none';
+      const animated = map.options.zoomAnimation && L.Browser.any3d;
+      L.DomUtil.addClass(this._canvas, `leaflet-zoom-${animated ? 'animated' : 'hide'}`);
+      map.getPanes().overlayPane.appendChild(this._canvas);
+      map.on('moveend resize', this._reset, this);
+      if (animated) {
+        map.on('zoomanim', this._animateZoom, this);
+      }
+      this._reset();
+    },
+
+    onRemove(map) {
+      L.DomUtil.remove(this._canvas);
+      map.off('moveend resize', this._reset, this);
+      map.off('zoomanim', this._animateZoom, this);
+      this._map = null;
+    },
+
+    _reset() {
+      const size = this._map.getSize();
+      L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+      this._canvas.width = size.x;
+      this._canvas.height = size.y;
+      this._draw();
+    },
+
+    _animateZoom(ev) {
+      const scale = this._map.getZoomScale(ev.zoom);
+      // same computation as in leaflet's own canvas renderer
+      // eslint-disable-next-line no-underscore-dangle
+      const offset = this._map._latLngBoundsToNewLayerBounds(
+        this._map.getBounds(),
+        ev.zoom,
+        ev.center,
+      ).min;
+      L.DomUtil.setTransform(this._canvas, offset, scale);
+    },
+
+    _draw() {
+      const { radius, blur, minOpacity } = this.options;
+      const { width, height } = this._canvas;
+      const ctx = this._canvas.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+      if (this._points.length === 0 || width === 0 || height === 0) {
+        return;
+      }
+      if (!this._stamp) {
+        this._stamp = createStamp(radius, blur);
+        this._palette = createPalette(this.options.gradient);
+      }
+      const size = radius + blur;
+      // spreading all points into Math.max would exceed the call stack for large data sets
+      const max =
+        this.options.max ||
+        this._points.reduce((result, point) => Math.max(result, point.weight || 1), 0);
+      this._points.forEach(point => {
+        const pos = this._map.latLngToContainerPoint(point.latlng);
+        if (pos.x < -size || pos.y < -size || pos.x > width + size || pos.y > height + size) {
+          return;
+        }
+        ctx.globalAlpha = Math.min(Math.max((point.weight || 1) / max, minOpacity), 1);
+        ctx.drawImage(this._stamp, pos.x - size, pos.y - size);
+      });
+      // colorize according to the accumulated alpha
+      const image = ctx.getImageData(0, 0, width, height);
+      const pixels = image.data;
+      for (let i = 3; i < pixels.length; i += 4) {
+        const offset = pixels[i] * 4;
+        if (offset) {
+          pixels[i - 3] = this._palette[offset];
+          pixels[i - 2] = this._palette[offset + 1];
+          pixels[i - 1] = this._palette[offset + 2];
+        }
+      }
+      ctx.putImageData(image, 0, 0);
+    },
+  });
+}
+
+/**
+ * Create a heatmap layer.
+ *
+ * @param {Array<{latlng: L.LatLng, weight: number}>} points the points to show
+ * @param {Object} [options] options
+ * @param {number} [options.radius] radius of each point in pixels
+ * @param {number} [options.blur] amount of blur in pixels
+ * @param {number} [options.max] weight mapped to the maximum intensity. Defaults to the largest weight.
+ * @param {number} [options.minOpacity] minimum opacity of a single point
+ * @param {Object} [options.gradient] colors for the intensities between 0 and 1
+ * @returns {L.Layer} the layer
+ */
+export function heatmapLayer(points, options) {
+  if (!HeatmapLayer) {
+    defineLayer();
+  }
+  return new HeatmapLayer(points, options);
+}
@@ -0,0 +1,96 @@
+/**
+ * Helpers for reporting and retrying failed requests in `pb-view` and `pb-load`.
+ *
+ * Both components emit a `pb-load-error` event with the details returned by `loadError`
+ * and may show a custom error message, provided by the application in an element with
+ * `slot="error"`. Within this element, the content of descendants with a `data-error` attribute
+ * is replaced by the corresponding property of the error, e.g. `<span data-error="status"></span>`.
+ * Clicking on an element with `data-error-action="retry"` sends the failed request again.
+ */
+
+/**
+ * HTTP status codes indicating a failure which may go away if the request is repeated.
+ * Status 0 is reported by the browser if the request timed out or the server could not be reached.
+ */
+export const TRANSIENT_STATUS = [0, 408, 429, 502, 503, 504];
+
+/**
+ * Extract the description of the error from the response returned by the server,
+ * which may be a JSON object, or a JSON string if the response was requested as text.
+ *
+ * @param {Object|string} response the response
+ * @returns {string|null} the description
+ */
+export function errorDescription(response) {
+  if (!response) {
+    return null;
+  }
+  if (typeof response === 'string') {
+    try {
+      return errorDescription(JSON.parse(response));
+    } catch (e) {
+      return null;
+    }
+  }
+  return response.description || null;
+}
+
+/**
+ * Get the details of a failed request from the `lastError` property of `iron-ajax`.
+ *
+ * @param {Object} lastError the error reported by `iron-ajax`
+ * @param {string} url the URL requested
+ * @param {Object} params the request parameters
+ * @returns {{status: number, url: string, params: Object, description: string, timedOut: boolean,
+ * transient: boolean}} the error details. `transient` is true if repeating the request may succeed.
+ */
+export function loadError(lastError, url, params) {
+  const { request, status, response } = lastError || {};
+  const timedOut = Boolean(request && request.timedOut);
+  const aborted = Boolean(request && request.aborted);
+  return {
+    status: status || 0,
+    url,
+    params,
+    description: errorDescription(response),
+    timedOut,
+    transient: !aborted && (timedOut || TRANSIENT_STATUS.indexOf(status || 0) > -1),
+  };
+}
+
+/**
+ * Time to wait before the given retry: the delay doubles with every attempt.
+ *
+ * @param {number} attempt number of retries made so far
+ * @param {number} delay the delay before the first retry in ms
+ * @returns {number} the delay in ms
+ */
+export function retryDelay(attempt, delay) {
+  return delay * 2 ** attempt;
+}
+
+/**
+ * Fill the custom error message provided by the application with the details of the error.
+ *
+ * @param {Element} template the element with `slot="error"`
+ * @param {Object} error the error details returned by `loadError`
+ */
+export function fillErrorTemplate(template, error) {
+  template.querySelectorAll('[data-error]').forEach(elem => {
+    const value = error[elem.getAttribute('data-error')];
+    // eslint-disable-next-line no-param-reassign
+    elem.textContent = value === null || value === undefined ? '' : value;
+  });
+}
+
+/**
+ * Check if a click hit an element requesting the failed request to be repeated.
+ *
+ * @param {Event} ev the click event
+ * @returns {boolean} true if the request should be sent again
+ */
+export function isRetryAction(ev) {
+  return ev
+    .composedPath()
+    .some(node => node.getAttribute && node.getAttribute('data-error-action') === 'retry');
+}
@@ -0,0 +1,180 @@
+/**
+ * Caches the document fragments loaded by `pb-view`, so a document can be read without
+ * network connection.
+ *
+ * Fragments are stored in the Cache Storage of the browser, which is also available to
+ * service workers: an application registering its own service worker may serve the entries
+ * of the `pb-offline` cache as well. Each fragment is stored under the URL it was requested from,
+ * with the request parameters sorted.
+ *
+ * Only the fragments are covered: no service worker is provided, so the page itself, scripts,
+ * stylesheets and images need to be cached by the application to open the document offline.
+ * If the Cache Storage is not available, e.g. on pages not served via HTTPS, fragments are
+ * loaded from the network only.
+ */
+
+export const OFFLINE_CACHE = 'pb-offline';
+
+/**
+ * Parameters which select a fragment within a document rather than the document as a whole.
+ */
+const FRAGMENT_PARAMETERS = ['root', 'id', 'highlight'];
+
+/**
+ * Get the URL to request a fragment with the given parameters. Parameters starting with
+ * an underscore are only used on the client and are skipped.
+ *
+ * @param {string} url the URL to request fragments from
+ * @param {Object} params request parameters
+ * @returns {string} the URL including the sorted parameters
+ */
+export function cacheKey(url, params) {
+  const query = Object.keys(params)
+    .filter(key => !key.startsWith('_') && params[key] !== null && params[key] !== undefined)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  return query ? `${url}?${query}` : url;
+}
+
+/**
+ * Remove the parameters selecting a fragment, so only those selecting the document,
+ * ODD, view and user-defined parameters remain.
+ *
+ * @param {Object} params request parameters
+ * @returns {Object} a copy of the parameters
+ */
+export function documentParameters(params) {
+  const result = {};
+  Object.keys(params)
+    .filter(key => !key.startsWith('_') && FRAGMENT_PARAMETERS.indexOf(key) === -1)
+    .forEach(key => {
+      result[key] = params[key];
+    });
+  return result;
+}
+
+function statusKey(url, params) {
+  return cacheKey(url, { ...documentParameters(params), 'pb-offline': 'status' });
+}
+
+function openCache() {
+  if (!window.caches) {
+    return Promise.reject(new Error('Cache Storage is not available'));
+  }
+  return window.caches.open(OFFLINE_CACHE);
+}
+
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json' } });
+}
+
+async function request(key) {
+  const response = await fetch(key, { credentials: 'include' });
+  if (!response.ok) {
+    const error = new Error(`Loading ${key} failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+/**
+ * Load a fragment from the server and store it in the cache. If the request fails,
+ * e.g. because the browser is offline, return the cached fragment instead.
+ *
+ * @param {string} url the URL to request fragments from
+ * @param {Object} params request parameters
+ * @returns {Promise<{data: Object, fromCache: boolean}>} the fragment and whether it was
+ * read from the cache
+ */
+export async function fetchFragment(url, params) {
+  const key = cacheKey(url, params);
+  const cache = await openCache().catch(() => null);
+  if (!cache) {
+    const response = await request(key);
+    return { data: await response.json(), fromCache: false };
+  }
+  try {
+    const response = await request(key);
+    await cache.put(key, response.clone());
+    return { data: await response.json(), fromCache: false };
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (!cached) {
+      throw error;
+    }
+    return { data: await cached.json(), fromCache: true };
+  }
+}
+
+/**
+ * Load all fragments of a document, starting with the first one and following the `next`
+ * reference of each fragment, and store them in the cache.
+ *
+ * @param {string} url the URL to request fragments from
+ * @param {Object} params request parameters, the fragment selected by `root` or `id` is ignored
+ * @param {function(number): void} [onProgress] called with the number of fragments loaded so far
+ * @returns {Promise<number>} the number of fragments stored
+ */
+export async function prefetchDocument(url, params, onProgress = () => {}) {
+  const cache = await openCache();
+  const docParams = documentParameters(params);
+  const visited = new Set();
+
+  const load = async (current, fragments) => {
+    const key = cacheKey(url, current);
+    const response = await request(key);
+    const data = await response.clone().json();
+    await cache.put(key, response);
+    // navigating back to the first fragment requests it by its root
+    if (!current.root && data.root) {
+      await cache.put(cacheKey(url, { ...current, root: data.root }), jsonResponse(data));
+    }
+    onProgress(fragments + 1);
+    if (!data.next || visited.has(data.next)) {
+      return fragments + 1;
+    }
+    visited.add(data.next);
+    return load({ ...docParams, root: data.next }, fragments + 1);
+  };
+
+  const fragments = await load(docParams, 0);
+  await cache.put(
+    statusKey(url, params),
+    jsonResponse({ fragments, date: new Date().toISOString() }),
+  );
+  return fragments;
+}
+
+/**
+ * Check if all fragments of a document have been stored by `prefetchDocument`.
+ *
+ * @param {string} url the URL to request fragments from
+ * @param {Object} params request parameters
+ * @returns {Promise<{fragments: number, date: string}|null>} number of fragments stored and
+ * the time they were stored, or null if the document is not available offline
+ */
+export async function offlineStatus(url, params) {
+  const cache = await openCache().catch(() => null);
+  if (!cache) {
+    return null;
+  }
+  const status = await cache.match(statusKey(url, params));
+  return status ? status.json() : null;
+}
+
+/**
+ * Remove all cached fragments of a document.
+ *
+ * @param {string} url the URL to request fragments from
+ * @returns {Promise<number>} the number of entries removed
+ */
+export async function removeDocument(url) {
+  const cache = await openCache();
+  const prefix = new URL(url, window.location.href).href;
+  const keys = await cache.keys();
+  const matching = keys.filter(key => key.url === prefix || key.url.startsWith(`${prefix}?`));
+  await Promise.all(matching.map(key => cache.delete(key)));
+  return matching.length;
+}
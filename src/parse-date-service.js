@@ -1,3 +1,5 @@
+import { findCalendarMarker, getCalendar, toISO } from './calendars.js';
+
 export class ParseDateService {
   /*
    * PARSE DATE SERVICE
@@ -13,17 +15,35 @@ export class ParseDateService {
    * - 2020-01       => 2020-01-01
    * For all formats check the tests written in AVA `test/parse-date-service-test.js`
    *
+   * Dates may be given in another calendar (see `calendars.js`), either by passing
+   * the name of the calendar or by a marker in the input. The result is always
+   * converted to the (proleptic) Gregorian calendar:
+   * - 1 Ramadan 1266 AH   => 1850-07-11
+   * - 18 Feb 1700 O.S.    => 1700-02-28
+   * - run('1 Tishri 5785', 'hebrew') => 2024-10-03
+   *
    * public methods
    *   run()
    */
   constructor() {}
 
-  run(input) {
+  run(input, calendar = 'gregorian') {
     this.input = input;
+    this.calendar = calendar;
     this.day = '??';
     this.month = '??';
     this.year = '????';
 
+    const marker = findCalendarMarker(this.input);
+    if (marker) {
+      this.calendar = marker.name;
+      this.input = this.input.replace(marker.match[0], ` ${marker.match[1] || ''} `).trim();
+    }
+    // times of the day, e.g. "10 AM", are not part of the date
+    this.input = this.input
+      .replace(/(?:^|\s)\d{1,2}(?::\d{2})?\s*(?:[AP]M|[ap]\.m\.)(?=\s|$)/g, ' ')
+      .trim();
+
     const resultIsoMatch = this.input.match(this._isoMatchRegex());
     const resultCustomMatch = this.input.match(this._customRegex());
     const resultWeekMatch = this.input.match(this._weekMatchRegex());
@@ -63,6 +83,9 @@ export class ParseDateService {
     if (this.month != '??' && this.day === '??') {
       this.day = '01';
     }
+    if (this.calendar !== 'gregorian' && this.year !== '????') {
+      return toISO(this.calendar, Number(this.year), Number(this.month), Number(this.day));
+    }
     return `${this.year}-${this.month}-${this.day}`;
   }
 
@@ -123,13 +146,14 @@ export class ParseDateService {
   }
 
   _findMonth() {
-    const months = this._monthDictionaryValues();
+    const dictionary = this._calendarMonthDictionary() || this._monthDictionary();
+    const months = Object.keys(dictionary);
     months.forEach(month => {
       const re = new RegExp(`(?:\\s|^)(${month})(?=\\s|$|\\.)`, 'i');
       const result = this.input.match(re);
       if (result) {
         // yes => get dict and value + return
-        this.month = this._monthDictionary()[result[1].toLowerCase()];
+        this.month = dictionary[result[1].toLowerCase()];
         this._removeMatchFromInput(result);
         return this.month;
       }
@@ -174,6 +198,24 @@ export class ParseDateService {
     }
   }
 
+  /*
+   * month names of calendars which do not use the gregorian months,
+   * e.g. 'ramadan' => '09' for the islamic calendar.
+   * returns undefined for other calendars
+   */
+  _calendarMonthDictionary() {
+    const calendar = getCalendar(this.calendar);
+    if (!calendar.monthNames) {
+      return undefined;
+    }
+    const dictionary = {};
+    const year = this.year === '????' ? undefined : Number(this.year);
+    calendar.monthNames(year).forEach((name, idx) => {
+      dictionary[name.toLowerCase()] = this._setWithLeadingZero(idx + 1);
+    });
+    return dictionary;
+  }
+
   _monthDictionaryValues() {
     return Object.keys(this._monthDictionary());
   }
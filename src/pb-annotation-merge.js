@@ -0,0 +1,154 @@
+import { LitElement, html, css } from 'lit-element';
+import { pbMixin } from './pb-mixin.js';
+import { translate } from './pb-i18n.js';
+import { themableMixin } from './theming.js';
+import './pb-dialog.js';
+
+function renderRange(range) {
+  if (!range) {
+    return html`<p class="deleted">${translate('annotations.merge.deleted')}</p>`;
+  }
+  const properties = Object.entries(range.properties || {});
+  return html`
+    <p>
+      <span class="type">${range.type}</span>
+      ${range.text ? html`<q>${range.text}</q>` : ''}
+    </p>
+    ${properties.length > 0
+      ? html`<table>
+          ${properties.map(
+            ([key, value]) => html`<tr>
+              <td>${key}</td>
+              <td>${value}</td>
+            </tr>`,
+          )}
+        </table>`
+      : ''}
+  `;
+}
+
+/**
+ * Dialog to resolve conflicts between annotations of the local user and annotations
+ * saved by another user in the meantime. Opens when `pb-view-annotate` reports
+ * conflicts in `sync` mode. For each conflict, the user can keep the local version,
+ * the version saved by the other user or both.
+ *
+ * @fires pb-annotations-conflict - when received, opens the dialog to show the conflicts
+ * @fires pb-annotations-resolve - sent with the user's choices after clicking "apply"
+ */
+export class PbAnnotationMerge extends themableMixin(pbMixin(LitElement)) {
+  static get properties() {
+    return {
+      ...super.properties,
+      _conflicts: {
+        type: Array,
+      },
+      _choices: {
+        type: Array,
+      },
+    };
+  }
+
+  constructor() {
+    super();
+    this._conflicts = [];
+    this._choices = [];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.subscribeTo('pb-annotations-conflict', ev => this.show(ev.detail.conflicts));
+  }
+
+  firstUpdated() {
+    super.firstUpdated();
+    this._dialog = this.shadowRoot.querySelector('pb-dialog');
+  }
+
+  /**
+   * Open the dialog for the given conflicts.
+   *
+   * @param {{local: Object, remote: Object}[]} conflicts the conflicts to resolve
+   */
+  show(conflicts) {
+    this._conflicts = conflicts || [];
+    this._choices = this._conflicts.map(() => 'local');
+    this._dialog.openDialog();
+  }
+
+  _choose(idx, choice) {
+    this._choices = this._choices.map((current, i) => (i === idx ? choice : current));
+  }
+
+  _apply() {
+    this._dialog.closeDialog();
+    this.emitTo('pb-annotations-resolve', { choices: this._choices });
+  }
+
+  render() {
+    return html`
+      <pb-dialog>
+        <h2 slot="title">${translate('annotations.merge.title')}</h2>
+        <p>${translate('annotations.merge.description')}</p>
+        <ul>
+          ${this._conflicts.map(
+            (conflict, idx) => html`
+              <li>
+                ${['local', 'remote', 'both'].map(
+                  choice => html`
+                    <label class="${choice}">
+                      <input
+                        type="radio"
+                        name="conflict-${idx}"
+                        .checked="${this._choices[idx] === choice}"
+                        @change="${() => this._choose(idx, choice)}"
+                      />
+                      ${translate(`annotations.merge.${choice}`)}
+                      ${choice === 'local' ? renderRange(conflict.local) : ''}
+                      ${choice === 'remote' ? renderRange(conflict.remote) : ''}
+                    </label>
+                  `,
+                )}
+              </li>
+            `,
+          )}
+        </ul>
+        <div slot="footer">
+          <button rel="prev">${translate('dialogs.close')}</button>
+          <button class="apply" @click="${this._apply}">
+            ${translate('annotations.merge.apply')}
+          </button>
+        </div>
+      </pb-dialog>
+    `;
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+      ul {
+        list-style: none;
+        padding: 0;
+      }
+      li {
+        display: grid;
+        grid-template-columns: 1fr 1fr auto;
+        gap: 1rem;
+        padding: 0.5rem 0;
+        border-bottom: 1px solid var(--pb-annotation-merge-border, #e0e0e0);
+      }
+      .type {
+        font-weight: bold;
+      }
+      .deleted {
+        font-style: italic;
+      }
+      td:nth-child(1)::after {
+        content: ': ';
+      }
+    `;
+  }
+}
+customElements.define('pb-annotation-merge', PbAnnotationMerge);
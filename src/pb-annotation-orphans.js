@@ -0,0 +1,123 @@
+import { LitElement, html, css } from 'lit-element';
+import { pbMixin } from './pb-mixin.js';
+import { translate } from './pb-i18n.js';
+import { themableMixin } from './theming.js';
+import '@polymer/paper-icon-button';
+import '@polymer/iron-icons';
+
+/**
+ * Lists the annotations `pb-view-annotate` could not re-anchor after the text of the
+ * document changed. For each orphan, the quoted text is shown together with its context.
+ * The user may select the correct passage in the text and reattach the annotation to it,
+ * or discard the annotation.
+ *
+ * @fires pb-annotations-orphaned - when received, shows the orphans passed
+ * @fires pb-reattach-orphan - sent when the user clicks "reattach", so the view can annotate the current selection
+ * @fires pb-discard-orphan - sent when the user discards an orphan
+ */
+export class PbAnnotationOrphans extends themableMixin(pbMixin(LitElement)) {
+  static get properties() {
+    return {
+      ...super.properties,
+      _orphans: {
+        type: Array,
+      },
+    };
+  }
+
+  constructor() {
+    super();
+    this._orphans = [];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.subscribeTo('pb-annotations-orphaned', ev => {
+      this._orphans = ev.detail.orphans;
+    });
+  }
+
+  /**
+   * The orphaned annotations currently listed.
+   */
+  get orphans() {
+    return this._orphans;
+  }
+
+  _reattach(orphan) {
+    this.emitTo('pb-reattach-orphan', { orphan });
+  }
+
+  _discard(orphan) {
+    this.emitTo('pb-discard-orphan', { orphan });
+  }
+
+  render() {
+    if (this._orphans.length === 0) {
+      return html`<p class="empty">${translate('annotations.orphans.empty')}</p>`;
+    }
+    return html`
+      <header>${translate('annotations.orphans.count', { count: this._orphans.length })}</header>
+      <ul>
+        ${this._orphans.map(orphan => {
+          const quote = orphan.quote || { exact: orphan.text, prefix: '', suffix: '' };
+          return html`
+            <li>
+              <div class="type">${orphan.type}</div>
+              <div class="quote">${quote.prefix}<mark>${quote.exact}</mark>${quote.suffix}</div>
+              <div class="controls">
+                <paper-icon-button
+                  icon="icons:link"
+                  class="reattach"
+                  title="${translate('annotations.orphans.reattach')}"
+                  @click="${() => this._reattach(orphan)}"
+                ></paper-icon-button>
+                <paper-icon-button
+                  icon="icons:delete"
+                  class="discard"
+                  title="${translate('annotations.orphans.discard')}"
+                  @click="${() => this._discard(orphan)}"
+                ></paper-icon-button>
+              </div>
+            </li>
+          `;
+        })}
+      </ul>
+    `;
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+      ul {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
+      li {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 0;
+        border-bottom: 1px solid var(--pb-annotation-orphans-border, #e0e0e0);
+      }
+      .type {
+        font-size: 0.8em;
+        color: var(--pb-color-lighter, #757575);
+      }
+      .quote {
+        flex: 1;
+      }
+      .controls {
+        display: flex;
+        align-items: center;
+      }
+      mark {
+        background-color: var(--pb-annotation-selection, #f9ea7678);
+      }
+    `;
+  }
+}
+customElements.define('pb-annotation-orphans', PbAnnotationOrphans);
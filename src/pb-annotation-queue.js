@@ -0,0 +1,224 @@
+import { LitElement, html, css } from 'lit-element';
+import { pbMixin } from './pb-mixin.js';
+import { translate } from './pb-i18n.js';
+import { themableMixin } from './theming.js';
+import '@polymer/paper-icon-button';
+import '@polymer/iron-icons';
+
+/**
+ * Review queue for occurrences found by `pb-view-annotate`'s `findOccurrences`.
+ * Lists every occurrence with its context. The user can accept or reject each
+ * one and change the authority key to be applied. The accepted occurrences are
+ * then sent back to the view, which applies them as a single undoable step.
+ *
+ * @fires pb-occurrences - when received, fills the queue with the occurrences to review
+ * @fires pb-apply-occurrences - sent with the accepted occurrences when the user clicks "apply"
+ * @fires pb-show-occurrence - sent when the user hovers over an occurrence, so the view can highlight it
+ */
+export class PbAnnotationQueue extends themableMixin(pbMixin(LitElement)) {
+  static get properties() {
+    return {
+      ...super.properties,
+      /**
+       * Should occurrences which are already annotated with the same key
+       * be accepted by default?
+       */
+      acceptAnnotated: {
+        type: Boolean,
+        attribute: 'accept-annotated',
+      },
+      _type: {
+        type: String,
+      },
+      _key: {
+        type: String,
+      },
+      _occurrences: {
+        type: Array,
+      },
+    };
+  }
+
+  constructor() {
+    super();
+    this.acceptAnnotated = false;
+    this._occurrences = [];
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.subscribeTo('pb-occurrences', ev => {
+      this._type = ev.detail.type;
+      this._key = ev.detail.authorityKey;
+      this._occurrences = ev.detail.occurrences.map(occurrence => ({
+        ...occurrence,
+        status: this._defaultStatus(occurrence),
+      }));
+    });
+  }
+
+  _defaultStatus(occurrence) {
+    if (!occurrence.annotated) {
+      return 'accepted';
+    }
+    const id = occurrence.properties[this._key];
+    return this.acceptAnnotated || (id && id !== occurrence.existing) ? 'accepted' : 'rejected';
+  }
+
+  /**
+   * The occurrences currently in the queue, each with a `status`
+   * of either 'accepted' or 'rejected'.
+   */
+  get occurrences() {
+    return this._occurrences;
+  }
+
+  _update(idx, changes) {
+    this._occurrences = this._occurrences.map((occurrence, i) =>
+      i === idx ? { ...occurrence, ...changes } : occurrence,
+    );
+  }
+
+  _setAll(status) {
+    this._occurrences = this._occurrences.map(occurrence => ({ ...occurrence, status }));
+  }
+
+  _setKey(idx, value) {
+    const occurrence = this._occurrences[idx];
+    this._update(idx, { properties: { ...occurrence.properties, [this._key]: value } });
+  }
+
+  _apply() {
+    const accepted = this._occurrences
+      .filter(occurrence => occurrence.status === 'accepted')
+      .map(({ status, ...occurrence }) => occurrence);
+    this.emitTo('pb-show-occurrence', { occurrence: null });
+    this.emitTo('pb-apply-occurrences', { type: this._type, occurrences: accepted });
+    this.clear();
+  }
+
+  /**
+   * Empty the queue without applying any changes.
+   */
+  clear() {
+    this._occurrences = [];
+  }
+
+  render() {
+    if (this._occurrences.length === 0) {
+      return html`<p class="empty">${translate('annotations.queue.empty')}</p>`;
+    }
+    const count = translate('annotations.queue.count', {
+      count: this._occurrences.filter(occurrence => occurrence.status === 'accepted').length,
+      total: this._occurrences.length,
+    });
+    return html`
+      <header>
+        <span>${count}</span>
+        <paper-icon-button
+          icon="icons:done-all"
+          title="${translate('annotations.queue.accept-all')}"
+          @click="${() => this._setAll('accepted')}"
+        ></paper-icon-button>
+        <paper-icon-button
+          icon="icons:clear"
+          title="${translate('annotations.queue.reject-all')}"
+          @click="${() => this._setAll('rejected')}"
+        ></paper-icon-button>
+      </header>
+      <ul>
+        ${this._occurrences.map(
+          (occurrence, idx) => html`
+            <li
+              class="${occurrence.status}"
+              @mouseenter="${() => this.emitTo('pb-show-occurrence', { occurrence })}"
+            >
+              <div class="kwic">
+                ... ${occurrence.before}<mark>${occurrence.match}</mark>${occurrence.after} ...
+              </div>
+              <div class="controls">
+                <paper-icon-button
+                  icon="icons:check"
+                  class="accept"
+                  title="${translate('annotations.queue.accept')}"
+                  @click="${() => this._update(idx, { status: 'accepted' })}"
+                ></paper-icon-button>
+                <paper-icon-button
+                  icon="icons:close"
+                  class="reject"
+                  title="${translate('annotations.queue.reject')}"
+                  @click="${() => this._update(idx, { status: 'rejected' })}"
+                ></paper-icon-button>
+                <input
+                  type="text"
+                  placeholder="${translate('annotations.queue.id')}"
+                  .value="${occurrence.properties[this._key] || ''}"
+                  @change="${ev => this._setKey(idx, ev.target.value)}"
+                />
+                ${occurrence.annotated
+                  ? html`<span class="existing" title="${translate('annotations.queue.existing')}"
+                      >${occurrence.existing || '–'}</span
+                    >`
+                  : ''}
+              </div>
+            </li>
+          `,
+        )}
+      </ul>
+      <footer>
+        <button @click="${this.clear}">${translate('dialogs.close')}</button>
+        <button class="apply" @click="${this._apply}">
+          ${translate('annotations.queue.apply')}
+        </button>
+      </footer>
+    `;
+  }
+
+  static get styles() {
+    return css`
+      :host {
+        display: block;
+      }
+      header,
+      footer {
+        display: flex;
+        align-items: center;
+        justify-content: flex-end;
+        gap: 8px;
+      }
+      header span {
+        flex: 1;
+      }
+      ul {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+      }
+      li {
+        padding: 4px 0;
+        border-bottom: 1px solid var(--pb-annotation-queue-border, #e0e0e0);
+      }
+      li.rejected .kwic {
+        opacity: 0.5;
+        text-decoration: line-through;
+      }
+      li.accepted .accept,
+      li.rejected .reject {
+        color: var(--pb-color-focus, #1976d2);
+      }
+      .controls {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      }
+      .existing {
+        font-size: 0.8em;
+        color: var(--pb-color-lighter, #757575);
+      }
+      mark {
+        background-color: var(--pb-annotation-selection, #f9ea7678);
+      }
+    `;
+  }
+}
+customElements.define('pb-annotation-queue', PbAnnotationQueue);
@@ -1,14 +1,26 @@
 import { LitElement, html, css } from 'lit-element';
 import { unsafeHTML } from 'lit-html/directives/unsafe-html.js';
+import { ifDefined } from 'lit-html/directives/if-defined.js';
 import { themableMixin } from './theming.js';
 import { pbMixin, waitOnce } from './pb-mixin.js';
 import { translate } from './pb-i18n.js';
 import { createConnectors } from './authority/connectors.js';
+import { mergeResults } from './authority/merge-results.js';
+import { AuthorityCache, authorityCache } from './authority/cache.js';
 import './pb-restricted.js';
 
+function sourceKey(item) {
+  return `${item.provider}:${item.id}`;
+}
+
 /**
  * Performs authority lookups via configurable connectors.
  *
+ * Each `pb-authority` child element configures one connector, selected by its `connector`
+ * attribute. Besides the built-in connectors, projects can register their own subclass of
+ * `Registry` by calling `registerConnector` from `authority/connectors.js` (or
+ * `window.pbAuthority.registerConnector` when using the bundle) before the page is ready.
+ *
  * @fires pb-authority-select - Fired when user selects an entry from the list
  * @fires pb-authority-edit-entity - Fired when user clicks the edit button next to an entry
  * @fires pb-authority-new-entity - Fired when user clicks the add new entity button
@@ -71,9 +83,49 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
         type: Boolean,
         attribute: 'auto',
       },
+      /**
+       * Query all connectors configured for the current register in parallel, i.e. all
+       * `pb-authority` elements with the same name, instead of only the last one.
+       * The results are merged and ranked. Results describing the same entity
+       * according to their links or `sameAs` identifiers are collapsed into one,
+       * listing all sources it was found in.
+       *
+       * The first connector configured for a register is used to select entries
+       * and show details.
+       */
+      parallel: {
+        type: Boolean,
+      },
+      /**
+       * Time in seconds after which cached results of authority lookups expire.
+       * Expired results are still used if the authority cannot be reached.
+       *
+       * By default, all lookups on the page share one cache. If `cache-ttl` or `cache-size`
+       * is set, this element keeps its own cache with these settings instead. Cached results
+       * persisted in the browser are shared by all caches though.
+       *
+       * @default 86400
+       */
+      cacheTtl: {
+        type: Number,
+        attribute: 'cache-ttl',
+      },
+      /**
+       * Maximum number of cached results of authority lookups.
+       * See `cache-ttl` for how the cache is shared.
+       *
+       * @default 2000
+       */
+      cacheSize: {
+        type: Number,
+        attribute: 'cache-size',
+      },
       _results: {
         type: Array,
       },
+      _error: {
+        type: String,
+      },
       ...super.properties,
     };
   }
@@ -84,7 +136,11 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
     this.type = null;
     this.sortByLabel = false;
     this._results = [];
+    this._error = null;
     this._authorities = {};
+    this._connectors = {};
+    this._sourceConnectors = new Map();
+    this.parallel = false;
     this.noOccurrences = false;
     this.group = 'tei';
   }
@@ -92,6 +148,11 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
   connectedCallback() {
     super.connectedCallback();
 
+    this._cache =
+      this.cacheTtl || this.cacheSize
+        ? new AuthorityCache({ ttl: this.cacheTtl, maxEntries: this.cacheSize })
+        : authorityCache;
+
     this._stopwordSet = new Set();
     if (this.stopwords) {
       this.stopwords.split(/\s*,\s*/).forEach(sw => this._stopwordSet.add(sw.toLowerCase()));
@@ -105,9 +166,20 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
     });
 
     waitOnce('pb-page-ready', () => {
-      const connectors = createConnectors(this.getEndpoint(), this);
+      let connectors;
+      try {
+        connectors = createConnectors(this.getEndpoint(), this, this._cache);
+      } catch (e) {
+        console.error('<pb-authority-lookup> %s', e.message);
+        this._error = e.message;
+        return;
+      }
       connectors.forEach(connector => {
-        this._authorities[connector.register] = connector;
+        const { register } = connector;
+        this._connectors[register] = (this._connectors[register] || []).concat([connector]);
+        if (!this.parallel || !this._authorities[register]) {
+          this._authorities[register] = connector;
+        }
       });
       if (this.autoLookup) {
         this._query();
@@ -150,6 +222,7 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
       </header>
       <slot name="authform"></slot>
       <div id="output">
+        ${this._error ? html`<p class="error" part="error">${this._error}</p>` : null}
         <ul part="output">
           ${this._results.map(item => this._formatItem(item))}
         </ul>
@@ -157,13 +230,24 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
     `;
   }
 
+  /**
+   * Remove all cached results of authority lookups and clear the
+   * current results.
+   *
+   * @returns {Promise} resolves when the cache has been cleared
+   */
+  clearCache() {
+    this._results = [];
+    return this._cache.clear();
+  }
+
   async lookup(register, id, container) {
     if (!id || id === '') {
       console.log('<pb-authority-lookup> Key is empty');
       container.innerHTML = '';
       return Promise.resolve();
     }
-    const authority = this._authorities[register];
+    const authority = this._connectorForId(register, id);
     console.log(
       '<pb-authority-lookup> Retrieving info for %s from %s using %s',
       id,
@@ -202,7 +286,19 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
             ${item.occurrences > 0
               ? html`<span class="occurrences badge" part="occurrences">${item.occurrences}</span>`
               : null}
-            ${item.provider
+            ${item.sources
+              ? item.sources.map(
+                  source => html`<a
+                    class="source badge"
+                    part="source"
+                    href="${ifDefined(source.link)}"
+                    target="_blank"
+                    title="${source.id}"
+                    >${source.provider}</a
+                  >`,
+                )
+              : null}
+            ${item.provider && !item.sources
               ? html`<span class="source badge" part="source">${item.provider}</span>`
               : null}
             <span class="register badge" part="register">${item.register}</span>
@@ -263,6 +359,10 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
         scrollbar-width: none;
       }
 
+      .error {
+        color: var(--pb-error-color, #f44336);
+      }
+
       #output > ul {
         width: 100%;
         padding: 0;
@@ -301,6 +401,9 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
       .source {
         background-color: #637b8c;
       }
+      a.source {
+        text-decoration: none;
+      }
       .register {
         background-color: var(--pb-color-lighter, #35424b);
       }
@@ -310,8 +413,40 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
     `;
   }
 
+  /**
+   * Find the connector an item was returned by. In `parallel` mode, an item may have been merged
+   * from the results of several connectors, listed in `sources`. The first source is the item
+   * the id was taken from.
+   *
+   * @param {Object} item the item
+   * @returns {import('./authority/registry.js').Registry} the connector
+   */
+  _connectorFor(item) {
+    const sources = item.sources || [item];
+    const connector = sources
+      .map(source => this._sourceConnectors.get(sourceKey(source)))
+      .find(c => c);
+    return connector || this._connectorForId(item.register, item.id);
+  }
+
+  /**
+   * Find the connector for an id stored in the document, using the prefix of
+   * the connectors configured for the register.
+   *
+   * @param {String} register the register
+   * @param {String} id the id
+   * @returns {import('./authority/registry.js').Registry} the connector
+   */
+  _connectorForId(register, id) {
+    const connectors = this._connectors[register] || [];
+    const connector = connectors.find(
+      c => c.prefix && (id.startsWith(`${c.prefix}-`) || id.startsWith(`${c.prefix}:`)),
+    );
+    return connector || this._authorities[register];
+  }
+
   _select(item) {
-    const connector = this._authorities[item.register];
+    const connector = this._connectorFor(item);
     const options = {
       strings: item.strings,
       type: item.register,
@@ -330,7 +465,7 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
   }
 
   _editEntity(item) {
-    const connector = this._authorities[item.register];
+    const connector = this._connectorFor(item);
     if (connector) {
       connector
         .select(item)
@@ -351,6 +486,10 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
   }
 
   _query() {
+    if (this.parallel) {
+      this._queryParallel();
+      return;
+    }
     this.emitTo('pb-start-update');
     this._authorities[this.type].query(this.query).then(results => {
       this._occurrences(results.items).then(merged => {
@@ -361,6 +500,35 @@ export class PbAuthorityLookup extends themableMixin(pbMixin(LitElement)) {
     });
   }
 
+  _queryParallel() {
+    const { query } = this;
+    this._sourceConnectors.clear();
+    this.emitTo('pb-start-update');
+    Promise.all(
+      this._connectors[this.type].map(connector =>
+        connector
+          .query(query)
+          .then(results => {
+            results.items.forEach(item => this._sourceConnectors.set(sourceKey(item), connector));
+            return results.items;
+          })
+          .catch(error => {
+            console.error('<pb-authority-lookup> Query failed for %s: %o', connector.name, error);
+            return [];
+          }),
+      ),
+    ).then(lists => {
+      this.emitTo('pb-end-update');
+      if (query !== this.query) {
+        // a newer query has been started in the meantime
+        return;
+      }
+      this._occurrences(mergeResults(lists, query)).then(merged => {
+        this._results = merged;
+      });
+    });
+  }
+
   _addEntity() {
     this.emitTo('pb-authority-new-entity', { query: this.query, type: this.type });
   }
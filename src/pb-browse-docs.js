@@ -3,7 +3,7 @@ import { PbLoad } from './pb-load.js';
 import { waitOnce } from './pb-mixin.js';
 import { translate } from './pb-i18n.js';
 import { themableMixin } from './theming.js';
-import { cmpVersion } from './utils.js';
+import { cmpVersion, getAreaParameters } from './utils.js';
 import { registry } from './urls.js';
 
 import '@polymer/paper-input/paper-input.js';
@@ -25,6 +25,8 @@ import '@cwmr/paper-autocomplete/paper-autocomplete-suggestions.js';
  * @fires pb-collection - Sent to inform e.g. pb-upload about current collection
  * @fires pb-search-resubmit - When received, set facet values as received from the event
  * @fires pb-login - When received, refresh the view if the user changed
+ * @fires pb-leaflet-area-selected - When received, restrict the documents to those mentioning places
+ * within the area selected on a `pb-leaflet-map`
  *
  * @cssprop --pb-search-suggestions-background - Background for the autocomplete suggestions for the filter field
  * @cssprop --pb-search-suggestions-color - Text color for the autocomplete suggestion for the filter field
@@ -76,6 +78,12 @@ export class PbBrowseDocs extends themableMixin(PbLoad) {
       facets: {
         type: Object,
       },
+      /**
+       * Parameters of the area selected on a map to filter by, see `pb-leaflet-map`
+       */
+      area: {
+        type: Object,
+      },
       /** Id of the pb-login element to connect to */
       login: {
         type: String,
@@ -163,6 +171,7 @@ export class PbBrowseDocs extends themableMixin(PbLoad) {
         }
       });
 
+      this.area = getAreaParameters(registry.state);
       this.collection = registry.state.collection;
 
       if (this.collection) {
@@ -177,6 +186,12 @@ export class PbBrowseDocs extends themableMixin(PbLoad) {
     });
 
     this.subscribeTo('pb-search-resubmit', this._facets.bind(this));
+    this.subscribeTo('pb-leaflet-area-selected', ev => {
+      this.area = getAreaParameters(ev.detail.params);
+      this.start = 1;
+      registry.commit(this, ev.detail.params);
+      this.load();
+    });
     this.subscribeTo(
       'pb-login',
       ev => {
@@ -435,6 +450,9 @@ export class PbBrowseDocs extends themableMixin(PbLoad) {
     if (this.facets) {
       params = Object.assign(params, this.facets);
     }
+    if (this.area) {
+      Object.assign(params, this.area);
+    }
     return params;
   }
 
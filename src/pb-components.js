@@ -21,6 +21,9 @@ import './pb-toggle-feature.js';
 import './pb-select-feature.js';
 import './pb-view.js';
 import './pb-view-annotate.js';
+import './pb-annotation-merge.js';
+import './pb-annotation-queue.js';
+import './pb-annotation-orphans.js';
 import './pb-zoom.js';
 import './pb-drawer.js';
 import './pb-media-query.js';
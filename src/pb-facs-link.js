@@ -2,8 +2,16 @@ import { LitElement, html, css } from 'lit-element';
 import { pbMixin } from './pb-mixin';
 
 /**
+ * Links text to an area of a facsimile shown in `pb-facsimile`. The area may be a rectangle
+ * (`coordinates`), a polygon (`points`) or several zones (`zones`), e.g. if a line of text spans
+ * several zones. If `pb-facsimile` reports that the mouse is over one of the zones, the link is
+ * highlighted.
+ *
  * @slot - unnamed default slot for link text
  * @fires pb-show-annotation - Fires when mouse hovers over a pb-facs-link, passing image reference and coordinates that pb-facsimile reacts to
+ * @fires pb-highlight-on - When received, highlights the link if the key matches the id of one of its zones
+ * @fires pb-highlight-off - When received, removes the highlight
+ * @cssprop --pb-highlight-color - Background color to highlight the link
  */
 export class PbFacsLink extends pbMixin(LitElement) {
   static get properties() {
@@ -17,6 +25,40 @@ export class PbFacsLink extends pbMixin(LitElement) {
       coordinates: {
         type: Array,
       },
+      /**
+       * A polygon to highlight, given as points in the format of TEI `@points`: "x1,y1 x2,y2 ..."
+       */
+      points: {
+        type: String,
+      },
+      /**
+       * Several zones to highlight at once. Each zone is an object with an `id` and either
+       * `coordinates` or `points`, optionally with a `style`, see `pb-facsimile`.
+       */
+      zones: {
+        type: Array,
+      },
+      /**
+       * Id of the zone given by `coordinates` or `points`, used to highlight the link
+       * if the mouse is over the zone in `pb-facsimile`
+       */
+      zone: {
+        type: String,
+      },
+      /**
+       * CSS to style the zone given by `coordinates` or `points`
+       */
+      zoneStyle: {
+        type: String,
+        attribute: 'zone-style',
+      },
+      /**
+       * Set while the mouse is over one of the zones of this link in `pb-facsimile`
+       */
+      highlighted: {
+        type: Boolean,
+        reflect: true,
+      },
       label: {
         type: String,
       },
@@ -48,6 +90,7 @@ export class PbFacsLink extends pbMixin(LitElement) {
     this.order = Number.POSITIVE_INFINITY;
     this.waitFor = 'pb-facsimile,pb-image-strip,pb-tify';
     this.default = '';
+    this.highlighted = false;
   }
 
   connectedCallback() {
@@ -60,6 +103,20 @@ export class PbFacsLink extends pbMixin(LitElement) {
         element: this,
       });
     });
+    this.subscribeTo('pb-highlight-on', ev => {
+      if (ev.detail.source !== this && this._zoneIds().indexOf(ev.detail.id) > -1) {
+        this.highlighted = true;
+      }
+    });
+    this.subscribeTo('pb-highlight-off', ev => {
+      if (ev.detail.source !== this) {
+        this.highlighted = false;
+      }
+    });
+  }
+
+  _zoneIds() {
+    return (this.zones || []).map(zone => zone.id).concat(this.zone ? [this.zone] : []);
   }
 
   getImage() {
@@ -98,6 +155,10 @@ export class PbFacsLink extends pbMixin(LitElement) {
         text-decoration: none;
         color: inherit;
       }
+
+      :host([highlighted]) a {
+        background-color: var(--pb-highlight-color, #f9e976);
+      }
     `;
   }
 
@@ -113,6 +174,10 @@ export class PbFacsLink extends pbMixin(LitElement) {
       file: this.facs,
       order: this.getOrder(),
       coordinates: this.coordinates,
+      points: this.points,
+      zones: this.zones,
+      zone: this.zone,
+      style: this.zoneStyle,
     });
   }
 
@@ -122,6 +187,8 @@ export class PbFacsLink extends pbMixin(LitElement) {
    * @event pb-show-annotation
    * @param {String} file - reference to facsimile file
    * @param {String} coordinates to highlight
+   * @param {String} points polygon to highlight
+   * @param {Array} zones several zones to highlight
    */
 }
 customElements.define('pb-facs-link', PbFacsLink);
@@ -2,23 +2,159 @@ import { LitElement, html, css } from 'lit-element';
 import '@lrnwebcomponents/es-global-bridge';
 import { pbMixin } from './pb-mixin.js';
 import { resolveURL } from './utils.js';
+import { findCanvas, parseManifest, thumbnailOf } from './iiif-manifest.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Parse polygon points given either as string in the format of TEI `@points`
+ * ("x1,y1 x2,y2 ...") or as array of [x, y] pairs.
+ *
+ * @param {string|Array<Array<number>>} points the points
+ * @returns {Array<Array<number>>} array of [x, y] pairs
+ */
+export function parsePoints(points) {
+  if (Array.isArray(points)) {
+    return points.map(point => point.map(Number));
+  }
+  return points
+    .trim()
+    .split(/\s+/)
+    .map(point => point.split(',').map(Number));
+}
+
+/**
+ * The zones to highlight for a pb-show-annotation event.
+ *
+ * @param {Object} detail the event details
+ * @returns {Array<Object>} the zones, each with either `points` or `coordinates`
+ */
+export function zonesOf(detail) {
+  if (detail.zones) {
+    return detail.zones;
+  }
+  if (detail.points || detail.coordinates) {
+    return [
+      {
+        id: detail.zone,
+        points: detail.points,
+        coordinates: detail.coordinates,
+        style: detail.style,
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Check if a zone has either polygon points or complete coordinates [x, y, w, h].
+ *
+ * @param {Object} zone the zone
+ * @returns {boolean} true if the zone can be shown
+ */
+export function isValidZone(zone) {
+  return Boolean(zone.points || (Array.isArray(zone.coordinates) && zone.coordinates.length === 4));
+}
+
+/**
+ * Bounding box of a zone.
+ *
+ * @param {Object} zone the zone
+ * @param {number} scale factor to scale the coordinates of the zone with
+ * @returns {Array<number>} the bounding box as [x, y, w, h]
+ */
+export function zoneBounds(zone, scale) {
+  if (!zone.points) {
+    return zone.coordinates.map(coord => coord * scale);
+  }
+  const points = parsePoints(zone.points);
+  const xs = points.map(([x]) => x * scale);
+  const ys = points.map(([, y]) => y * scale);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return [x, y, Math.max(...xs) - x, Math.max(...ys) - y];
+}
+
+/**
+ * Apply the style configured for a zone, given either as CSS string or as object
+ * mapping CSS properties to values.
+ *
+ * @param {Element} element the element to style
+ * @param {string|Object} style the style
+ */
+export function applyStyle(element, style) {
+  if (typeof style === 'string') {
+    element.setAttribute('style', style);
+  } else if (style) {
+    Object.keys(style).forEach(property => element.style.setProperty(property, style[property]));
+  }
+}
+
+/*
+ * OpenSeadragon tile source for a canvas of a manifest
+ */
+function tileSource(canvas) {
+  if (canvas.service) {
+    return `${canvas.service}/info.json`;
+  }
+  return {
+    tileSource: {
+      type: 'image',
+      url: canvas.image,
+      buildPyramid: false,
+    },
+  };
+}
 
 /**
  * View zoomable images using a IIIF server.
  *
+ * Instead of collecting the images from `pb-facs-link` elements, the sequence of images may be taken
+ * from a IIIF Presentation manifest (version 2 or 3) given in the `manifest` property. In this case,
+ * `reference-strip` shows thumbnails labelled with the labels of the canvases, and the `file`
+ * passed with `pb-show-annotation` is looked up among the canvases: it may be the id of a canvas,
+ * optionally followed by a fragment selecting a region (`#xywh=100,100,400,200`), or the URL or
+ * name of the image on the canvas. Coordinates refer to the canvas.
+ *
+ * Besides a rectangle given by `coordinates`, `pb-show-annotation` may pass a polygon as `points`
+ * (in the format of TEI `@points`: `"x1,y1 x2,y2 ..."`) or an array of `zones` to highlight several
+ * areas at once, e.g. for a line of text spanning several zones:
+ *
+ * ```javascript
+ * {
+ *   file: 'page1.jpg',
+ *   zones: [
+ *     { id: 'z1', coordinates: [100, 200, 400, 50] },
+ *     { id: 'z2', points: '520,200 900,210 900,260 520,250', style: 'fill: rgba(255, 0, 0, 0.2)' }
+ *   ]
+ * }
+ * ```
+ *
+ * A zone may be styled individually via `style`: either CSS text or an object mapping CSS properties
+ * to values. For polygons, the style is applied to the SVG `polygon` element (e.g. `fill`, `stroke`).
+ * If the user moves the mouse over a zone with an `id`, a `pb-highlight-on` event with the id as key
+ * is sent, so `pb-highlight` or `pb-facs-link` elements for this zone in the transcription are highlighted.
+ *
  * @fires pb-start-update - When received, resets the facsimile viewer
  * @fires pb-load-facsimile - When received, adds an image to the current image sequence. Emitted by
  * `pb-facs-link`. The event detail should contain an object with the properties `url`, `order` and `element`,
  * where `url` is the relative or absolute URL to the image, `order` is an integer specifying the position at which
  * the image should be inserted in the list, and `element` points to the `pb-facs-link` element triggering the event.
  * @fires pb-show-annotation - When received, sets up the viewer to select a particular image and highlight coordinates
+ * @fires pb-highlight-on - Sent when the mouse moves over a highlighted zone, passing the id of the zone as key
+ * @fires pb-highlight-off - Sent when the mouse leaves a highlighted zone
  * @fires pb-facsimile-status - Indicates the status of loading an image into the viewer. The status is indicated
  * by the `status` property in event.detail as follows: `loading` - image was requested; `loaded` - image is displayed;
  * `fail` - image could not be loaded.
  *
  * @cssprop --pb-facsimile-height=auto - Max. height of the image viewer
  * @cssprop --pb-facsimile-border - Style for the annotation highlight border
+ * @cssprop --pb-facsimile-zone-fill - Fill color for polygon zones
+ * @cssprop --pb-facsimile-zone-stroke - Outline color for polygon zones
+ * @cssprop --pb-facsimile-thumbnail-current-color - Border color of the thumbnail of the image shown
  * @csspart image - exposes the inner div hosting the image viewer
+ * @csspart thumbnails - the strip of thumbnails shown for a manifest
+ * @csspart thumbnail - a single thumbnail
  *
  * @slot before - use for content which should be shown above the facsimile viewer
  * @slot after - use for content which should be shown below the facsimile viewer
@@ -124,6 +260,19 @@ export class PbFacsimile extends pbMixin(LitElement) {
         type: String,
         attribute: 'base-uri',
       },
+      /**
+       * URL of a IIIF Presentation manifest to build the image sequence from. If relative,
+       * it is resolved against the endpoint.
+       */
+      manifest: {
+        type: String,
+      },
+      _canvases: {
+        type: Array,
+      },
+      _page: {
+        type: Number,
+      },
       /**
        * Path pointing to the location of openseadragon user interface images.
        */
@@ -177,6 +326,9 @@ export class PbFacsimile extends pbMixin(LitElement) {
     this.referenceStripSizeRatio = 0.2;
     this.prefixUrl = '../images/openseadragon/';
     this.loaded = false;
+    this._canvases = null;
+    this._page = 0;
+    this._zones = [];
   }
 
   set facsimiles(facs) {
@@ -189,6 +341,10 @@ export class PbFacsimile extends pbMixin(LitElement) {
     super.connectedCallback();
     this.subscribeTo('pb-start-update', this._clearAll.bind(this));
     this.subscribeTo('pb-load-facsimile', e => {
+      if (this.manifest) {
+        // the sequence is determined by the manifest
+        return;
+      }
       const { element, order } = e.detail;
       const itemOrder = this._facsimiles.map(item =>
         item.getOrder ? item.getOrder() : Number.POSITIVE_INFINITY,
@@ -207,6 +363,12 @@ export class PbFacsimile extends pbMixin(LitElement) {
     this.subscribeTo('pb-show-annotation', this._showAnnotationListener.bind(this));
   }
 
+  updated(changedProperties) {
+    if (changedProperties.has('manifest') && this.viewer) {
+      this._loadManifest();
+    }
+  }
+
   firstUpdated() {
     try {
       const bridge = window.ESGlobalBridge.requestAvailability();
@@ -235,11 +397,32 @@ export class PbFacsimile extends pbMixin(LitElement) {
       <!-- Openseadragon -->
 
       <div id="viewer" part="image"></div>
+      ${this._canvases && this.referenceStrip ? this._renderThumbnails() : ''}
       <slot name="after"></slot>
       ${this.showDownloadButton ? html`<a id="downloadBtn" title="Download">&#8676;</a>` : ''}
     `;
   }
 
+  _renderThumbnails() {
+    return html`
+      <div id="thumbnails" part="thumbnails">
+        ${this._canvases.map(
+          (canvas, index) => html`
+            <button
+              part="thumbnail"
+              class="${index === this._page ? 'current' : ''}"
+              title="${canvas.label}"
+              @click="${() => this.viewer.goToPage(index)}"
+            >
+              <img src="${thumbnailOf(canvas)}" alt="${canvas.label}" loading="lazy" />
+              <span>${canvas.label}</span>
+            </button>
+          `,
+        )}
+      </div>
+    `;
+  }
+
   static get styles() {
     return css`
       :host {
@@ -249,16 +432,60 @@ export class PbFacsimile extends pbMixin(LitElement) {
         background: transparent;
       }
 
-      #runtime-overlay {
+      .runtime-overlay {
         border: var(--pb-facsimile-border, 4px solid rgba(0, 0, 128, 0.5));
       }
 
+      .runtime-overlay.polygon {
+        border: none;
+        pointer-events: none;
+      }
+
+      .runtime-overlay svg {
+        display: block;
+        width: 100%;
+        height: 100%;
+        overflow: visible;
+      }
+
+      .runtime-overlay polygon {
+        fill: var(--pb-facsimile-zone-fill, rgba(0, 0, 128, 0.1));
+        stroke: var(--pb-facsimile-zone-stroke, rgba(0, 0, 128, 0.5));
+        stroke-width: 4px;
+        vector-effect: non-scaling-stroke;
+        pointer-events: all;
+      }
+
       #viewer {
         flex: 1;
         position: relative;
         max-height: var(--pb-facsimile-height, auto);
         width: 100%;
       }
+      #thumbnails {
+        display: flex;
+        overflow-x: auto;
+        gap: 4px;
+        padding: 4px 0;
+      }
+      #thumbnails button {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        flex: none;
+        padding: 2px;
+        border: 2px solid transparent;
+        background: none;
+        font: inherit;
+        font-size: 0.8em;
+        cursor: pointer;
+      }
+      #thumbnails button.current {
+        border-color: var(--pb-facsimile-thumbnail-current-color, #3f52b5);
+      }
+      #thumbnails img {
+        height: 80px;
+      }
       #downloadBtn {
         position: absolute;
         z-index: 100;
@@ -304,7 +531,8 @@ export class PbFacsimile extends pbMixin(LitElement) {
       crossOriginPolicy: this.crossOriginPolicy,
     };
 
-    if (this.referenceStrip) {
+    // a manifest uses its own strip of thumbnails showing the labels
+    if (this.referenceStrip && !this.manifest) {
       options.showReferenceStrip = true;
       options.referenceStripSizeRatio = this.referenceStripSizeRatio;
     }
@@ -318,6 +546,9 @@ export class PbFacsimile extends pbMixin(LitElement) {
       this.resetZoom();
       this.emitTo('pb-facsimile-status', { status: 'loaded', facsimiles: this._facsimiles });
     });
+    this.viewer.addHandler('page', ev => {
+      this._page = ev.page;
+    });
     this.viewer.addHandler('open-failed', ev => {
       console.error('<pb-facsimile> open failed: %s', ev.message);
       this.loaded = false;
@@ -355,10 +586,49 @@ export class PbFacsimile extends pbMixin(LitElement) {
         }
       });
     }
-    this._scheduleFacsimileObserver();
+    if (this.manifest) {
+      this._loadManifest();
+    } else {
+      this._scheduleFacsimileObserver();
+    }
     this.signalReady();
   }
 
+  _loadManifest() {
+    if (!this.manifest) {
+      this._canvases = null;
+      this._scheduleFacsimileObserver();
+      return;
+    }
+    const url = this.toAbsoluteURL(this.manifest);
+    this.emitTo('pb-facsimile-status', { status: 'loading' });
+    fetch(url, { credentials: 'same-origin' })
+      .then(response => {
+        if (response.ok) {
+          return response.json();
+        }
+        return Promise.reject(new Error(`Loading manifest ${url} failed: ${response.status}`));
+      })
+      .then(json => {
+        const { canvases } = parseManifest(json);
+        this._canvases = canvases;
+        this._page = 0;
+        this.loaded = canvases.length > 0;
+        if (this.loaded) {
+          this.viewer.open(canvases.map(tileSource));
+          this.viewer.goToPage(0);
+        } else {
+          this.viewer.close();
+        }
+      })
+      .catch(error => {
+        console.error('<pb-facsimile> %s', error.message);
+        this._canvases = null;
+        this.loaded = false;
+        this.emitTo('pb-facsimile-status', { status: 'fail' });
+      });
+  }
+
   /**
    * A single transcription can have tons of pb-facs-link elements. Always debounce loading these
    */
@@ -414,6 +684,10 @@ export class PbFacsimile extends pbMixin(LitElement) {
     }
     this.resetZoom();
     this.viewer.clearOverlays();
+    if (this.manifest) {
+      // keep the images of the manifest
+      return;
+    }
     this.facsimiles = [];
   }
 
@@ -421,10 +695,8 @@ export class PbFacsimile extends pbMixin(LitElement) {
     if (!this.viewer) {
       return;
     }
-    const overlayId = 'runtime-overlay';
-
-    // remove old overlay
-    this.viewer.removeOverlay(this.overlay);
+    // remove old overlays
+    this._clearZones();
 
     // check event data for completeness
     if (!event.detail.file || event.detail.file === 0) {
@@ -438,10 +710,24 @@ export class PbFacsimile extends pbMixin(LitElement) {
       return console.error('coords incomplete or missing', event.detail);
     }
 
+    if (event.detail.zones && !event.detail.zones.every(isValidZone)) {
+      console.error('zone without points or complete coordinates', event.detail);
+      return;
+    }
+
     // find page to show
-    const page = event.detail.element
-      ? this._pageByElement(event.detail.element)
-      : this._pageIndexByUrl(event.detail.file);
+    let page;
+    let { coordinates } = event.detail;
+    let scale = 1;
+    if (this._canvases) {
+      const { index, region } = findCanvas(this._canvases, event.detail.file);
+      page = index;
+      coordinates = coordinates || region;
+    } else {
+      page = event.detail.element
+        ? this._pageByElement(event.detail.element)
+        : this._pageIndexByUrl(event.detail.file);
+    }
 
     if (page < 0) {
       return console.error('page not found', event.detail);
@@ -451,10 +737,17 @@ export class PbFacsimile extends pbMixin(LitElement) {
       this.viewer.goToPage(page);
     }
 
-    if (event.detail.coordinates) {
-      // deconstruct given coordinates into variables
-      const [x1, y1, w, h] = event.detail.coordinates;
+    const zones = zonesOf({ ...event.detail, coordinates });
+    if (zones.length > 0) {
       const tiledImage = this.viewer.world.getItemAt(0);
+      const canvas = this._canvases && this._canvases[page];
+      // coordinates refer to the canvas, which may differ in size from the image
+      if (canvas && canvas.width && tiledImage) {
+        scale = tiledImage.source.dimensions.x / canvas.width;
+      }
+      const bounds = zones.map(zone => zoneBounds(zone, scale));
+      const x1 = Math.min(...bounds.map(([x]) => x));
+      const y1 = Math.min(...bounds.map(([, y]) => y));
       const currentRect = tiledImage.viewportToImageRectangle(tiledImage.getBounds(true));
 
       // scroll into view?
@@ -464,19 +757,49 @@ export class PbFacsimile extends pbMixin(LitElement) {
         );
       }
 
-      // create new overlay
-      const overlay = document.createElement('div');
-      this.overlay = overlay;
-      overlay.id = overlayId;
-
-      // place marker
-      const marker = tiledImage.imageToViewportRectangle(x1, y1, w, h);
+      zones.forEach((zone, index) => this._addZone(tiledImage, zone, bounds[index], scale));
+    }
+  }
 
-      this.viewer.addOverlay({
-        element: overlay,
-        location: marker,
+  _addZone(tiledImage, zone, [x, y, w, h], scale) {
+    const overlay = document.createElement('div');
+    overlay.className = 'runtime-overlay';
+    let target = overlay;
+    if (zone.points) {
+      overlay.classList.add('polygon');
+      const svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('viewBox', `0 0 ${w} ${h}`);
+      svg.setAttribute('preserveAspectRatio', 'none');
+      target = document.createElementNS(SVG_NS, 'polygon');
+      target.setAttribute(
+        'points',
+        parsePoints(zone.points)
+          .map(([px, py]) => `${px * scale - x},${py * scale - y}`)
+          .join(' '),
+      );
+      svg.appendChild(target);
+      overlay.appendChild(svg);
+    }
+    applyStyle(target, zone.style);
+    if (zone.id) {
+      target.addEventListener('mouseenter', () => {
+        this.emitTo('pb-highlight-off', { source: this });
+        this.emitTo('pb-highlight-on', { id: zone.id, source: this, scroll: true });
+      });
+      target.addEventListener('mouseleave', () => {
+        this.emitTo('pb-highlight-off', { source: this });
       });
     }
+    this.viewer.addOverlay({
+      element: overlay,
+      location: tiledImage.imageToViewportRectangle(x, y, w, h),
+    });
+    this._zones.push(overlay);
+  }
+
+  _clearZones() {
+    this._zones.forEach(overlay => this.viewer.removeOverlay(overlay));
+    this._zones = [];
   }
 
   _pageByElement(element) {
@@ -9,6 +9,16 @@ import { PbHighlight } from './pb-highlight.js';
  * into which `pb-geolocation`s emit and that map is loaded before the emitting component, e.g. `pb-view`, by specifying
  * `wait-for` property.
  *
+ * Besides points given by `latitude` and `longitude`, a location may be a region or route
+ * described by GeoJSON in the `geometry` attribute:
+ *
+ * ```html
+ * <pb-geolocation label="Lake Constance" shape-style='{"color": "#3388ff", "fillOpacity": 0.4}'
+ *   geometry='{"type": "Polygon", "coordinates": [[[9.03, 47.83], [9.77, 47.47], [9.56, 47.53], [9.03, 47.83]]]}'>
+ *   Bodensee
+ * </pb-geolocation>
+ * ```
+ *
  * @slot - default unnamed slot for content. May also contain an option `<template>` element for content to be shown in a popup
  * @fires pb-geolocation - Sends geocoordinates
  * @cssprop --pb-highlight-color - Background color to highlight an element
@@ -29,6 +39,31 @@ export class PbGeolocation extends PbHighlight {
       label: {
         type: String,
       },
+      /**
+       * GeoJSON (a geometry, feature or feature collection) describing the shape of the place,
+       * e.g. a polygon for a region or a line string for a route. If set, the map shows this
+       * shape instead of a marker.
+       */
+      geometry: {
+        type: Object,
+      },
+      /**
+       * Style to apply to the shape given in `geometry`: an object containing
+       * leaflet path options like `color`, `weight` or `fillOpacity`.
+       */
+      shapeStyle: {
+        type: Object,
+        attribute: 'shape-style',
+      },
+      /**
+       * Date or period in which the place is relevant, e.g. the date of a stay or letter.
+       * Either a date with a precision of year, month or day (`1850`, `1850-03`, `1850-03-02`)
+       * or a range (`1850-03/1851-06`). Used by `pb-leaflet-map` to show only the places
+       * active in the period selected on a `pb-timeline`.
+       */
+      date: {
+        type: String,
+      },
       /**
        * Name of the event which triggers a pb-geolocation event, e.g. 'click'.
        * Default is 'mouseover'.
@@ -71,6 +106,9 @@ export class PbGeolocation extends PbHighlight {
             longitude: this.longitude,
           },
           label: this.label,
+          geometry: this.geometry,
+          style: this.shapeStyle,
+          date: this.date,
           zoom: this.zoom,
           popup: this.popup,
           element: this,
@@ -86,6 +124,9 @@ export class PbGeolocation extends PbHighlight {
             longitude: this.longitude,
           },
           label: this.label,
+          geometry: this.geometry,
+          style: this.shapeStyle,
+          date: this.date,
           popup: this.popup,
           fitBounds: true,
           element: this,
@@ -152,6 +193,9 @@ export class PbGeolocation extends PbHighlight {
    * @event pb-geolocation
    * @param {Object} coordinates an object with two properties: latitude and longitude
    * @param {String} label an optional label for the place
+   * @param {Object} geometry optional GeoJSON describing the shape of the place
+   * @param {Object} style optional style for the shape
+   * @param {String} date optional date or date range of the place
    */
 }
 customElements.define('pb-geolocation', PbGeolocation);
@@ -1,10 +1,182 @@
 import { LitElement, html, css } from 'lit-element';
 import '@lrnwebcomponents/es-global-bridge';
 import { pbMixin } from './pb-mixin.js';
-import { resolveURL } from './utils.js';
+import { AREA_PARAMETERS, resolveURL } from './utils.js';
 import { get as i18n } from './pb-i18n.js';
 import './pb-map-layer.js';
 import './pb-map-icon.js';
+import { heatmapLayer } from './leaflet-heatmap.js';
+import { areaSelectControl } from './leaflet-area-select.js';
+import { SearchResultService, parseUncertainDate } from './search-result-service.js';
+
+/**
+ * Sum up the weights of the given markers, so a single marker may stand for several
+ * occurrences of a place. Markers without weight count once.
+ *
+ * @param {Array} markers the markers
+ * @returns {number} the total weight
+ */
+export function clusterWeight(markers) {
+  return markers.reduce((sum, marker) => sum + (marker.options.weight || 1), 0);
+}
+
+/**
+ * Collect the position and weight of all markers in a layer to be shown in the heatmap.
+ *
+ * @param {Object} layer the layer containing the markers
+ * @returns {Array<{latlng: Object, weight: number}>} the points
+ */
+export function heatmapPoints(layer) {
+  const points = [];
+  layer.eachLayer(marker => {
+    points.push({ latlng: marker.getLatLng(), weight: marker.options.weight });
+  });
+  return points;
+}
+
+/*
+ * Show the sum of the weights of all markers in a cluster.
+ */
+function clusterIcon(cluster) {
+  const count = clusterWeight(cluster.getAllChildMarkers());
+  let size = 'small';
+  if (count >= 100) {
+    size = 'large';
+  } else if (count >= 10) {
+    size = 'medium';
+  }
+  return L.divIcon({
+    html: `<div><span>${count}</span></div>`,
+    className: `marker-cluster marker-cluster-${size}`,
+    iconSize: L.point(40, 40),
+  });
+}
+
+/**
+ * Combine the style configured for a layer with the style given in the properties of a feature.
+ * The style of the feature takes precedence.
+ *
+ * @param {Object} feature the GeoJSON feature
+ * @param {Object} style the style of the layer
+ * @returns {Object} the style to apply
+ */
+export function featureStyle(feature, style) {
+  return { ...style, ...(feature && feature.properties && feature.properties.style) };
+}
+
+/**
+ * Tooltip for a feature without a label configured: the `label` or `name` in its properties.
+ *
+ * @param {Object} feature the GeoJSON feature
+ * @returns {string|undefined} the label
+ */
+export function featureLabel(feature) {
+  return feature && feature.properties && (feature.properties.label || feature.properties.name);
+}
+
+/*
+ * Parse the date or date range of a place into its first and last day
+ */
+function parseDates(date) {
+  return date ? parseUncertainDate(String(date)) : null;
+}
+
+function nextDay(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().substring(0, 10);
+}
+
+/*
+ * Check if a place is active in the given period (end excluded).
+ * Places without dates are always shown.
+ */
+function inPeriod(dates, period) {
+  if (!period || !dates) {
+    return true;
+  }
+  return (
+    (!period.start || !dates.end || dates.end >= period.start) &&
+    (!period.end || !dates.start || dates.start < period.end)
+  );
+}
+
+function formatCoordinate(num) {
+  return Number(num.toFixed(6));
+}
+
+/**
+ * Serialize a GeoJSON polygon as WKT, e.g. `POLYGON((8.5 47.3, 9.1 47.3, 8.8 47.6, 8.5 47.3))`.
+ * Coordinates are rounded to 6 decimal places.
+ *
+ * @param {Object} geometry the GeoJSON polygon
+ * @returns {string} the WKT
+ */
+export function toWKT(geometry) {
+  const ring = geometry.coordinates[0]
+    .map(([lng, lat]) => `${formatCoordinate(lng)} ${formatCoordinate(lat)}`)
+    .join(', ');
+  return `POLYGON((${ring}))`;
+}
+
+/**
+ * Details of the `pb-leaflet-area-selected` event for an area drawn on the map.
+ * If the selection was cleared, all search parameters are set to null.
+ *
+ * @param {any} layer the Leaflet layer drawn or null if the selection was cleared
+ * @param {string} [type] either 'rectangle' or 'polygon'
+ * @returns {Object} the event details
+ */
+export function areaSelection(layer, type) {
+  if (!layer) {
+    const cleared = {};
+    AREA_PARAMETERS.forEach(name => {
+      cleared[name] = null;
+    });
+    return { type: null, bbox: null, geometry: null, params: cleared };
+  }
+  const bounds = layer.getBounds();
+  const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()].map(
+    formatCoordinate,
+  );
+  const { geometry } = layer.toGeoJSON();
+  return {
+    type,
+    bbox,
+    geometry,
+    params: {
+      bbox: bbox.join(','),
+      polygon: type === 'polygon' ? toWKT(geometry) : null,
+    },
+  };
+}
+
+/**
+ * Label for the period covered by a bin of the timeline.
+ *
+ * @param {string} scope the scope of the timeline, e.g. 'Y' or 'M'
+ * @param {string} start the first day of the period
+ * @param {string} end the day after the period
+ * @returns {string} the label
+ */
+export function periodLabel(scope, start, end) {
+  const last = new Date(`${end}T00:00:00Z`);
+  last.setUTCDate(last.getUTCDate() - 1);
+  const lastStr = last.toISOString().substring(0, 10);
+  switch (scope) {
+    case 'Y':
+      return start.substring(0, 4);
+    case '5Y':
+    case '10Y':
+      return `${start.substring(0, 4)}–${lastStr.substring(0, 4)}`;
+    case 'M':
+      return start.substring(0, 7);
+    case 'D':
+      return start;
+    default:
+      return `${start} – ${lastStr}`;
+  }
+}
 
 /**
  * A wrapper component for [leaflet](https://leafletjs.com/) displaying a map.
@@ -12,10 +184,24 @@ import './pb-map-icon.js';
  * The map layers displayed can be configured via nested `pb-map-layer` (see docs) elements,
  * icons via `pb-map-icon`.
  *
+ * For large numbers of places, markers can be combined into clusters showing the number of
+ * markers they contain (`cluster`), and the density of places can be displayed as a heatmap
+ * (`heatmap`). Alternatively, both can be configured via `pb-map-layer` elements with type
+ * `markers` or `heatmap`, which also allows users to switch between them via the layer control:
+ *
+ * ```html
+ * <pb-map-layer type="markers" label="Places" cluster show></pb-map-layer>
+ * <pb-map-layer type="heatmap" label="Density" radius="20"></pb-map-layer>
+ * ```
+ *
  * @slot - may contain a series of `pb-map-layer` configurations
  * @fires pb-leaflet-marker-click - Fires event to be processed by the map upon click
  * @fires pb-update-map - When received, redraws the map to fit markers passed in with the event.
  * Event details should include an array of locations, see `pb-geolocation` event below.
+ * A location may include a `weight`, e.g. the number of occurrences of a place, which is used
+ * for cluster counts and the heatmap. Instead of coordinates, a location may also contain a
+ * `geometry` (any GeoJSON object, e.g. a polygon or a feature collection) and a `style`
+ * (leaflet path options) to show regions or routes.
  * @fires pb-update - When received, redraws the map to show markers for all pb-geolocation elements found in the content of the pb-view
  * @fires pb-geolocation - When received, focuses the map on the geocoordinates passed in with the event.
  * The event details should include an object:
@@ -27,9 +213,33 @@ import './pb-map-icon.js';
  *   },
  *   label: string - the label to show on mouseover,
  *   zoom: Number - fixed zoom level to zoom to,
- *   fitBounds: Boolean - if true, recompute current zoom level to show all markers
+ *   fitBounds: Boolean - if true, recompute current zoom level to show all markers,
+ *   geometry: Object - optional GeoJSON to show instead of a marker at the coordinates,
+ *   style: Object - leaflet path options to style the geometry
  * }
  * ```
+ *
+ * Shapes can be styled individually by adding a `style` object to the properties of a GeoJSON feature.
+ * Clicking on a shape emits `pb-leaflet-marker-click` in the same way as for markers.
+ *
+ * Locations may also carry a `date`: a single date or a range like `1850-03/1851-06` (see `pb-geolocation`).
+ * If the map subscribes to the channel of a `pb-timeline`, only places active in the period selected
+ * on the timeline are shown. With `play-control`, the map offers a button to step through time,
+ * e.g. to show an itinerary (each step shows the places of its period) or the spread of a correspondence
+ * network (`play-mode="cumulative"`: each step adds the places of its period). Places without a date
+ * are always shown.
+ *
+ * With `area-select`, the user can draw a rectangle or polygon on the map to search for documents mentioning
+ * places within it. The map then emits `pb-leaflet-area-selected`, which `pb-search` and `pb-browse-docs`
+ * use as a spatial filter, passing the parameters `bbox` (bounding box as `west,south,east,north`) and,
+ * for polygons, `polygon` (in WKT notation) to the server.
+ *
+ * @fires pb-leaflet-area-selected - Emitted when the user selected an area on the map or removed the selection.
+ * The event details contain the `type` of the area (`rectangle` or `polygon`, null if removed), its `bbox` as an array
+ * `[west, south, east, north]`, its `geometry` as GeoJSON and the request parameters `params` to filter by the area.
+ * @fires pb-timeline-daterange-changed - When received, shows only the places active in the selected period
+ * @fires pb-timeline-date-changed - When received, shows only the places active on the selected day
+ * @fires pb-timeline-reset-selection - When received, shows all places again
  * @fires pb-geocode - emitted if geocoding is enabled and the user searches or selects a location from the map
  */
 export class PbLeafletMap extends pbMixin(LitElement) {
@@ -72,6 +282,13 @@ export class PbLeafletMap extends pbMixin(LitElement) {
         type: Number,
         attribute: 'disable-clustering-at',
       },
+      /**
+       * If set, show the density of markers as a heatmap layer. Users can switch
+       * between markers and heatmap via the layer control.
+       */
+      heatmap: {
+        type: Boolean,
+      },
       /**
        * If enabled, the map will not automatically scroll to the coordinates received via `pb-geolocation`
        */
@@ -112,6 +329,44 @@ export class PbLeafletMap extends pbMixin(LitElement) {
         type: Boolean,
         attribute: 'geo-coding',
       },
+      /**
+       * Show a control to draw a rectangle or polygon on the map to select an area,
+       * see `pb-leaflet-area-selected`
+       */
+      areaSelect: {
+        type: Boolean,
+        attribute: 'area-select',
+      },
+      /**
+       * Show a control to play an animation stepping through the dates of the places
+       */
+      playControl: {
+        type: Boolean,
+        attribute: 'play-control',
+      },
+      /**
+       * Length of a step of the animation: one of 'D', 'W', 'M', 'Y', '5Y' or '10Y'.
+       * If not set, the step is chosen depending on the time span covered by the places.
+       */
+      playStep: {
+        type: String,
+        attribute: 'play-step',
+      },
+      /**
+       * Milliseconds to wait between the steps of the animation
+       */
+      playInterval: {
+        type: Number,
+        attribute: 'play-interval',
+      },
+      /**
+       * Either 'period' to show only the places active during each step,
+       * or 'cumulative' to also keep the places of previous steps.
+       */
+      playMode: {
+        type: String,
+        attribute: 'play-mode',
+      },
       _map: {
         type: Object,
       },
@@ -133,6 +388,16 @@ export class PbLeafletMap extends pbMixin(LitElement) {
     this.cluster = false;
     this.fitMarkers = false;
     this.disableClusteringAt = null;
+    this.heatmap = false;
+    this.areaSelect = false;
+    this.playControl = false;
+    this.playStep = null;
+    this.playInterval = 1000;
+    this.playMode = 'period';
+    this._allMarkers = [];
+    this._allShapes = [];
+    this._period = null;
+    this._playTimer = null;
     this._icons = {};
     this.geoCoding = false;
   }
@@ -148,26 +413,30 @@ export class PbLeafletMap extends pbMixin(LitElement) {
      * @param {{ detail: any[]; }} ev
      */
     this.subscribeTo('pb-update-map', ev => {
-      this._markerLayer.clearLayers();
+      this._clearLayers();
 
       /**
-       * @param {{ latitude: any; longitude: any; label: any; }} loc
-       */
-      /**
-       * @param {{ latitude: any; longitude: any; label: any; }} loc
+       * @param {{ latitude: any; longitude: any; label: any; weight: number; geometry: any; style: any }} loc
        */
-      ev.detail.forEach(loc => {
-        const marker = L.marker([loc.latitude, loc.longitude]);
+      const markers = ev.detail.map(loc => {
+        if (loc.geometry) {
+          this._addShape(loc.geometry, loc, feature => ({ element: loc, feature }));
+          return null;
+        }
+        const marker = L.marker([loc.latitude, loc.longitude], {
+          weight: loc.weight,
+          dates: parseDates(loc.date),
+        });
         if (loc.label) {
           marker.bindTooltip(loc.label);
         }
         marker.addEventListener('click', () => {
           this.emitTo('pb-leaflet-marker-click', { element: loc });
         });
-        marker.bindTooltip(loc.label);
         this.setMarkerIcon(marker);
-        this._markerLayer.addLayer(marker);
+        return marker;
       });
+      this._addMarkers(markers.filter(marker => marker));
       this._fitBounds();
     });
 
@@ -177,14 +446,22 @@ export class PbLeafletMap extends pbMixin(LitElement) {
      * @param {{ detail: { root: { querySelectorAll: (arg0: string) => any[]; }; }; }} ev
      */
     this.subscribeTo('pb-update', ev => {
-      this._markerLayer.clearLayers();
+      this._clearLayers();
       const locations = ev.detail.root.querySelectorAll('pb-geolocation');
       /**
-       * @param {{ latitude: any; longitude: any; }} loc
+       * @param {{ latitude: any; longitude: any; geometry: any; }} loc
        */
-      locations.forEach(loc => {
+      const markers = Array.from(locations).map(loc => {
+        if (loc.geometry) {
+          this._addShape(
+            loc.geometry,
+            { label: loc.label, popup: loc.popup, style: loc.shapeStyle, date: loc.date },
+            feature => ({ element: loc, feature }),
+          );
+          return null;
+        }
         const coords = L.latLng(loc.latitude, loc.longitude);
-        const marker = L.marker(coords).addTo(this._markerLayer);
+        const marker = L.marker(coords, { dates: parseDates(loc.date) });
         if (loc.label) {
           marker.bindTooltip(loc.label);
         }
@@ -195,7 +472,9 @@ export class PbLeafletMap extends pbMixin(LitElement) {
           this.emitTo('pb-leaflet-marker-click', { element: loc });
         });
         this.setMarkerIcon(marker);
+        return marker;
       });
+      this._addMarkers(markers.filter(marker => marker));
       this._fitBounds();
     });
 
@@ -205,15 +484,21 @@ export class PbLeafletMap extends pbMixin(LitElement) {
      * @param {{ detail: { coordinates: { latitude: number; longitude: number; }, label: string; }; }} ev
      */
     this.subscribeTo('pb-geolocation', ev => {
+      if (ev.detail.geometry) {
+        this._showShape(ev.detail);
+        return;
+      }
       if (ev.detail.coordinates) {
         this.latitude = ev.detail.coordinates.latitude;
         this.longitude = ev.detail.coordinates.longitude;
         if (ev.detail.clear) {
-          this._markerLayer.clearLayers();
+          this._clearLayers();
         }
 
         if (!this._hasMarker(this.latitude, this.longitude)) {
-          const marker = L.marker([this.latitude, this.longitude]);
+          const marker = L.marker([this.latitude, this.longitude], {
+            dates: parseDates(ev.detail.date),
+          });
           marker.addEventListener('click', () => {
             this.emitTo('pb-leaflet-marker-click', ev.detail);
           });
@@ -224,7 +509,7 @@ export class PbLeafletMap extends pbMixin(LitElement) {
             marker.bindPopup(ev.detail.popup);
           }
           this.setMarkerIcon(marker);
-          marker.addTo(this._markerLayer);
+          this._addMarkers([marker]);
 
           if (ev.detail.fitBounds) {
             this._fitBounds();
@@ -242,6 +527,39 @@ export class PbLeafletMap extends pbMixin(LitElement) {
         this._locationChanged(this.latitude, this.longitude, ev.detail.zoom, activateMarker);
       }
     });
+
+    this.subscribeTo('pb-timeline-daterange-changed', ev => {
+      const { startDateStr, endDateStr, endExclusiveDateStr, scope } = ev.detail;
+      this.pause();
+      // for a single bin, the timeline sends the end of the bin (excluded) as endDateStr
+      const label =
+        endExclusiveDateStr && endDateStr === endExclusiveDateStr
+          ? periodLabel(scope, startDateStr, endExclusiveDateStr)
+          : `${startDateStr} – ${endDateStr}`;
+      this._setPeriod(
+        startDateStr,
+        endExclusiveDateStr || (endDateStr && nextDay(endDateStr)),
+        label,
+      );
+    });
+    this.subscribeTo('pb-timeline-date-changed', ev => {
+      const { startDateStr } = ev.detail;
+      this.pause();
+      if (startDateStr) {
+        this._setPeriod(startDateStr, nextDay(startDateStr), startDateStr);
+      } else {
+        this._setPeriod(null, null);
+      }
+    });
+    this.subscribeTo('pb-timeline-reset-selection', () => {
+      this.pause();
+      this._setPeriod(null, null);
+    });
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.pause();
   }
 
   /**
@@ -254,6 +572,51 @@ export class PbLeafletMap extends pbMixin(LitElement) {
     return this._map;
   }
 
+  /**
+   * Start the animation stepping through the dates of the places. Continues
+   * from the last step shown if the animation was paused before.
+   */
+  play() {
+    const range = this._datedRange();
+    if (!range) {
+      return;
+    }
+    this.pause();
+    const service = new SearchResultService({}, 30);
+    const scope = this.playStep || service.getScopeForRange(range.start, nextDay(range.end));
+    if (!this._playPosition || this._playPosition > range.end) {
+      this._playPosition = service.getStartOfRangeDate(scope, range.start);
+    }
+    const step = () => {
+      if (this._playPosition > range.end) {
+        this.pause();
+        return;
+      }
+      const start = this._playPosition;
+      const end = service.getEndOfRangeDate(scope, start);
+      this._setPeriod(
+        this.playMode === 'cumulative' ? null : start,
+        end,
+        periodLabel(scope, start, end),
+      );
+      this._playPosition = end;
+    };
+    step();
+    this._playTimer = setInterval(step, this.playInterval);
+    this._updatePlayControl();
+  }
+
+  /**
+   * Pause the animation started with `play`
+   */
+  pause() {
+    if (this._playTimer) {
+      clearInterval(this._playTimer);
+      this._playTimer = null;
+    }
+    this._updatePlayControl();
+  }
+
   setMarkerIcon(layer) {
     if (this._icons && this._icons.default) {
       layer.setIcon(this._icons.default);
@@ -309,6 +672,49 @@ export class PbLeafletMap extends pbMixin(LitElement) {
         visibility: hidden;
       }
 
+      .area-select button {
+        display: block;
+        border: none;
+        border-bottom: 1px solid #ccc;
+        background-color: #fff;
+        width: 30px;
+        height: 30px;
+        font-size: 16px;
+        cursor: pointer;
+      }
+
+      .area-select button:last-child {
+        border-bottom: none;
+      }
+
+      .area-select button.active {
+        background-color: #f4f4f4;
+      }
+
+      .play-control {
+        display: flex;
+        align-items: center;
+        background-color: #fff;
+      }
+
+      .play-control button {
+        border: none;
+        background: none;
+        font-size: 16px;
+        width: 30px;
+        height: 30px;
+        cursor: pointer;
+      }
+
+      .play-control span {
+        padding: 0 8px;
+        font-size: 12px;
+      }
+
+      .play-control span:empty {
+        display: none;
+      }
+
       .close {
         border-radius: 4px;
         background-color: #fff;
@@ -335,19 +741,16 @@ export class PbLeafletMap extends pbMixin(LitElement) {
       center: L.latLng(this.latitude, this.longitude),
       crs,
     });
+    this._layerControl = L.control.layers(null, null, { collapsed: true });
+    this._layerCount = 0;
     this._configureLayers();
     this._configureMarkers();
-
-    if (this.cluster) {
-      const options = {};
-      if (this.disableClusteringAt) {
-        options.disableClusteringAtZoom = this.disableClusteringAt;
-      }
-      this._markerLayer = L.markerClusterGroup(options);
-    } else {
-      this._markerLayer = L.layerGroup();
+    this._configureMarkerLayers();
+    // only show layer control if there's more than one layer
+    if (this._layerCount > 1) {
+      this._layerControl.addTo(this._map);
     }
-    this._markerLayer.addTo(this._map);
+    this._layers = null;
 
     this.signalReady();
 
@@ -375,6 +778,104 @@ export class PbLeafletMap extends pbMixin(LitElement) {
     }
 
     this._configureGeoCoding();
+    this._configurePlayControl();
+    this._configureAreaSelect();
+  }
+
+  _configureAreaSelect() {
+    if (!this.areaSelect) {
+      return;
+    }
+    areaSelectControl({
+      labels: {
+        rectangle: i18n('map.selectRectangle'),
+        polygon: i18n('map.selectPolygon'),
+        clear: i18n('map.clearSelection'),
+      },
+      onSelect: (layer, type) =>
+        this.emitTo('pb-leaflet-area-selected', areaSelection(layer, type)),
+      onClear: () => this.emitTo('pb-leaflet-area-selected', areaSelection(null)),
+    }).addTo(this._map);
+  }
+
+  _configurePlayControl() {
+    if (!this.playControl) {
+      return;
+    }
+    const PlayControl = L.Control.extend({
+      options: {
+        position: 'bottomleft',
+      },
+      onAdd: () => {
+        const container = L.DomUtil.create('div', 'leaflet-bar play-control');
+        this._playButton = L.DomUtil.create('button', '', container);
+        this._playLabel = L.DomUtil.create('span', '', container);
+        L.DomEvent.disableClickPropagation(container);
+        L.DomEvent.on(this._playButton, 'click', () => {
+          if (this._playTimer) {
+            this.pause();
+          } else {
+            this.play();
+          }
+        });
+        this._updatePlayControl();
+        return container;
+      },
+    });
+    new PlayControl().addTo(this._map);
+  }
+
+  _updatePlayControl() {
+    if (!this._playButton) {
+      return;
+    }
+    this._playButton.textContent = this._playTimer ? '❚❚' : '▶';
+    this._playButton.title = i18n(this._playTimer ? 'map.pause' : 'map.play');
+    this._playLabel.textContent = (this._period && this._periodLabel) || '';
+  }
+
+  /**
+   * First and last day covered by the dated places
+   */
+  _datedRange() {
+    let start = null;
+    let end = null;
+    this._allMarkers
+      .map(marker => marker.options.dates)
+      .concat(this._allShapes.map(layer => layer.options.dates))
+      .forEach(dates => {
+        if (!dates) {
+          return;
+        }
+        [dates.start, dates.end].forEach(date => {
+          if (date && (!start || date < start)) {
+            start = date;
+          }
+          if (date && (!end || date > end)) {
+            end = date;
+          }
+        });
+      });
+    return start ? { start, end } : null;
+  }
+
+  /**
+   * Show only places active from start until end (excluded). If both are null, show all places.
+   */
+  _setPeriod(start, end, label) {
+    this._period = start || end ? { start, end } : null;
+    this._periodLabel = label;
+    if (this._map) {
+      this._markerLayer.clearLayers();
+      this._shapeLayer.clearLayers();
+      this._allShapes
+        .filter(layer => inPeriod(layer.options.dates, this._period))
+        .forEach(layer => layer.addTo(this._shapeLayer));
+      this._showMarkers(
+        this._allMarkers.filter(marker => inPeriod(marker.options.dates, this._period)),
+      );
+    }
+    this._updatePlayControl();
   }
 
   _configureGeoCoding() {
@@ -441,7 +942,11 @@ export class PbLeafletMap extends pbMixin(LitElement) {
   }
 
   _configureLayers() {
-    if (this._layers.length === 0) {
+    // layers of type markers or heatmap are configured in _configureMarkerLayers
+    const configs = this._layers.filter(
+      config => config.type !== 'markers' && config.type !== 'heatmap',
+    );
+    if (configs.length === 0) {
       // configure a default layer
       L.tileLayer(
         'https://api.mapbox.com/styles/v1/mapbox/streets-v11/tiles/{z}/{x}/{y}?access_token={accessToken}',
@@ -456,13 +961,16 @@ export class PbLeafletMap extends pbMixin(LitElement) {
       ).addTo(this._map);
       return;
     }
-    const layers = L.control.layers(null, null, { collapsed: true });
-    this._layers.forEach(config => {
+    const layers = this._layerControl;
+    configs.forEach(config => {
       let layer;
       switch (config.type) {
         case 'geojson':
           config.data().then(data => {
-            layer = L.geoJSON([data]);
+            layer = this._createGeoJSON([data], { style: config.shapeStyle }, feature => ({
+              element: feature,
+              feature,
+            }));
             this._addLayer(config, layer, layers);
           });
           break;
@@ -471,12 +979,168 @@ export class PbLeafletMap extends pbMixin(LitElement) {
           this._addLayer(config, layer, layers);
           break;
       }
+      this._layerCount += 1;
     });
-    // only show layer control if there's more than one layer
-    if (this._layers.length > 1) {
-      layers.addTo(this._map);
+  }
+
+  /**
+   * Create the layers showing markers and their density. Both can be configured
+   * via a `pb-map-layer` of type `markers` or `heatmap`, falling back to the
+   * attributes of this component.
+   */
+  _configureMarkerLayers() {
+    this._shapeLayer = L.featureGroup().addTo(this._map);
+
+    const configs = Array.from(this._layers);
+    const markerConfig = configs.find(config => config.type === 'markers');
+    const heatmapConfig = configs.find(config => config.type === 'heatmap');
+
+    const cluster = markerConfig ? markerConfig.cluster : this.cluster;
+    const disableClusteringAt = markerConfig
+      ? markerConfig.disableClusteringAt
+      : this.disableClusteringAt;
+    if (cluster) {
+      const options = {
+        chunkedLoading: true,
+        iconCreateFunction: clusterIcon,
+      };
+      if (disableClusteringAt) {
+        options.disableClusteringAtZoom = disableClusteringAt;
+      }
+      this._markerLayer = L.markerClusterGroup(options);
+    } else {
+      this._markerLayer = L.layerGroup();
+    }
+
+    if (!(heatmapConfig || this.heatmap)) {
+      this._addLayer(markerConfig || { show: true }, this._markerLayer, this._layerControl);
+      if (markerConfig) {
+        this._layerCount += 1;
+      }
+      return;
+    }
+    this._heatmapLayer = heatmapLayer([], heatmapConfig ? heatmapConfig.heatmapOptions : {});
+    this._addLayer(
+      {
+        show: markerConfig ? markerConfig.show : true,
+        label: (markerConfig && markerConfig.label) || i18n('map.markers'),
+      },
+      this._markerLayer,
+      this._layerControl,
+    );
+    this._addLayer(
+      {
+        show: heatmapConfig ? heatmapConfig.show : true,
+        label: (heatmapConfig && heatmapConfig.label) || i18n('map.heatmap'),
+      },
+      this._heatmapLayer,
+      this._layerControl,
+    );
+    this._layerCount += 2;
+  }
+
+  /**
+   * Create a layer for GeoJSON data. Features are styled with the given style, which
+   * may be overwritten by a `style` object in the properties of a feature. Clicking a feature
+   * emits `pb-leaflet-marker-click` with the details returned by `clickDetail`.
+   *
+   * @param {any} data the GeoJSON data
+   * @param {{ style: Object; label: string; popup: any; }} options style, tooltip and popup
+   * @param {function(any): Object} clickDetail returns event details for a clicked feature
+   */
+  _createGeoJSON(data, { style, label, popup }, clickDetail) {
+    return L.geoJSON(data, {
+      style: feature => featureStyle(feature, style),
+      pointToLayer: (feature, latlng) => {
+        const marker = L.marker(latlng);
+        this.setMarkerIcon(marker);
+        return marker;
+      },
+      onEachFeature: (feature, layer) => {
+        const tooltip = label || featureLabel(feature);
+        if (tooltip) {
+          layer.bindTooltip(tooltip);
+        }
+        if (popup) {
+          layer.bindPopup(popup);
+        }
+        layer.on('click', () => {
+          this.emitTo('pb-leaflet-marker-click', clickDetail(feature));
+        });
+      },
+    });
+  }
+
+  _addShape(geometry, options, clickDetail) {
+    const layer = this._createGeoJSON(geometry, options, clickDetail);
+    layer.options.geometryKey = JSON.stringify(geometry);
+    layer.options.dates = parseDates(options.date);
+    this._allShapes.push(layer);
+    if (inPeriod(layer.options.dates, this._period)) {
+      layer.addTo(this._shapeLayer);
+    }
+    return layer;
+  }
+
+  _findShape(geometry) {
+    const key = JSON.stringify(geometry);
+    return this._allShapes.find(layer => layer.options.geometryKey === key);
+  }
+
+  /**
+   * Show a shape received via `pb-geolocation` and focus the map on it.
+   */
+  _showShape(detail) {
+    if (detail.clear) {
+      this._clearLayers();
+    }
+    let layer = this._findShape(detail.geometry);
+    if (layer) {
+      console.log('<pb-leaflet-map> Shape already added to map');
+    } else {
+      layer = this._addShape(detail.geometry, detail, () => detail);
+      if (detail.fitBounds) {
+        this._fitBounds();
+      }
+    }
+    if (this.toggle) {
+      this.disabled = false;
+    }
+    const bounds = layer.getBounds();
+    if (!this.noScroll && bounds.isValid()) {
+      this._map.fitBounds(bounds, { maxZoom: detail.zoom || this.zoom });
     }
-    this._layers = null;
+  }
+
+  _clearLayers() {
+    this._allMarkers = [];
+    this._allShapes = [];
+    this._playPosition = null;
+    this._markerLayer.clearLayers();
+    this._shapeLayer.clearLayers();
+    this._updateHeatmap();
+  }
+
+  _addMarkers(markers) {
+    this._allMarkers = this._allMarkers.concat(markers);
+    this._showMarkers(markers.filter(marker => inPeriod(marker.options.dates, this._period)));
+  }
+
+  _showMarkers(markers) {
+    if (this._markerLayer.addLayers) {
+      // markercluster adds many markers much faster in one go
+      this._markerLayer.addLayers(markers);
+    } else {
+      markers.forEach(marker => this._markerLayer.addLayer(marker));
+    }
+    this._updateHeatmap();
+  }
+
+  _updateHeatmap() {
+    if (!this._heatmapLayer) {
+      return;
+    }
+    this._heatmapLayer.setPoints(heatmapPoints(this._markerLayer));
   }
 
   _addLayer(config, layer, layers) {
@@ -502,9 +1166,11 @@ export class PbLeafletMap extends pbMixin(LitElement) {
       bounds.extend(layer.getLatLng());
       len += 1;
     });
-    if (len === 0) {
+    const shapes = this._shapeLayer.getLayers();
+    shapes.forEach(layer => bounds.extend(layer.getBounds()));
+    if (len + shapes.length === 0 || !bounds.isValid()) {
       this._map.fitWorld();
-    } else if (len === 1) {
+    } else if (len === 1 && shapes.length === 0) {
       this._map.fitBounds(bounds, { maxZoom: this.zoom });
     } else {
       this._map.fitBounds(bounds);
@@ -519,7 +1185,7 @@ export class PbLeafletMap extends pbMixin(LitElement) {
           if (zoom && !this.noScroll) {
             layer.openTooltip();
             this._map.setView(coords, zoom);
-          } else if (this.cluster) {
+          } else if (this._markerLayer.zoomToShowLayer) {
             this._markerLayer.zoomToShowLayer(layer, () => layer.openTooltip());
           } else {
             layer.openTooltip();
@@ -541,13 +1207,8 @@ export class PbLeafletMap extends pbMixin(LitElement) {
 
   _hasMarker(lat, long) {
     const coords = L.latLng([lat, long]);
-    let found = null;
-    this._markerLayer.eachLayer(layer => {
-      if (layer instanceof L.Marker && layer.getLatLng().equals(coords)) {
-        found = layer;
-      }
-    });
-    return found;
+    // also check markers hidden because they are not active in the current period
+    return this._allMarkers.find(marker => marker.getLatLng().equals(coords)) || null;
   }
 
   _hide() {
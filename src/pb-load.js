@@ -6,16 +6,24 @@ import { registry } from './urls.js';
 import '@polymer/iron-ajax';
 import './pb-dialog.js';
 import { themableMixin } from './theming.js';
+import { fillErrorTemplate, isRetryAction, loadError, retryDelay } from './load-error.js';
 
 /**
  * Dynamically load data by calling a server-side script, optionally triggered by an event.
  * This is used for e.g. the document list on the start page or the table
  * of contents.
  *
+ * If the request fails, a `pb-load-error` event is emitted and an error dialog is shown, unless
+ * `silent` is set. To show a custom message instead, add a child element with `slot="error"`,
+ * see `pb-view` for an example. Set `retries` to repeat requests failing due to a transient problem.
+ *
  * @slot - default unnamed slot for content
+ * @slot error - Custom content to show if loading failed
+ * @csspart error - div around the error slot
  * @fires pb-start-update - Fired before the element updates its content
  * @fires pb-end-update - Fired after the element has finished updating its content
  * @fires pb-results-received - Fired when the component received content from the server
+ * @fires pb-load-error - Fired if the request failed, with the status, URL, parameters and description of the error
  * @fires pb-toggle - When received, changes the state of the feature
  */
 export class PbLoad extends themableMixin(pbMixin(LitElement)) {
@@ -127,6 +135,30 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
       plain: {
         type: Boolean,
       },
+      /**
+       * Number of times to repeat a request which failed due to a transient problem like a timeout
+       * or a server being temporarily unavailable (see `TRANSIENT_STATUS` in `load-error.js`). Default is 0.
+       */
+      retries: {
+        type: Number,
+      },
+      /**
+       * Time in ms to wait before the first retry. The delay doubles with every further retry.
+       */
+      retryDelay: {
+        type: Number,
+        attribute: 'retry-delay',
+      },
+      /**
+       * Maximum time in ms to wait for the server to respond. Default is 0, which means no timeout.
+       */
+      timeout: {
+        type: Number,
+      },
+      _error: {
+        type: Object,
+        attribute: false,
+      },
     };
   }
 
@@ -140,6 +172,11 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
     this.language = null;
     this.noCredentials = false;
     this.silent = false;
+    this.retries = 0;
+    this.retryDelay = 1000;
+    this.timeout = 0;
+    this._retries = 0;
+    this._error = null;
   }
 
   connectedCallback() {
@@ -193,7 +230,17 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
     this.signalReady();
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    clearTimeout(this._retryTimer);
+  }
+
   firstUpdated() {
+    this.addEventListener('click', ev => {
+      if (this._error && isRetryAction(ev)) {
+        this.retry();
+      }
+    });
     if (this.auto) {
       this.start = registry.state.start || 1;
       waitOnce('pb-page-ready', data => {
@@ -233,11 +280,13 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
   render() {
     return html`
       <slot></slot>
+      <div id="error" part="error" ?hidden="${!this._error}"><slot name="error"></slot></div>
       <iron-ajax
         id="loadContent"
         verbose
         handle-as="text"
         method="get"
+        .timeout="${this.timeout}"
         ?with-credentials="${!this.noCredentials}"
         @response="${this._handleContent}"
         @error="${this._handleError}"
@@ -334,6 +383,9 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
     const url = this.getURL(params);
 
     console.log('<pb-load> Loading %s with parameters %o', url, params);
+    clearTimeout(this._retryTimer);
+    this._retries = 0;
+    this._error = null;
     const loader = this.shadowRoot.getElementById('loadContent');
     loader.params = params;
     loader.url = url;
@@ -358,6 +410,8 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
   }
 
   _handleContent(ev) {
+    this._retries = 0;
+    this._error = null;
     const resp = this.shadowRoot.getElementById('loadContent').lastResponse;
     if (this.container) {
       this.style.display = 'none';
@@ -393,25 +447,50 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
   }
 
   _handleError() {
-    this.emitTo('pb-end-update');
     const loader = this.shadowRoot.getElementById('loadContent');
-    const { response } = loader.lastError;
+    const error = loadError(loader.lastError, loader.url, loader.params);
+    const attempt = this._retries;
+    const retry = error.transient && attempt < this.retries;
+    this.emitTo('pb-load-error', { ...error, attempt, retry });
+    if (retry) {
+      console.log('<pb-load> Retrying request to %s', error.url);
+      this._retries += 1;
+      this._retryTimer = setTimeout(
+        () => loader.generateRequest(),
+        retryDelay(attempt, this.retryDelay),
+      );
+      return;
+    }
+    this._retries = 0;
+    this.emitTo('pb-end-update');
     if (this.silent) {
-      console.error('Request failed: %s', response ? response.description : '');
+      console.error('Request failed: %s', error.description || '');
       return;
     }
-    let message;
-    if (response) {
-      message = response.description;
-    } else {
-      message = '<pb-i18n key="dialogs.serverError"></pb-i18n>';
+    const template = this.querySelector(':scope > [slot="error"]');
+    if (template) {
+      fillErrorTemplate(template, error);
+      this._error = error;
+      return;
     }
+    const message = error.description || '<pb-i18n key="dialogs.serverError"></pb-i18n>';
     const dialog = this.shadowRoot.getElementById('errorDialog');
     const messageElement = this.shadowRoot.getElementById('errorMessage');
     messageElement.innerHTML = `<pb-i18n key="dialogs.serverError"></pb-i18n>: ${message}`;
     dialog.openDialog();
   }
 
+  /**
+   * Send the last failed request again, e.g. if the user clicked on a retry button
+   * in the custom error message.
+   */
+  retry() {
+    clearTimeout(this._retryTimer);
+    this._error = null;
+    this.emitTo('pb-start-update');
+    this.shadowRoot.getElementById('loadContent').generateRequest();
+  }
+
   _parseHeaders(xhr, content) {
     // Try to determine number of pages and current position
     // Search for data-pagination-* attributes first and if they
@@ -478,5 +557,18 @@ export class PbLoad extends themableMixin(pbMixin(LitElement)) {
    * @param {int} count number of results received (according to `pb-total` header)
    * @param {int} start offset into the result set (according to `pb-start` header)
    */
+
+  /**
+   * Fired if the request failed
+   *
+   * @event pb-load-error
+   * @param {number} status HTTP status of the response, 0 if the server could not be reached or timed out
+   * @param {string} url the URL requested
+   * @param {object} params the request parameters
+   * @param {string} description description of the error returned by the server
+   * @param {boolean} transient true if the failure may be temporary
+   * @param {number} attempt number of retries made before
+   * @param {boolean} retry true if the request will be repeated
+   */
 }
 customElements.define('pb-load', PbLoad);
@@ -1,6 +1,18 @@
 import { LitElement } from 'lit-element';
 
-const ignore = ['type', 'url', 'label', 'base', 'show'];
+const ignore = [
+  'type',
+  'url',
+  'label',
+  'base',
+  'show',
+  'shapeStyle',
+  'cluster',
+  'disableClusteringAt',
+  'radius',
+  'blur',
+  'max',
+];
 
 /**
  * Configure a map layer. Should be nested inside `pb-leaflet-map`.
@@ -10,7 +22,10 @@ export class PbMapLayer extends LitElement {
   static get properties() {
     return {
       /**
-       * Type of the layer: either 'tile' or 'geojson'
+       * Type of the layer: either 'tile', 'geojson', 'markers' or 'heatmap'.
+       *
+       * 'markers' configures the layer showing the markers of the map, 'heatmap' adds
+       * a layer showing the density of the markers.
        */
       type: {
         type: String,
@@ -67,6 +82,47 @@ export class PbMapLayer extends LitElement {
         type: String,
         attribute: 'access-token',
       },
+      /**
+       * For type 'geojson': style applied to the features as an object containing
+       * leaflet path options, e.g. `{"color": "red", "weight": 2}`. Features may
+       * overwrite it with a `style` object in their properties.
+       */
+      shapeStyle: {
+        type: Object,
+        attribute: 'shape-style',
+      },
+      /**
+       * For type 'markers': combine markers into clusters showing the number of markers
+       */
+      cluster: {
+        type: Boolean,
+      },
+      /**
+       * For type 'markers': zoom level from which markers are no longer clustered
+       */
+      disableClusteringAt: {
+        type: Number,
+        attribute: 'disable-clustering-at',
+      },
+      /**
+       * For type 'heatmap': radius of a single point in pixels
+       */
+      radius: {
+        type: Number,
+      },
+      /**
+       * For type 'heatmap': amount of blur in pixels
+       */
+      blur: {
+        type: Number,
+      },
+      /**
+       * For type 'heatmap': the weight shown with maximum intensity. Defaults to the
+       * largest weight of all markers.
+       */
+      max: {
+        type: Number,
+      },
     };
   }
 
@@ -87,6 +143,16 @@ export class PbMapLayer extends LitElement {
     return options;
   }
 
+  get heatmapOptions() {
+    const options = {};
+    ['radius', 'blur', 'max'].forEach(key => {
+      if (this[key]) {
+        options[key] = this[key];
+      }
+    });
+    return options;
+  }
+
   async data() {
     return new Promise(resolve => {
       fetch(this.url)
@@ -4,6 +4,7 @@ import { registry } from './urls.js';
 import { translate } from './pb-i18n.js';
 import '@polymer/iron-ajax';
 import { themableMixin } from './theming.js';
+import { getAreaParameters } from './utils.js';
 
 /**
  * Implements a basic search form, which can be extended with additional inputs.
@@ -20,6 +21,8 @@ import { themableMixin } from './theming.js';
  * @fires pb-load - Fired to perform the actual search with parameters passed to the request
  * @fires pb-paginate - When received, triggers the search again with the new value of the start property
  * @fires pb-search-resubmit - When received, triggers the search again
+ * @fires pb-leaflet-area-selected - When received, triggers the search again, restricted to the area
+ * selected on a `pb-leaflet-map`
  */
 export class PbSearch extends themableMixin(pbMixin(LitElement)) {
   static get properties() {
@@ -89,6 +92,10 @@ export class PbSearch extends themableMixin(pbMixin(LitElement)) {
     super.connectedCallback();
 
     this.subscribeTo('pb-search-resubmit', this._doSearch.bind(this));
+    this.subscribeTo('pb-leaflet-area-selected', ev => {
+      this._area = ev.detail.params;
+      this._doSearch();
+    });
     this.subscribeTo('pb-paginate', ev => {
       this.start = ev.detail.params.start;
       this._doSearch(true);
@@ -97,6 +104,7 @@ export class PbSearch extends themableMixin(pbMixin(LitElement)) {
     registry.subscribe(this, state => {
       this.value = state.query || '';
       this.start = state.start || 1;
+      this._area = getAreaParameters(state);
       if (this.submitOnLoad) {
         this.emitTo('pb-load', {
           url: this.action,
@@ -108,6 +116,7 @@ export class PbSearch extends themableMixin(pbMixin(LitElement)) {
 
   firstUpdated() {
     waitOnce('pb-page-ready', options => {
+      this._area = this._area || getAreaParameters(registry.state);
       const loader = this.shadowRoot.getElementById('autocompleteLoader');
       const url = this.source || 'api/search/autocomplete';
       if (this.minApiVersion('1.0.0')) {
@@ -227,6 +236,7 @@ export class PbSearch extends themableMixin(pbMixin(LitElement)) {
   _doSearch(pagination = false) {
     let json = this._serializeForm();
     json = this._paramsFromSubforms(json);
+    json = Object.assign(json, getAreaParameters(this._area));
     json.start = pagination ? this.start : 1;
     if (this.redirect) {
       const params = new URLSearchParams();
@@ -235,7 +245,8 @@ export class PbSearch extends themableMixin(pbMixin(LitElement)) {
       });
       window.location.href = `${this.action}?${params}`;
     } else {
-      registry.commit(this, json);
+      // parameters of a removed area are set to null to delete them from the URL
+      registry.commit(this, { ...this._area, ...json });
       this.emitTo('pb-load', {
         url: this.action,
         params: json,
@@ -4,9 +4,36 @@ import { SearchResultService } from './search-result-service.js';
 import { ParseDateService } from './parse-date-service.js';
 import { pbMixin } from './pb-mixin.js';
 import '@polymer/iron-ajax';
-import { translate } from './pb-i18n.js';
+import { translate, get as i18n } from './pb-i18n.js';
 import { themableMixin } from './theming.js';
 
+/**
+ * Default colors for the series, may be overwritten by CSS
+ * properties `--pb-timeline-color-series-1` etc.
+ */
+const SERIES_COLORS = [
+  '#3f52b5',
+  '#f6a623',
+  '#4caf50',
+  '#e91e63',
+  '#00bcd4',
+  '#9c27b0',
+  '#795548',
+  '#607d8b',
+];
+
+function touchDistance(touches) {
+  return Math.hypot(
+    touches[0].clientX - touches[1].clientX,
+    touches[0].clientY - touches[1].clientY,
+  );
+}
+
+function binIndexAt(element) {
+  const bin = element && element.closest ? element.closest('.bin-container') : null;
+  return bin ? Number(bin.dataset.index) : undefined;
+}
+
 /**
  * A timeline component to display time series data in a bar chart like view.
  *
@@ -43,6 +70,44 @@ import { themableMixin } from './theming.js';
  *  }
  * }
  * ```
+ *
+ * To show several series of data, e.g. letters by sender or documents by type, the object for an entry
+ * may contain a property `series`, mapping the name of each series to its count. If `count` is missing,
+ * it is computed as the sum of the series. The series are shown as stacked or grouped bars (see `mode`)
+ * with a legend, which allows the user to hide or show single series.
+ * ```javascript
+ * {
+ *   "1874-01-25": {
+ *     "count": 3,
+ *     "series": {
+ *       "Alfred Escher": 2,
+ *       "Gustav von Mevissen": 1
+ *     }
+ *   }
+ * }
+ * ```
+ * Besides exact dates, keys may be dates with a precision of year or month (`1850`, `1850-05`),
+ * approximate or uncertain dates in EDTF notation (`1850~`, `1850-05?`) or intervals
+ * (`1850/1852`, `../1860`, `1850-05/..`), e.g. derived from TEI `@notBefore` and `@notAfter`.
+ * Their counts are spread across the bins they cover and shown as hatched bars. Keys which are
+ * no valid date, including dates with unknown parts like `1850-00-00`, are counted in the `?` bin.
+ *
+ * The events `pb-timeline-date-changed` and `pb-timeline-daterange-changed` then include the names of the
+ * currently shown series in property `series`, so searches can be restricted to them.
+ *
+ * Set `calendar` to divide the timeline into years and months of another calendar and to label
+ * the bins accordingly, e.g. `calendar="islamic"`. Supported are `gregorian` (default), `julian`,
+ * `islamic` and `hebrew`. Further calendars can be added via `registerCalendar` in `calendars.js`.
+ * The dates in the data as well as those sent with events remain ISO dates.
+ *
+ * If `zoomable` is set, the user can zoom into the timeline with the mouse wheel or a pinch gesture
+ * and pan it with a horizontal scroll (or shift and mouse wheel). For every zoom level, the data is
+ * requested again, passing the range shown and the scope chosen for it as parameters:
+ * `api/timeline?start=1850-01-01&end=1860-01-01&scope=M` (`end` is excluded). The endpoint
+ * should return the entries within the range and may aggregate them to the first day of each bin of
+ * the scope, so large corpora do not need to be transferred down to the day. Breadcrumbs above the
+ * timeline lead back to the previous zoom levels.
+ *
  * Sample Usage:
  * ```xml
  * <pb-timeline url="api/timeline" scopes="['D', 'M', 'Y', '5Y', '10Y']"
@@ -58,7 +123,8 @@ import { themableMixin } from './theming.js';
  * @slot label - Inserted before the label showing the currently displayed time range
  *
  * @fires pb-timeline-date-changed - Triggered when user clicks on a single entry
- * @fires pb-timeline-daterange-changed - Triggered when user selects a range of entries
+ * @fires pb-timeline-daterange-changed - Triggered when user selects a range of entries. Besides `startDateStr`
+ * and `endDateStr`, the event details include `endExclusiveDateStr`: the first day after the selected bins.
  * @fires pb-timeline-reset-selection - Requests that the timeline is reset to initial state
  * @fires pb-timeline-loaded - Timeline was loaded
  *
@@ -73,8 +139,12 @@ import { themableMixin } from './theming.js';
  * @cssprop --pb-timeline-tooltip-font-size
  * @cssprop --pb-timeline-tooltip-min-width
  * @cssprop --pb-timeline-tooltip-max-width
+ * @cssprop --pb-timeline-color-uncertain - color of the hatching for counts with uncertain dates
+ * @cssprop --pb-timeline-color-series-1 - color of the first series, and so on for the following series
  *
  * @csspart label
+ * @csspart breadcrumbs - navigation between zoom levels
+ * @csspart legend
  * @csspart tooltip
  * @csspart title
  */
@@ -194,6 +264,87 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
       .info {
         display: none;
       }
+      .uncertain {
+        background-image: repeating-linear-gradient(
+          45deg,
+          transparent 0 2px,
+          var(--pb-timeline-color-uncertain, rgba(255, 255, 255, 0.7)) 2px 4px
+        );
+      }
+      .bin.stacked,
+      .bin.grouped {
+        display: flex;
+        background-color: transparent !important;
+      }
+      .bin.stacked {
+        flex-direction: column-reverse;
+      }
+      .bin.grouped {
+        align-items: flex-end;
+        gap: 1px;
+      }
+      .bin.grouped .segment {
+        flex: 1;
+      }
+      .bin-container:hover .segment,
+      .bin-container.selected .segment {
+        filter: brightness(0.75);
+      }
+      .legend {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0 1em;
+        list-style: none;
+        margin: 0;
+        padding: 0;
+        font-size: var(--pb-timeline-title-font-size, 12px);
+      }
+      .legend button {
+        border: none;
+        background: none;
+        padding: 0;
+        font: inherit;
+        color: inherit;
+        cursor: pointer;
+        user-select: none;
+      }
+      .legend li.inactive {
+        opacity: 0.4;
+      }
+      .breadcrumbs {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 0 0.25em;
+        font-size: var(--pb-timeline-title-font-size, 12px);
+      }
+      .breadcrumbs button {
+        border: none;
+        background: none;
+        padding: 0;
+        font: inherit;
+        color: var(--pb-color-focus, #1976d2);
+        cursor: pointer;
+      }
+      .breadcrumbs button[disabled] {
+        color: inherit;
+        cursor: default;
+      }
+      .breadcrumbs .pan {
+        margin-left: auto;
+      }
+      .breadcrumbs .pan button {
+        font-size: 1.5em;
+        line-height: 1;
+        padding: 0 0.25em;
+      }
+      .swatch {
+        display: inline-block;
+        width: 0.8em;
+        height: 0.8em;
+        margin-right: 0.25em;
+        border-radius: 2px;
+      }
 
       /* TOOLTIP */
       .tooltip {
@@ -361,6 +512,31 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
       resettable: {
         type: Boolean,
       },
+      /**
+       * If the data contains several series: show them as `stacked` bars
+       * or as `grouped` bars next to each other.
+       */
+      mode: {
+        type: String,
+      },
+      /**
+       * Calendar used to divide the timeline into years and months and to label the bins,
+       * e.g. `julian`, `islamic` or `hebrew`. Dates in the data and in events are always
+       * ISO dates in the (proleptic) Gregorian calendar.
+       */
+      calendar: {
+        type: String,
+      },
+      /**
+       * Allow zooming into and panning the timeline. Each zoom level is
+       * requested from the endpoint with parameters `start`, `end` and `scope`.
+       */
+      zoomable: {
+        type: Boolean,
+      },
+      _zoomStack: {
+        type: Array,
+      },
       _language: {
         type: String,
       },
@@ -380,6 +556,11 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     this.url = '';
     this.auto = false;
     this.resettable = false;
+    this.mode = 'stacked';
+    this.calendar = 'gregorian';
+    this.zoomable = false;
+    this._zoomStack = [];
+    this._hiddenSeries = new Set();
     this._language = 'en';
     this._resetSelectionProperty();
   }
@@ -391,6 +572,9 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
       const loader = this.shadowRoot.getElementById('loadData');
       const url = this.toAbsoluteURL(this.url, this.getEndpoint());
       loader.url = url;
+      loader.params = {};
+      this._zoomStack = [];
+      this._rootRequest = null;
       loader.generateRequest();
     });
     this.subscribeTo('pb-i18n-update', ev => {
@@ -413,6 +597,12 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     document.addEventListener('pb-timeline-daterange-changed', event => {
       const { startDateStr } = event.detail;
       const { endDateStr } = event.detail;
+      if (event.detail.series && this._hasSeries()) {
+        this._hiddenSeries = new Set(
+          this.dataObj.series.filter(name => event.detail.series.indexOf(name) < 0),
+        );
+        this._updateSeries();
+      }
       if (this._fullRangeSelected(startDateStr, endDateStr)) {
         // do not mark the whole histogram, reset selection instead
         console.log('_fullRangeSelected() is true');
@@ -437,6 +627,15 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
    * @param changedProperties
    */
   updated(changedProperties) {
+    if (changedProperties.has('mode') && this.dataObj) {
+      this._updateSeries();
+    }
+    if (changedProperties.has('calendar') && this.searchResult) {
+      this.searchResult.calendar = this.calendar;
+      if (!changedProperties.has('scope')) {
+        this.setData(this.searchResult.export(this._currentScope()));
+      }
+    }
     if (changedProperties.has('scope')) {
       if (this.searchResult) {
         if (this.scopes.includes(this.scope)) {
@@ -450,7 +649,10 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
 
   setData(dataObj) {
     this.dataObj = dataObj;
-    this.maxValue = Math.max(...this.dataObj.data.map(binObj => binObj.value));
+    this._hiddenSeries = new Set(
+      [...this._hiddenSeries].filter(name => this._hasSeries() && dataObj.series.includes(name)),
+    );
+    this.maxValue = this._computeMaxValue();
     this.requestUpdate();
     this.updateComplete.then(() => {
       this.bins = this.shadowRoot.querySelectorAll('.bin-container');
@@ -459,6 +661,251 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     });
   }
 
+  _hasSeries() {
+    return Boolean(this.dataObj && this.dataObj.series && this.dataObj.series.length > 0);
+  }
+
+  /**
+   * The names of the series currently shown, or undefined if the data
+   * does not contain several series.
+   *
+   * @returns {String[]|undefined} names of the series
+   */
+  getSelectedSeries() {
+    if (!this._hasSeries()) {
+      return undefined;
+    }
+    return this.dataObj.series.filter(name => !this._hiddenSeries.has(name));
+  }
+
+  _binValue(binObj) {
+    if (!this._hasSeries() || this._hiddenSeries.size === 0) {
+      return binObj.value;
+    }
+    return this.getSelectedSeries().reduce((sum, name) => sum + (binObj.series[name] || 0), 0);
+  }
+
+  _binUncertain(binObj) {
+    if (!this._hasSeries() || this._hiddenSeries.size === 0) {
+      return binObj.uncertain || 0;
+    }
+    return this.getSelectedSeries().reduce(
+      (sum, name) => sum + (binObj.uncertainSeries[name] || 0),
+      0,
+    );
+  }
+
+  _uncertainSummary(bins) {
+    const count = bins.reduce((sum, binObj) => sum + this._binUncertain(binObj), 0);
+    if (count === 0) {
+      return '';
+    }
+    return `<div class="uncertain-count">${i18n('timeline.uncertain', {
+      count: this._numberWithCommas(count),
+    })}</div>`;
+  }
+
+  _computeMaxValue() {
+    if (this._hasSeries() && this.mode === 'grouped') {
+      const series = this.getSelectedSeries();
+      return Math.max(
+        ...this.dataObj.data.map(binObj =>
+          Math.max(0, ...series.map(name => binObj.series[name] || 0)),
+        ),
+      );
+    }
+    return Math.max(...this.dataObj.data.map(binObj => this._binValue(binObj)));
+  }
+
+  _seriesColor(name) {
+    const idx = this.dataObj.series.indexOf(name);
+    const color = SERIES_COLORS[idx % SERIES_COLORS.length];
+    return `var(--pb-timeline-color-series-${idx + 1}, ${color})`;
+  }
+
+  _toggleSeries(name) {
+    if (this._hiddenSeries.has(name)) {
+      this._hiddenSeries.delete(name);
+    } else if (this.getSelectedSeries().length > 1) {
+      this._hiddenSeries.add(name);
+    } else {
+      return;
+    }
+    this._updateSeries();
+    this.updateComplete.then(() => {
+      if (this._getSelectedBins().length > 0) {
+        this._showtooltipSelection();
+        this._emitSelection();
+      }
+    });
+  }
+
+  _updateSeries() {
+    this.maxValue = this._computeMaxValue();
+    this.requestUpdate();
+  }
+
+  _seriesSummary(bins) {
+    if (!this._hasSeries()) {
+      return '';
+    }
+    const items = this.getSelectedSeries()
+      .map(name => [name, bins.reduce((sum, binObj) => sum + (binObj.series[name] || 0), 0)])
+      .filter(([, count]) => count > 0)
+      .map(
+        ([name, count]) =>
+          `<li><span class="swatch" style="background-color: ${this._seriesColor(
+            name,
+          )}"></span>${name}: ${this._numberWithCommas(count)}</li>`,
+      );
+    return items.length > 0 ? `<ul class="series">${items.join('')}</ul>` : '';
+  }
+
+  _currentScope() {
+    const level = this._zoomStack[this._zoomStack.length - 1];
+    return level ? level.scope : this.scope;
+  }
+
+  _datedBins() {
+    return this.dataObj.data.filter(binObj => binObj.category !== '?');
+  }
+
+  /**
+   * Zoom into the timeline, showing about half of the bins currently shown
+   * around the bin with the given index at a finer scope if possible.
+   *
+   * @param {number} index index of the bin to zoom into within `dataObj.data`, as given
+   * in the `data-index` attribute of the bin. Zooms into the center if not given or if the
+   * bin collects undated entries.
+   */
+  zoomIn(index) {
+    const bins = this._datedBins();
+    const { scope } = this.dataObj;
+    if (bins.length === 0 || (scope === this.scopes[0] && bins.length <= 2)) {
+      return;
+    }
+    const position = index === undefined ? -1 : bins.indexOf(this.dataObj.data[index]);
+    const center = position < 0 ? bins.length / 2 : position;
+    const half = Math.max(1, Math.floor(bins.length / 4));
+    const first = bins[Math.max(0, Math.round(center) - half)];
+    const last = bins[Math.min(bins.length - 1, Math.round(center) + half)];
+    this._zoomTo([
+      ...this._zoomStack,
+      {
+        start: first.dateStr,
+        end: this.searchResult.getEndOfRangeDate(scope, last.dateStr),
+      },
+    ]);
+  }
+
+  /**
+   * Return to the previous zoom level.
+   */
+  zoomOut() {
+    if (this._zoomStack.length > 0) {
+      this._zoomTo(this._zoomStack.slice(0, -1));
+    }
+  }
+
+  /**
+   * Slide the range shown by a quarter of its width to later (positive direction)
+   * or earlier (negative direction) dates, staying within the dates of the data.
+   *
+   * @param {number} direction the direction
+   */
+  pan(direction) {
+    const level = this._zoomStack[this._zoomStack.length - 1];
+    if (!level || this._zoomLoading || direction === 0) {
+      return;
+    }
+    const bins = this._datedBins();
+    const step = Math.max(1, Math.floor(bins.length / 4));
+    let start;
+    if (direction > 0) {
+      if (level.end > this._extent.end) {
+        return;
+      }
+      start = bins[Math.min(step, bins.length - 1)].dateStr;
+    } else {
+      if (level.start <= this._extent.start) {
+        return;
+      }
+      const days = (Date.parse(level.end) - Date.parse(level.start)) / 86400000;
+      const shift = ((days * step) / bins.length) * 86400000;
+      const shifted = new Date(Date.parse(level.start) - shift);
+      start = this.searchResult.getStartOfRangeDate(
+        level.scope,
+        shifted.toISOString().split('T')[0],
+      );
+    }
+    let end = start;
+    bins.forEach(() => {
+      end = this.searchResult.getEndOfRangeDate(level.scope, end);
+    });
+    this._zoomTo([...this._zoomStack.slice(0, -1), { start, end }]);
+  }
+
+  _zoomTo(stack) {
+    const loader = this.shadowRoot.getElementById('loadData');
+    if (!this._rootRequest) {
+      this._rootRequest = { url: loader.url, params: loader.params };
+    }
+    const level = stack[stack.length - 1];
+    if (level) {
+      level.scope = this.searchResult.getScopeForRange(level.start, level.end);
+      loader.url = this.toAbsoluteURL(this.url, this.getEndpoint());
+      loader.params = { start: level.start, end: level.end, scope: level.scope };
+    } else {
+      loader.url = this._rootRequest.url;
+      loader.params = this._rootRequest.params;
+    }
+    this._zoomStack = stack;
+    this._zoomLoading = true;
+    this._lastZoom = Date.now();
+    loader.generateRequest();
+  }
+
+  _wheel(event) {
+    if (!this.zoomable || !this.dataObj) {
+      return;
+    }
+    event.preventDefault();
+    // a single turn of the wheel or swipe on a touchpad fires a series of events
+    if (this._zoomLoading || Date.now() - this._lastZoom < 500) {
+      return;
+    }
+    if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+      this.pan(event.deltaX || event.deltaY);
+    } else if (event.deltaY < 0) {
+      this.zoomIn(binIndexAt(event.target));
+    } else if (event.deltaY > 0) {
+      this.zoomOut();
+    }
+  }
+
+  _touchStart(event) {
+    this._pinchDistance = event.touches.length === 2 ? touchDistance(event.touches) : null;
+  }
+
+  _touchMove(event) {
+    if (!this.zoomable || !this._pinchDistance || event.touches.length !== 2) {
+      return;
+    }
+    event.preventDefault();
+    const ratio = touchDistance(event.touches) / this._pinchDistance;
+    if (this._zoomLoading || (ratio < 1.5 && ratio > 0.67)) {
+      return;
+    }
+    this._pinchDistance = null;
+    if (ratio > 1) {
+      const x = (event.touches[0].clientX + event.touches[1].clientX) / 2;
+      const y = (event.touches[0].clientY + event.touches[1].clientY) / 2;
+      this.zoomIn(binIndexAt(this.shadowRoot.elementFromPoint(x, y)));
+    } else {
+      this.zoomOut();
+    }
+  }
+
   get label() {
     if (!this.dataObj || this.dataObj.data.length === 0) {
       return '';
@@ -491,9 +938,9 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     const selectedBins = this.shadowRoot.querySelectorAll('.bin-container.selected');
     let count = 0;
     selectedBins.forEach(bin => {
-      count += parseInt(bin.dataset.value);
+      count += Number(bin.dataset.value);
     });
-    return count;
+    return Math.round(count);
   }
 
   resetSelection() {
@@ -532,19 +979,23 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
   _mouseUp() {
     if (this.mousedown) {
       this.mousedown = false;
-      const start = this.getSelectedStartDateStr();
-      const end = this.getSelectedEndDateStr();
-      if (start) {
-        const startDateStr = new ParseDateService().run(start);
-        const endDateStr = new ParseDateService().run(end);
-        const itemCount = this.getSelectedItemCount();
-        this._dispatchTimelineDaterangeChangedEvent(
-          startDateStr,
-          endDateStr,
-          this.getSelectedCategories(),
-          itemCount,
-        );
-      }
+      this._emitSelection();
+    }
+  }
+
+  _emitSelection() {
+    const start = this.getSelectedStartDateStr();
+    const end = this.getSelectedEndDateStr();
+    if (start) {
+      const startDateStr = new ParseDateService().run(start, this.calendar);
+      const endDateStr = new ParseDateService().run(end, this.calendar);
+      const itemCount = this.getSelectedItemCount();
+      this._dispatchTimelineDaterangeChangedEvent(
+        startDateStr,
+        endDateStr,
+        this.getSelectedCategories(),
+        itemCount,
+      );
     }
   }
 
@@ -578,22 +1029,28 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
   }
 
   _dispatchTimelineDaterangeChangedEvent(startDateStr, endDateStr, categories, itemCount) {
+    const series = this.getSelectedSeries();
+    const { scope } = this.dataObj;
     if (startDateStr === '????-??-??') {
       this.emitTo('pb-timeline-date-changed', {
         startDateStr: null,
         endDateStr: null,
         categories: ['?'],
         count: itemCount,
+        series,
       });
     } else if (startDateStr === endDateStr) {
       if (this.dataObj.scope !== 'D') {
+        const endExclusiveDateStr = this.searchResult.getEndOfRangeDate(scope, endDateStr);
         this.emitTo('pb-timeline-daterange-changed', {
           startDateStr,
-          endDateStr: this.searchResult.getEndOfRangeDate(this.dataObj.scope, endDateStr),
+          endDateStr: endExclusiveDateStr,
+          endExclusiveDateStr,
           scope: this.dataObj.scope,
           categories,
           count: itemCount,
           label: this.label,
+          series,
         });
       } else {
         this.emitTo('pb-timeline-date-changed', {
@@ -603,16 +1060,22 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
           categories,
           count: itemCount,
           label: this.label,
+          series,
         });
       }
     } else {
       this.emitTo('pb-timeline-daterange-changed', {
         startDateStr,
         endDateStr,
+        endExclusiveDateStr: this.searchResult.getEndOfRangeDate(
+          scope,
+          this.searchResult.getStartOfRangeDate(scope, endDateStr),
+        ),
         categories,
         scope: this.dataObj.scope,
         count: itemCount,
         label: this.label,
+        series,
       });
     }
   }
@@ -626,11 +1089,12 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     const datestr = event.currentTarget.dataset.tooltip;
     const value = this._numberWithCommas(event.currentTarget.dataset.value);
     const info = event.currentTarget.querySelector('.info');
+    const binObj = this.dataObj.data[event.currentTarget.dataset.index];
     this.tooltip.querySelector(
       '.tooltip-text',
-    ).innerHTML = `<div><strong>${datestr}</strong>: ${value}</div><ul>${
-      info ? info.innerHTML : ''
-    }</ul>`;
+    ).innerHTML = `<div><strong>${datestr}</strong>: ${value}</div>${this._uncertainSummary([
+      binObj,
+    ])}${this._seriesSummary([binObj])}<ul>${info ? info.innerHTML : ''}</ul>`;
     
     // Force a reflow to get accurate tooltip dimensions
     this.tooltip.style.visibility = 'hidden';
@@ -684,9 +1148,12 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     }`;
     const value = selectedBins.map(bin => Number(bin.dataset.value)).reduce((a, b) => a + b);
     const valueFormatted = this._numberWithCommas(value);
+    const selectedBinObjs = selectedBins.map(bin => this.dataObj.data[bin.dataset.index]);
     this.tooltip.querySelector(
       '.tooltip-text',
-    ).innerHTML = `<strong>${label}</strong>: ${valueFormatted}`;
+    ).innerHTML = `<strong>${label}</strong>: ${valueFormatted}${this._uncertainSummary(
+      selectedBinObjs,
+    )}${this._seriesSummary(selectedBinObjs)}`;
     this.tooltip.querySelector('.tooltip-close').classList.remove('hidden');
     this.tooltip.classList.add('draggable');
     
@@ -795,7 +1262,11 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
   }
 
   _numberWithCommas(input) {
-    return new Intl.NumberFormat(this._language, { style: 'decimal' }).format(input);
+    // counts of uncertain dates are spread across bins, so they may be fractional
+    return new Intl.NumberFormat(this._language, {
+      style: 'decimal',
+      maximumFractionDigits: 0,
+    }).format(input);
   }
 
   _areOverlapping(A, B) {
@@ -814,10 +1285,15 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
             `
           : null}
       </div>
+      ${this.zoomable && this._zoomStack.length > 0 ? this.renderBreadcrumbs() : null}
+      ${this._hasSeries() ? this.renderLegend() : null}
       <div
         class="wrapper ${!this.dataObj || this.dataObj.data.length <= 1 ? 'empty' : ''}"
         @mouseenter="${this._mouseenter}"
         @mouseleave="${this._hideTooltip}"
+        @wheel="${this._wheel}"
+        @touchstart="${this._touchStart}"
+        @touchmove="${this._touchMove}"
       >
         ${this.dataObj ? this.renderBins() : ''} ${this.renderTooltip()}
         <iron-ajax
@@ -827,6 +1303,7 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
           method="get"
           with-credentials
           @response="${this._handleResponse}"
+          @error="${this._handleError}"
           url="${this.url}?start=${this.startDate}&end=${this.endDate}"
           ?auto="${this.auto}"
         ></iron-ajax>
@@ -834,6 +1311,51 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     `;
   }
 
+  renderBreadcrumbs() {
+    const current = this._zoomStack.length - 1;
+    return html`
+      <nav class="breadcrumbs" part="breadcrumbs">
+        <button @click="${() => this._zoomTo([])}">${translate('timeline.zoom.all')}</button>
+        ${this._zoomStack.map(
+          (level, idx) => html`
+            <span class="separator">›</span>
+            <button
+              ?disabled="${idx === current}"
+              @click="${() => this._zoomTo(this._zoomStack.slice(0, idx + 1))}"
+            >
+              ${level.label || `${level.start} – ${level.end}`}
+            </button>
+          `,
+        )}
+        <span class="pan">
+          <button title="${translate('timeline.zoom.earlier')}" @click="${() => this.pan(-1)}">
+            ‹
+          </button>
+          <button title="${translate('timeline.zoom.later')}" @click="${() => this.pan(1)}">
+            ›
+          </button>
+        </span>
+      </nav>
+    `;
+  }
+
+  renderLegend() {
+    return html`
+      <ul class="legend" part="legend">
+        ${this.dataObj.series.map(
+          name => html`
+            <li class="${this._hiddenSeries.has(name) ? 'inactive' : ''}">
+              <button @click="${() => this._toggleSeries(name)}">
+                <span class="swatch" style="background-color: ${this._seriesColor(name)}"></span
+                >${name}
+              </button>
+            </li>
+          `,
+        )}
+      </ul>
+    `;
+  }
+
   renderTooltip() {
     return html`
       <div class="tooltip hidden" part="tooltip">
@@ -861,14 +1383,16 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
             data-selectionend="${binObj.selectionEnd}"
             data-isodatestr="${binObj.dateStr}"
             data-datestr="${binObj.dateStr}"
-            data-value="${binObj.value}"
+            data-value="${this._binValue(binObj)}"
+            data-index="${indx}"
             @mousemove="${this._mouseMove}"
             @mousedown="${this._mouseDown}"
           >
-            <div
-              class="bin"
-              style="height: ${(binObj.value / this.maxValue) * this.maxHeight * this.multiplier}px"
-            ></div>
+            ${this._hasSeries()
+              ? this.renderSeries(binObj)
+              : html`<div class="bin" style="height: ${this._binHeight(binObj.value)}px">
+                  ${this.renderUncertain(binObj.uncertain)}
+                </div>`}
             <p
               class="bin-title
               ${this.dataObj.binTitleRotated ? 'rotated' : ''}
@@ -884,6 +1408,35 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     `;
   }
 
+  _binHeight(value) {
+    return this.maxValue ? (value / this.maxValue) * this.maxHeight * this.multiplier : 0;
+  }
+
+  renderSeries(binObj) {
+    return html`
+      <div class="bin ${this.mode === 'grouped' ? 'grouped' : 'stacked'}">
+        ${this.getSelectedSeries().map(
+          name => html`
+            <div
+              class="segment"
+              style="height: ${this._binHeight(binObj.series[name] || 0)}px;
+                background-color: ${this._seriesColor(name)}"
+            >
+              ${this.renderUncertain(binObj.uncertainSeries[name])}
+            </div>
+          `,
+        )}
+      </div>
+    `;
+  }
+
+  renderUncertain(value) {
+    if (!value) {
+      return null;
+    }
+    return html`<div class="uncertain" style="height: ${this._binHeight(value)}px"></div>`;
+  }
+
   renderInfo(binObj) {
     if (binObj.info && binObj.info.length > 0 && binObj.info.length <= 10) {
       return html`
@@ -910,13 +1463,36 @@ export class PbTimeline extends themableMixin(pbMixin(LitElement)) {
     } else {
       newJsonData = data;
     }
-    this.searchResult = new SearchResultService(newJsonData, this.maxInterval, this.scopes);
-    this.setData(this.searchResult.export(this.scope));
+    this.searchResult = new SearchResultService(
+      newJsonData,
+      this.maxInterval,
+      this.scopes,
+      this.calendar,
+    );
+    const level = this._zoomStack[this._zoomStack.length - 1];
+    if (level) {
+      this.searchResult.setRange(level.start, level.end);
+    } else {
+      this._extent = {
+        start: this.searchResult.getMinDateStr(),
+        end: this.searchResult.getMaxDateStr(),
+      };
+    }
+    this._zoomLoading = false;
+    this.setData(this.searchResult.export(this._currentScope()));
+    if (level) {
+      level.label = this.label;
+      this.requestUpdate();
+    }
     this.emitTo('pb-timeline-loaded', {
       value: true,
       label: this.label,
     });
   }
+
+  _handleError() {
+    this._zoomLoading = false;
+  }
 }
 
 customElements.define('pb-timeline', PbTimeline);
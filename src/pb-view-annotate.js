@@ -5,6 +5,17 @@ import uniqolor from 'uniqolor/src/index';
 import { PbView } from './pb-view.js';
 import { loadTippyStyles } from './pb-popover.js';
 import { get as i18n } from './pb-i18n.js';
+import {
+  toWebAnnotation,
+  fromWebAnnotation,
+  toAnnotationCollection,
+  annotationsFromJson,
+  findQuote,
+  quoteSelector,
+} from './web-annotation.js';
+import { anchorQuote } from './text-anchor.js';
+import { AnnotationSync, HttpSyncTransport } from './annotation-sync.js';
+import { AnnotationHistory } from './annotation-history.js';
 
 /**
  * Return the first child of ancestor which contains current.
@@ -95,18 +106,6 @@ function rangeToPoint(node, offset, position = 'start') {
   console.error('No container with data-tei found for %o', node.parentNode);
 }
 
-function ancestors(node, selector) {
-  let count = 0;
-  let parent = node.parentNode;
-  while (parent && parent !== node.getRootNode()) {
-    if (parent.classList.contains(selector)) {
-      count += 1;
-    }
-    parent = parent.parentNode;
-  }
-  return count;
-}
-
 /**
  * Find the next text node after the current node.
  * Descends into elements.
@@ -123,6 +122,76 @@ function nextTextNode(context, node) {
   return node;
 }
 
+/**
+ * Wrap each text node within the range into a separate span. Used for ranges
+ * which cannot be wrapped into a single element because they partially overlap
+ * other elements, e.g. other annotations.
+ *
+ * @param {Range} range the range to wrap
+ * @param {Function} createSpan callback returning a new span element
+ * @returns {HTMLElement[]} the spans created in document order
+ */
+function wrapFragments(range, createSpan) {
+  let root = range.commonAncestorContainer;
+  if (root.nodeType === Node.TEXT_NODE) {
+    root = root.parentNode;
+  }
+  const nodes = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (range.intersectsNode(node) && node.textContent.length > 0 && !isSkippedNode(node)) {
+      nodes.push(node);
+    }
+  }
+  const spans = [];
+  nodes.forEach(node => {
+    const start = node === range.startContainer ? range.startOffset : 0;
+    const end = node === range.endContainer ? range.endOffset : node.textContent.length;
+    if (start >= end) {
+      return;
+    }
+    let text = node;
+    if (end < text.textContent.length) {
+      text.splitText(end);
+    }
+    if (start > 0) {
+      text = text.splitText(start);
+    }
+    const span = createSpan();
+    text.parentNode.insertBefore(span, text);
+    span.appendChild(text);
+    spans.push(span);
+  });
+  return spans;
+}
+
+/**
+ * Remove an annotation span, keeping its content.
+ *
+ * @param {HTMLElement} span the span to remove
+ * @returns {Range} a range spanning the former content of the span
+ */
+function unwrapSpan(span) {
+  const newRange = document.createRange();
+  for (let i = 0; i < span.childNodes.length; i += 1) {
+    const copy = span.childNodes[i].cloneNode(true);
+    span.parentNode.insertBefore(copy, span);
+    if (i === 0) {
+      newRange.setStartBefore(copy);
+    }
+    if (i === span.childNodes.length - 1) {
+      newRange.setEndAfter(copy);
+    }
+  }
+  span.parentNode.removeChild(span);
+  return newRange;
+}
+
+function rectsIntersect(a, b) {
+  return a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+}
+
 /**
  * Convert a point given as number of characters from the start of the container element
  * to a coordinate relative to a DOM element.
@@ -146,7 +215,29 @@ function pointToRange(container, offset) {
   return null;
 }
 
-function kwicText(str, start, end, words = 3) {
+/**
+ * Return the text of the container element as seen by `absoluteOffset` and `pointToRange`,
+ * i.e. ignoring footnote markers.
+ *
+ * @param {Node} container the container element
+ * @returns {String} the text content
+ */
+function containerText(container) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const str = [];
+  while (walker.nextNode()) {
+    if (!isSkippedNode(walker.currentNode)) {
+      str.push(walker.currentNode.textContent);
+    }
+  }
+  return str.join('');
+}
+
+/**
+ * Extract a match together with the given number of words before and after it.
+ * All parts are plain text.
+ */
+function kwicParts(str, start, end, words = 3) {
   let p0 = start - 1;
   let count = 0;
   while (p0 >= 0) {
@@ -175,10 +266,25 @@ function kwicText(str, start, end, words = 3) {
     }
     p1 += 1;
   }
-  return `... ${str.substring(p0, start)}<mark>${str.substring(start, end)}</mark>${str.substring(
-    end,
-    p1 + 1,
-  )} ...`;
+  return {
+    before: str.substring(p0, start),
+    match: str.substring(start, end),
+    after: str.substring(end, p1 + 1),
+  };
+}
+
+function escapeHTML(str) {
+  return str.replace(
+    /[&<>"]/g,
+    c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]),
+  );
+}
+
+/**
+ * Keyword in context as HTML string, the match wrapped in `mark`. The text is escaped.
+ */
+function kwicText({ before, match, after }) {
+  return `... ${escapeHTML(before)}<mark>${escapeHTML(match)}</mark>${escapeHTML(after)} ...`;
 }
 
 function collectText(node) {
@@ -216,14 +322,40 @@ function clearProperties(teiRange) {
  * and edited by the user. Handles mouse selection and keeps track
  * of the annotations made.
  *
+ * Annotations may overlap: if a new annotation crosses the boundaries of another one,
+ * it is split into several fragments. Underline markers of overlapping annotations are
+ * stacked on top of each other and clicking on text covered by several annotations
+ * shows a menu to choose the annotation to edit.
+ *
  * Interaction with the actual editing form is entirely done via events.
  * The class itself does not provide any editing facility, except for
  * handling deletions.
  *
+ * Each annotation records the quoted text together with some context before and after.
+ * When the underlying document changed, annotations are re-anchored using approximate
+ * matching. Annotations which cannot be placed are not applied, but reported as orphaned
+ * for review (see `orphanedAnnotations` and `pb-annotation-orphans`).
+ *
  * @fires pb-annotations-loaded - fired after text was loaded and annotations were drawn
  * @fires pb-selection-changed - fired when user selects text
  * @fires pb-annotations-changed - fired when an annotation was added or changed
  * @fires pb-annotation-detail - fired to request additional details about an annotation
+ * @fires pb-annotations-history - fired when the undo history changes. Call `getHistory` to get the recorded states
+ * @fires pb-annotations-history-changed - fired when the undo/redo history or its checkpoints change, passing
+ * the flags `canUndo` and `canRedo` and the `checkpoints`
+ * @fires pb-annotations-orphaned - fired when annotations could not be re-anchored to the changed text
+ * or the list of orphans changed, passing all `orphans`
+ * @fires pb-reattach-orphan - if received, reattaches the given orphan to the current selection
+ * @fires pb-discard-orphan - if received, removes the given orphan from the list
+ * @fires pb-annotations-synced - fired after annotations were saved to the server in `sync` mode. If resolving
+ * conflicts requested via `pb-annotations-resolve` fails, `status` is 'failed' and `error` contains the message
+ * @fires pb-annotations-conflict - fired if annotations saved by another user conflict with local changes
+ * @fires pb-annotations-resolve - if received, resolves the conflicts reported before with the choices passed
+ * @fires pb-find-occurrences - if received, searches the text for occurrences to be reviewed (see `findOccurrences`)
+ * @fires pb-occurrences - fired with the list of occurrences found for review, the annotation `type` and
+ * the `authorityKey` property to set
+ * @fires pb-apply-occurrences - if received, applies the accepted occurrences as a single undoable step
+ * @fires pb-show-occurrence - if received, scrolls to and highlights the given occurrence
  * @fires pb-disable - if received, disables selection tracking, suppressing pb-selection-changed events
  * @fires pb-enable - re-enables selection tracking
  */
@@ -255,6 +387,41 @@ class PbViewAnnotate extends PbView {
       caseSensitive: {
         type: Boolean,
       },
+      /**
+       * If set, the annotation history and any unsaved annotations are stored in
+       * the browser's IndexedDB, keyed by document path. They will be restored when
+       * the document is opened again, e.g. after the browser tab crashed.
+       * Call `clearHistory` after saving to discard the stored state.
+       */
+      persistHistory: {
+        type: Boolean,
+        attribute: 'persist-history',
+      },
+      /**
+       * Maximum number of differing characters, relative to the length of the annotated text,
+       * accepted when re-anchoring an annotation after the text has changed.
+       */
+      anchorTolerance: {
+        type: Number,
+        attribute: 'anchor-tolerance',
+      },
+      /**
+       * If set, pending annotations are shared with other users via the server (see `AnnotationSync`).
+       * The annotations stored on the server are loaded with the document and `saveShared` merges
+       * local changes with changes saved by other users in the meantime.
+       */
+      sync: {
+        type: Boolean,
+      },
+      /**
+       * Transport used to talk to the server in `sync` mode. Defaults to `HttpSyncTransport`, whose
+       * endpoints are not part of TEI Publisher and must be provided by the application. Can be replaced
+       * by a custom transport or by `LocalSyncTransport` for testing.
+       */
+      syncTransport: {
+        type: Object,
+        attribute: false,
+      },
       ...super.properties,
     };
   }
@@ -264,9 +431,13 @@ class PbViewAnnotate extends PbView {
     this.key = 'ref';
     this.keyMap = {};
     this.caseSensitive = false;
+    this.persistHistory = false;
+    this.anchorTolerance = 0.2;
+    this.sync = false;
+    this._orphans = [];
     this._ranges = [];
     this._rangesMap = new Map();
-    this._history = [];
+    this._history = new AnnotationHistory();
     this._disabled = false;
   }
 
@@ -339,17 +510,50 @@ class PbViewAnnotate extends PbView {
     this.shadowRoot.addEventListener('mouseup', this._eventHandler, {
       signal: this._disconnectedSignal.signal,
     });
+    // capture, so the picker opens before the popover of the annotation clicked stops the event
+    this.shadowRoot.addEventListener('click', ev => this._pickAnnotation(ev), {
+      capture: true,
+      signal: this._disconnectedSignal.signal,
+    });
 
     this.subscribeTo('pb-add-annotation', ev => this.addAnnotation(ev.detail));
     this.subscribeTo('pb-edit-annotation', this._editAnnotation.bind(this));
+    this.subscribeTo('pb-annotations-resolve', ev =>
+      this.resolveConflicts(ev.detail.choices).catch(e => {
+        console.error('<pb-view-annotate> failed to resolve conflicts: %s', e.message);
+        this.emitTo('pb-annotations-synced', { status: 'failed', error: e.message });
+      }),
+    );
+    this.subscribeTo('pb-find-occurrences', ev =>
+      this.findOccurrences(ev.detail.type, ev.detail.tokens, ev.detail.properties),
+    );
+    this.subscribeTo('pb-apply-occurrences', ev =>
+      this.applyOccurrences(ev.detail.type, ev.detail.occurrences),
+    );
+    this.subscribeTo('pb-show-occurrence', ev => {
+      if (ev.detail.occurrence) {
+        this.scrollTo(ev.detail.occurrence);
+      } else {
+        this.hideMarker();
+      }
+    });
+    this.subscribeTo('pb-reattach-orphan', ev => this.reattachOrphan(ev.detail.orphan));
+    this.subscribeTo('pb-discard-orphan', ev => this.discardOrphan(ev.detail.orphan));
     this.subscribeTo('pb-refresh', () => {
       this._ranges = [];
       this._rangesMap.clear();
       this._currentSelection = null;
+      if (this._orphans.length > 0) {
+        this._orphans = [];
+        this.emitTo('pb-annotations-orphaned', { orphans: this._orphans });
+      }
       this._clearMarkers();
       this.emitTo('pb-annotations-changed', { ranges: this._ranges, refresh: true });
     });
 
+    this.addEventListener('pb-annotations-changed', () => this._persistHistory(), {
+      signal: this._disconnectedSignal.signal,
+    });
     this.addEventListener(
       'pb-disable',
       () => {
@@ -389,33 +593,252 @@ class PbViewAnnotate extends PbView {
     this._annotationStyles();
   }
 
+  /**
+   * Record all changes made since the last call as a step in the undo history.
+   * Should be called before modifying annotations.
+   */
   saveHistory() {
-    this._history.push(JSON.stringify(this._ranges));
-    this.emitTo('pb-annotations-history', this._history);
+    this._history.commit(this._ranges);
+    this._historyChanged();
   }
 
+  /**
+   * Returns the states before each undoable step as serialized JSON, oldest first.
+   * The history only records the differences between steps, so the states are
+   * reconstructed on every call.
+   */
   getHistory() {
-    return this._history;
+    return this._history.snapshots.map(ranges => JSON.stringify(ranges));
   }
 
+  /**
+   * Undo the last step recorded in the history.
+   */
   popHistory() {
-    if (this._history.length === 0) {
+    const ranges = this._history.undo(this._ranges);
+    if (!ranges) {
       console.warn('<pb-view-annotate> history is empty');
       return;
     }
+    this._restoreRanges(ranges);
+  }
+
+  /**
+   * Redo the last step undone via `popHistory`.
+   */
+  redoHistory() {
+    const ranges = this._history.redo(this._ranges);
+    if (!ranges) {
+      console.warn('<pb-view-annotate> nothing to redo');
+      return;
+    }
+    this._restoreRanges(ranges);
+  }
+
+  /**
+   * Reset the history. If `persist-history` is enabled, the stored history is removed as well.
+   *
+   * @param {Array|Object} [data] history to start from: either the array returned by `getHistory`
+   * or the serialized history returned by `AnnotationHistory.toJSON`
+   */
+  clearHistory(data) {
+    if (Array.isArray(data)) {
+      this._history.fromSnapshots(
+        data.map(entry => (typeof entry === 'string' ? JSON.parse(entry) : entry)),
+        this._ranges,
+      );
+    } else if (data && data.undo) {
+      this._history.fromJSON(data);
+    } else {
+      this._history.clear(this._ranges);
+    }
+    const key = this._historyKey();
+    if (this.persistHistory && key) {
+      AnnotationHistory.remove(key).catch(e =>
+        console.error('<pb-view-annotate> failed to remove stored history: %s', e.message),
+      );
+    }
+    this._emitHistory();
+  }
+
+  /**
+   * Create a named checkpoint for the current state of the annotations.
+   *
+   * @param {String} name name of the checkpoint
+   * @returns {Object} the checkpoint
+   */
+  addCheckpoint(name) {
+    const checkpoint = this._history.addCheckpoint(name, this._ranges);
+    this._historyChanged();
+    return checkpoint;
+  }
+
+  /**
+   * Returns the list of named checkpoints.
+   */
+  getCheckpoints() {
+    return this._history.checkpoints;
+  }
+
+  /**
+   * Restore the state of the annotations recorded by the named checkpoint.
+   *
+   * @param {String} name name of the checkpoint
+   */
+  restoreCheckpoint(name) {
+    const ranges = this._history.restoreCheckpoint(name, this._ranges);
+    if (!ranges) {
+      console.warn('<pb-view-annotate> no checkpoint named %s', name);
+      return;
+    }
+    this._restoreRanges(ranges);
+  }
+
+  _restoreRanges(ranges) {
     this._scrollTop = this.scrollTop;
-    const lastEntry = this._history.pop();
     this._clearMarkers();
-    this._ranges = JSON.parse(lastEntry);
+    this._ranges = ranges;
     this._rangesMap.clear();
 
     this._refresh();
     this.emitTo('pb-annotations-changed', { ranges: this._ranges });
-    this.emitTo('pb-annotations-history', this._history);
+    this._historyChanged();
   }
 
-  clearHistory(data) {
-    this._history = data || [];
+  _historyChanged() {
+    this._emitHistory();
+    this._persistHistory();
+  }
+
+  _emitHistory() {
+    // snapshots are expensive to compute, so they are only provided by getHistory
+    const detail = {
+      canUndo: this._history.canUndo,
+      canRedo: this._history.canRedo,
+      checkpoints: this._history.checkpoints,
+    };
+    this.emitTo('pb-annotations-history', detail);
+    this.emitTo('pb-annotations-history-changed', detail);
+  }
+
+  _historyKey() {
+    const doc = this.getDocument();
+    return doc && doc.path;
+  }
+
+  _persistHistory() {
+    const key = this._historyKey();
+    if (!(this.persistHistory && key) || key !== this._historyLoaded) {
+      return;
+    }
+    if (this._persistTimeout) {
+      clearTimeout(this._persistTimeout);
+    }
+    this._persistTimeout = setTimeout(() => {
+      this._persistTimeout = null;
+      this._history
+        .save(key, this._ranges)
+        .catch(e => console.error('<pb-view-annotate> failed to store history: %s', e.message));
+    }, 300);
+  }
+
+  /**
+   * If `persist-history` is enabled, load the history stored for the current document
+   * once and restore any unsaved annotations.
+   *
+   * @returns {Promise} resolves when done
+   */
+  _loadHistory() {
+    const key = this._historyKey();
+    if (!(this.persistHistory && key) || key === this._historyLoaded) {
+      return Promise.resolve();
+    }
+    this._historyLoaded = key;
+    return this._history
+      .load(key)
+      .then(ranges => {
+        if (ranges) {
+          this._ranges = ranges;
+          this._rangesMap.clear();
+          console.log('<pb-view-annotate> restored %d annotations for %s', ranges.length, key);
+          this.emitTo('pb-annotations-changed', { ranges: this._ranges, restored: true });
+        } else {
+          this._history.clear(this._ranges);
+        }
+        this._emitHistory();
+      })
+      .catch(e => console.error('<pb-view-annotate> failed to load history: %s', e.message));
+  }
+
+  _getSync() {
+    if (!this._sync) {
+      this._sync = new AnnotationSync(
+        this.syncTransport || new HttpSyncTransport(this.getEndpoint()),
+      );
+    }
+    return this._sync;
+  }
+
+  /**
+   * In `sync` mode, load the annotations shared on the server once per document.
+   * Local annotations, e.g. restored from the history, are kept and will be merged on save.
+   *
+   * @returns {Promise} resolves when done
+   */
+  _loadShared() {
+    const key = this._historyKey();
+    if (!(this.sync && key) || key === this._sharedLoaded) {
+      return Promise.resolve();
+    }
+    this._sharedLoaded = key;
+    return this._getSync()
+      .load(key)
+      .then(ranges => {
+        if (this._ranges.length === 0 && ranges.length > 0) {
+          this._ranges = ranges;
+          this._rangesMap.clear();
+          this.emitTo('pb-annotations-changed', { ranges: this._ranges });
+        }
+      })
+      .catch(e =>
+        console.error('<pb-view-annotate> failed to load shared annotations: %s', e.message),
+      );
+  }
+
+  /**
+   * Save the current annotations to the server in `sync` mode. If another user saved annotations
+   * in the meantime, changes are merged. Conflicting changes are reported via `pb-annotations-conflict`
+   * and need to be resolved by calling `resolveConflicts` or sending `pb-annotations-resolve`.
+   *
+   * @returns {Promise<Object>} the result as returned by `AnnotationSync.save`
+   */
+  saveShared() {
+    return this._handleSyncResult(this._getSync().save(this._historyKey(), this._ranges));
+  }
+
+  /**
+   * Resolve the conflicts reported by `pb-annotations-conflict` and save the result.
+   *
+   * @param {String[]} choices for each conflict, either 'local', 'remote' or 'both'
+   * @returns {Promise<Object>} the result as returned by `AnnotationSync.resolve`
+   */
+  resolveConflicts(choices) {
+    return this._handleSyncResult(this._getSync().resolve(this._historyKey(), choices || []));
+  }
+
+  _handleSyncResult(promise) {
+    return promise.then(result => {
+      if (result.status === 'conflict') {
+        this.emitTo('pb-annotations-conflict', { conflicts: result.conflicts });
+        return result;
+      }
+      if (result.status === 'merged') {
+        this.saveHistory();
+        this._restoreRanges(result.ranges);
+      }
+      this.emitTo('pb-annotations-synced', { status: result.status, revision: result.revision });
+      return result;
+    });
   }
 
   firstUpdated() {
@@ -467,26 +890,26 @@ class PbViewAnnotate extends PbView {
 
   _handleContent() {
     super._handleContent();
-    this.updateComplete.then(() =>
-      setTimeout(() => {
-        this._initAnnotationColors();
-        this._annotationStyles();
-        this.updateAnnotations();
-        this._markIncompleteAnnotations();
-        if (this._scrollTop) {
-          this.scrollTop = this._scrollTop;
-          this._scrollTop = undefined;
-        }
-        this.emitTo('pb-annotations-loaded');
-      }, 300),
-    );
+    this.updateComplete
+      .then(() => this._loadHistory())
+      .then(() => this._loadShared())
+      .then(() =>
+        setTimeout(() => {
+          this._initAnnotationColors();
+          this._annotationStyles();
+          this.updateAnnotations();
+          this._markIncompleteAnnotations();
+          if (this._scrollTop) {
+            this.scrollTop = this._scrollTop;
+            this._scrollTop = undefined;
+          }
+          this.emitTo('pb-annotations-loaded');
+        }, 300),
+      );
   }
 
   _updateAnnotation(teiRange, silent = false, batch = false) {
-    const view = this.shadowRoot.getElementById('view');
-    const context = Array.from(view.querySelectorAll(`[data-tei="${teiRange.context}"]`)).filter(
-      node => node.closest('pb-popover') === null && node.getAttribute('rel') !== 'footnote',
-    )[0];
+    const context = this._findContext(teiRange.context);
 
     if (!context) {
       return null;
@@ -527,34 +950,200 @@ class PbViewAnnotate extends PbView {
     }
 
     console.log('<pb-view-annotate> Range: %o', range);
-    const span = document.createElement('span');
-    const addClass = teiRange.properties[this.getKey(teiRange.type)] === '' ? 'incomplete' : '';
-    span.className = `annotation annotation-${teiRange.type} ${teiRange.type} ${addClass} ${
-      teiRange.before ? 'before' : ''
-    }`;
-    span.dataset.type = teiRange.type;
-    span.dataset.annotation = JSON.stringify(teiRange.properties);
+    const createSpan = () => {
+      const span = document.createElement('span');
+      const addClass = teiRange.properties[this.getKey(teiRange.type)] === '' ? 'incomplete' : '';
+      span.className = `annotation annotation-${teiRange.type} ${teiRange.type} ${addClass} ${
+        teiRange.before ? 'before' : ''
+      }`;
+      span.dataset.type = teiRange.type;
+      span.dataset.annotation = JSON.stringify(teiRange.properties);
+      return span;
+    };
 
+    let spans;
     try {
+      const span = createSpan();
       range.surroundContents(span);
+      spans = [span];
     } catch (e) {
-      if (silent) {
-        return null;
+      // range crosses element boundaries, e.g. overlaps another annotation partially:
+      // wrap each text node separately
+      spans = wrapFragments(range, createSpan);
+      if (spans.length === 0) {
+        if (silent) {
+          return null;
+        }
+        throw new Error(
+          'An error occurred. The annotation may not be displayed. You should consider saving and reloading the document.',
+        );
       }
-      throw new Error(
-        'An error occurred. The annotation may not be displayed. You should consider saving and reloading the document.',
-      );
+      spans.slice(0, -1).forEach(span => span.classList.add('fragment'));
     }
-    this._rangesMap.set(span, teiRange);
+    spans.forEach(span => this._rangesMap.set(span, teiRange));
 
     if (!batch) {
       this.refreshMarkers();
     }
 
+    return spans[spans.length - 1];
+  }
+
+  /**
+   * Return all spans belonging to the same annotation as the given span.
+   * An annotation overlapping other annotations may be split into several
+   * fragments.
+   *
+   * @param {HTMLElement} span an annotation span
+   * @returns {HTMLElement[]} the spans in document order
+   */
+  _fragmentsOf(span) {
+    const teiRange = this._rangesMap.get(span);
+    if (!teiRange) {
+      return [span];
+    }
+    return Array.from(this._rangesMap.entries())
+      .filter(([, range]) => range === teiRange)
+      .map(([fragment]) => fragment);
+  }
+
+  /**
+   * Find the element in the view corresponding to the TEI node id given in `data-tei`.
+   * Ignores copies of the node within popovers and footnotes.
+   *
+   * @param {String} nodeId the node id
+   * @returns {Element|undefined} the context element
+   */
+  _findContext(nodeId) {
+    const view = this.shadowRoot.getElementById('view');
+    return Array.from(view.querySelectorAll(`[data-tei="${nodeId}"]`)).filter(
+      node => node.closest('pb-popover') === null && node.getAttribute('rel') !== 'footnote',
+    )[0];
+  }
+
+  /**
+   * Record the annotated text plus some context before and after it, so the annotation
+   * can be re-anchored if the text changes.
+   *
+   * @param {Object} teiRange the annotation range
+   * @param {Element} [context] the context element if known
+   * @returns {Object} the annotation range
+   */
+  _quoteRange(teiRange, context) {
+    const elem = context || this._findContext(teiRange.context);
+    if (elem) {
+      const { exact, prefix, suffix } = quoteSelector(
+        containerText(elem),
+        teiRange.start,
+        teiRange.end,
+      );
+      Object.assign(teiRange, { quote: { exact, prefix, suffix } });
+    }
+    return teiRange;
+  }
+
+  /**
+   * Check if the text at the position of an annotation still corresponds to the
+   * recorded quote. If not, try to locate the quote using approximate matching and
+   * adjust the position.
+   *
+   * @param {Object} teiRange the annotation range
+   * @param {Element} context the context element
+   * @returns {String} 'anchored' if the position is unchanged, 'moved' if it was adjusted, 'orphaned' otherwise
+   */
+  _anchorRange(teiRange, context) {
+    if (!teiRange.quote) {
+      return 'anchored';
+    }
+    const text = containerText(context);
+    const { exact, prefix = '', suffix = '' } = teiRange.quote;
+    const { start, end } = teiRange;
+    if (
+      text.substring(start, end) === exact &&
+      (exact.length > 0 ||
+        (text.substring(start - prefix.length, start) === prefix &&
+          text.substring(end, end + suffix.length) === suffix))
+    ) {
+      return 'anchored';
+    }
+    let match;
+    if (exact.length > 0) {
+      match = anchorQuote(text, teiRange.quote, { hint: start, tolerance: this.anchorTolerance });
+    } else {
+      // insertion point: locate the text around it
+      const around = anchorQuote(
+        text,
+        { exact: prefix + suffix },
+        { hint: start - prefix.length, tolerance: this.anchorTolerance },
+      );
+      match = around && {
+        start: around.start + prefix.length,
+        end: around.start + prefix.length,
+      };
+    }
+    if (!match) {
+      console.warn('<pb-view-annotate> Could not re-anchor annotation %o', teiRange);
+      return 'orphaned';
+    }
+    console.log(
+      '<pb-view-annotate> Re-anchored annotation from %d-%d to %d-%d',
+      start,
+      end,
+      match.start,
+      match.end,
+    );
+    Object.assign(teiRange, { start: match.start, end: match.end });
+    if (exact.length > 0) {
+      Object.assign(teiRange, { text: text.substring(match.start, match.end) });
+    }
+    this._quoteRange(teiRange, context);
+    return 'moved';
+  }
+
+  /**
+   * Annotations which could not be re-anchored after the text of the document changed.
+   * They are not applied to the text until reattached via `reattachOrphan`.
+   */
+  get orphanedAnnotations() {
+    return this._orphans;
+  }
+
+  /**
+   * Reattach an orphaned annotation to a new range of text.
+   *
+   * @param {Object} orphan the orphaned annotation range
+   * @param {Range} [range] the browser range to annotate. Defaults to the current selection.
+   * @returns {HTMLElement|null} the span created for the annotation, or null if there is no range
+   */
+  reattachOrphan(orphan, range) {
+    if (!(range || this._currentSelection)) {
+      return null;
+    }
+    const span = this.addAnnotation({
+      range,
+      type: orphan.type,
+      properties: orphan.properties,
+      before: orphan.before,
+    });
+    if (span) {
+      this.discardOrphan(orphan);
+    }
     return span;
   }
 
+  /**
+   * Remove an annotation from the list of orphans.
+   *
+   * @param {Object} orphan the orphaned annotation range
+   */
+  discardOrphan(orphan) {
+    this._orphans = this._orphans.filter(o => o !== orphan);
+    this.emitTo('pb-annotations-orphaned', { orphans: this._orphans });
+  }
+
   updateAnnotations(silent = false) {
+    const orphans = [];
+    let moved = false;
     this._ranges.forEach(teiRange => {
       let span;
       switch (teiRange.type) {
@@ -574,11 +1163,29 @@ class PbViewAnnotate extends PbView {
           }
           span.dataset.annotation = JSON.stringify(teiRange.properties);
           break;
-        default:
+        default: {
+          const context = this._findContext(teiRange.context);
+          if (context) {
+            const status = this._anchorRange(teiRange, context);
+            if (status === 'orphaned') {
+              orphans.push(teiRange);
+              break;
+            }
+            moved = moved || status === 'moved';
+          }
           this._updateAnnotation(teiRange, silent, true);
           break;
+        }
       }
     });
+    if (orphans.length > 0) {
+      this._ranges = this._ranges.filter(teiRange => !orphans.includes(teiRange));
+      this._orphans = this._orphans.concat(orphans);
+      this.emitTo('pb-annotations-orphaned', { orphans: this._orphans });
+    }
+    if (moved || orphans.length > 0) {
+      this.emitTo('pb-annotations-changed', { ranges: this._ranges });
+    }
     window.requestAnimationFrame(() => this.refreshMarkers());
   }
 
@@ -662,8 +1269,9 @@ class PbViewAnnotate extends PbView {
 
   updateAnnotation(teiRange, batch = false) {
     teiRange = clearProperties(teiRange);
-    const result = this._updateAnnotation(teiRange, batch);
+    const result = this._updateAnnotation(teiRange, batch, batch);
     if (result) {
+      this._quoteRange(teiRange);
       this._ranges.push(teiRange);
       this.emitTo('pb-annotations-changed', {
         type: teiRange.type,
@@ -694,6 +1302,7 @@ class PbViewAnnotate extends PbView {
     if (info.properties) {
       adjustedRange.properties = info.properties;
     }
+    this._quoteRange(adjustedRange);
     console.log('<pb-view-annotate> range adjusted: %o', adjustedRange);
     this._ranges.push(clearProperties(adjustedRange));
     this.emitTo('pb-annotations-changed', {
@@ -705,6 +1314,94 @@ class PbViewAnnotate extends PbView {
     return this._updateAnnotation(adjustedRange);
   }
 
+  /**
+   * Export the annotations added by the user as W3C Web Annotations.
+   * Only annotations marking a text range are exported. Pending modifications
+   * or deletions of elements already present in the TEI are not included.
+   *
+   * @param {String} [source] URI of the annotated document. Defaults to the API URL of the current document.
+   * @returns {Object} an `AnnotationCollection` in JSON-LD
+   */
+  exportWebAnnotations(source) {
+    const doc = this.getDocument();
+    const uri =
+      source || (doc ? this.toAbsoluteURL(`api/document/${encodeURIComponent(doc.path)}`) : '');
+    const texts = new Map();
+    const annotations = this._ranges
+      .filter(teiRange => teiRange.type !== 'delete' && teiRange.type !== 'modify')
+      .map(teiRange => {
+        if (!texts.has(teiRange.context)) {
+          const context = this._findContext(teiRange.context);
+          texts.set(teiRange.context, context ? containerText(context) : undefined);
+        }
+        return toWebAnnotation(teiRange, {
+          source: uri,
+          key: this.getKey(teiRange.type),
+          text: texts.get(teiRange.context),
+        });
+      });
+    return toAnnotationCollection(annotations, doc ? doc.path : undefined);
+  }
+
+  /**
+   * Import W3C Web Annotations and add them to the current annotations. Accepts a single annotation,
+   * an array, an `AnnotationPage` or an `AnnotationCollection`. Annotations providing a
+   * `TextQuoteSelector` only are located by searching the quote within the target element.
+   *
+   * @param {Object|Object[]} data the JSON-LD data to import
+   * @returns {{imported: Object[], failed: Object[]}} the annotation ranges added and the annotations which could not be applied
+   */
+  importWebAnnotations(data) {
+    const imported = [];
+    const failed = [];
+    annotationsFromJson(data).forEach(annotation => {
+      const teiRange = fromWebAnnotation(annotation, { key: this.key });
+      const context = teiRange && this._findContext(teiRange.context);
+      if (!context || !teiRange.type) {
+        failed.push(annotation);
+        return;
+      }
+      const text = containerText(context);
+      if (teiRange.start === undefined) {
+        const position = findQuote(text, teiRange.quote);
+        if (!position) {
+          failed.push(annotation);
+          return;
+        }
+        teiRange.start = position.start;
+        teiRange.end = position.end;
+      } else if (!teiRange.text) {
+        teiRange.text = text.substring(teiRange.start, teiRange.end);
+      }
+      this._quoteRange(teiRange, context);
+
+      // the authority key may be configured differently per type
+      const key = this.getKey(teiRange.type);
+      if (key !== this.key && this.key in teiRange.properties) {
+        teiRange.properties[key] = teiRange.properties[this.key];
+        delete teiRange.properties[this.key];
+      }
+
+      this._checkAnnotationColor(teiRange.type);
+      if (this._updateAnnotation(clearProperties(teiRange), true, true)) {
+        this._ranges.push(teiRange);
+        imported.push(teiRange);
+      } else {
+        failed.push(annotation);
+      }
+    });
+    if (failed.length > 0) {
+      console.warn(
+        '<pb-view-annotate> %d annotations could not be imported: %o',
+        failed.length,
+        failed,
+      );
+    }
+    window.requestAnimationFrame(() => this.refreshMarkers());
+    this.emitTo('pb-annotations-changed', { ranges: this._ranges });
+    return { imported, failed };
+  }
+
   deleteAnnotation(span) {
     // delete an existing annotation element in the TEI source
     if (span.dataset.tei) {
@@ -723,30 +1420,22 @@ class PbViewAnnotate extends PbView {
       this._ranges.push(range);
     } else {
       const teiRange = this._rangesMap.get(span);
-      this._rangesMap.delete(span);
+      const fragments = this._fragmentsOf(span);
+      fragments.forEach(fragment => this._rangesMap.delete(fragment));
       const pos = this._ranges.indexOf(teiRange);
 
       console.log('<pb-view-annotate> deleting annotation %o', teiRange);
 
       this._ranges.splice(pos, 1);
+
+      fragments.filter(fragment => fragment !== span).forEach(fragment => unwrapSpan(fragment));
     }
 
     this._deleteAnnotation(span);
   }
 
   _deleteAnnotation(span) {
-    const newRange = document.createRange();
-    for (let i = 0; i < span.childNodes.length; i++) {
-      const copy = span.childNodes[i].cloneNode(true);
-      span.parentNode.insertBefore(copy, span);
-      if (i === 0) {
-        newRange.setStartBefore(copy);
-      }
-      if (i === span.childNodes.length - 1) {
-        newRange.setEndAfter(copy);
-      }
-    }
-    span.parentNode.removeChild(span);
+    const newRange = unwrapSpan(span);
 
     this.emitTo('pb-annotations-changed', { ranges: this._ranges });
 
@@ -792,10 +1481,12 @@ class PbViewAnnotate extends PbView {
     }
     const jsonOld = JSON.parse(span.dataset.annotation);
     const json = Object.assign(jsonOld || {}, properties);
-    span.dataset.annotation = JSON.stringify(json);
-    if (json[this.getKey(span.dataset.type)] !== '') {
-      span.classList.remove('incomplete');
-    }
+    this._fragmentsOf(span).forEach(fragment => {
+      fragment.setAttribute('data-annotation', JSON.stringify(json));
+      if (json[this.getKey(fragment.dataset.type)] !== '') {
+        fragment.classList.remove('incomplete');
+      }
+    });
   }
 
   _editAnnotation(ev) {
@@ -850,7 +1541,9 @@ class PbViewAnnotate extends PbView {
       editBtn.setAttribute('title', i18n('annotations.edit'));
       editBtn.addEventListener('click', () => {
         const data = JSON.parse(span.dataset.annotation);
-        const text = span.textContent;
+        const text = this._fragmentsOf(span)
+          .map(fragment => fragment.textContent)
+          .join('');
         this.emitTo('pb-annotation-edit', {
           target: span,
           type: span.dataset.type,
@@ -894,6 +1587,8 @@ class PbViewAnnotate extends PbView {
       onTrigger: (instance, ev) => {
         ev.preventDefault();
         ev.stopPropagation();
+      },
+      onShow: instance => {
         const { type } = span.dataset;
         const data = JSON.parse(span.dataset.annotation) || {};
         const color = this._annotationColors.get(type);
@@ -967,7 +1662,96 @@ class PbViewAnnotate extends PbView {
       }
     }
 
-    this._createTooltip(span);
+    if (!span.classList.contains('fragment')) {
+      this._createTooltip(span);
+    }
+  }
+
+  /**
+   * Find all annotations covering the given point. For annotations split into
+   * fragments, the last fragment, which carries the tooltip, is returned.
+   *
+   * @param {Number} x horizontal client coordinate
+   * @param {Number} y vertical client coordinate
+   * @returns {HTMLElement[]} annotation spans
+   */
+  _annotationsAt(x, y) {
+    const view = this.shadowRoot.getElementById('view');
+    const result = new Set();
+    view.querySelectorAll('.annotation:not(.before)').forEach(span => {
+      const hit = Array.from(span.getClientRects()).some(
+        rect => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom,
+      );
+      if (hit) {
+        const fragments = this._fragmentsOf(span);
+        result.add(fragments[fragments.length - 1]);
+      }
+    });
+    return Array.from(result);
+  }
+
+  /**
+   * If the user clicks on text covered by several annotations,
+   * show a menu to choose the annotation to edit.
+   *
+   * @param {MouseEvent} ev the click event
+   */
+  _pickAnnotation(ev) {
+    const selection = this._getSelection();
+    if (this._disabled || (selection && !selection.isCollapsed)) {
+      return;
+    }
+    const spans = this._annotationsAt(ev.clientX, ev.clientY);
+    if (spans.length < 2) {
+      return;
+    }
+    ev.preventDefault();
+    ev.stopPropagation();
+
+    const menu = document.createElement('div');
+    menu.className = 'annotation-picker';
+    const title = document.createElement('h4');
+    title.innerHTML = i18n('annotations.pick');
+    menu.appendChild(title);
+
+    const view = this.shadowRoot.getElementById('view');
+    const x = ev.clientX;
+    const y = ev.clientY;
+    const picker = tippy(view, {
+      content: menu,
+      interactive: true,
+      appendTo: view,
+      theme: 'light-border',
+      trigger: 'manual',
+      placement: 'bottom-start',
+      getReferenceClientRect: () => ({
+        width: 0,
+        height: 0,
+        left: x,
+        right: x,
+        top: y,
+        bottom: y,
+      }),
+      onClickOutside: instance => instance.hide(),
+      onHidden: instance => instance.destroy(),
+    });
+    spans.forEach(span => {
+      const { type } = span.dataset;
+      const button = document.createElement('button');
+      button.className = `annotation-type annotation-${type}`;
+      button.style.borderLeft = `4px solid var(--pb-annotation-${type})`;
+      button.textContent = `${type}: ${this._fragmentsOf(span)
+        .map(fragment => fragment.textContent)
+        .join('')}`;
+      button.addEventListener('click', () => {
+        picker.hide();
+        if (span._tippy) {
+          span._tippy.show();
+        }
+      });
+      menu.appendChild(button);
+    });
+    picker.show();
   }
 
   _clearMarkers() {
@@ -986,11 +1770,38 @@ class PbViewAnnotate extends PbView {
     const markerLayer = this.shadowRoot.getElementById('marker-layer');
     markerLayer.style.display = 'none';
     this._clearMarkers();
+
+    // group fragments belonging to the same annotation
+    const groups = new Map();
     root.querySelectorAll('.annotation').forEach(span => {
       if (span._tippy) {
         span._tippy.destroy();
       }
-      this._showMarker(span, markerLayer, rootRect, ancestors(span, 'annotation') * 5);
+      const key = this._rangesMap.get(span) || span;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(span);
+    });
+
+    // stack markers of overlapping annotations: assign each annotation the lowest
+    // layer not occupied by another annotation on the same part of a line
+    const placed = [];
+    groups.forEach(spans => {
+      const rects = spans
+        .filter(span => !span.classList.contains('before'))
+        .flatMap(span => Array.from(span.getClientRects()));
+      const occupied = new Set(
+        placed
+          .filter(other => other.rects.some(r1 => rects.some(r2 => rectsIntersect(r1, r2))))
+          .map(other => other.layer),
+      );
+      let layer = 0;
+      while (occupied.has(layer)) {
+        layer += 1;
+      }
+      placed.push({ rects, layer });
+      spans.forEach(span => this._showMarker(span, markerLayer, rootRect, layer * 5));
     });
     markerLayer.style.display = 'block';
   }
@@ -1051,13 +1862,16 @@ class PbViewAnnotate extends PbView {
         const endRange = rangeToPoint(node, end, 'end');
 
         const [str, start] = collectText(node);
+        const parts = kwicParts(str, start + match.index, start + end);
         const entry = {
           annotated: isAnnotated,
           context: startRange.parent,
           start: startRange.offset,
           end: endRange.offset,
+          text: match[0],
           textNode: node,
-          kwic: kwicText(str, start + match.index, start + end),
+          kwic: kwicText(parts),
+          kwicParts: parts,
         };
         entry[this.getKey(type)] = ref;
         result.push(entry);
@@ -1066,15 +1880,70 @@ class PbViewAnnotate extends PbView {
     return result;
   }
 
+  /**
+   * Search the displayed text for occurrences of the given tokens and send them for review
+   * via a `pb-occurrences` event, e.g. to `pb-annotation-queue`.
+   *
+   * @param {String} type the annotation type to apply
+   * @param {String[]} tokens strings to search for
+   * @param {Object} [properties] properties to apply to accepted occurrences, e.g. the authority key
+   * @returns {Object[]} the occurrences found. Besides the position, each occurrence contains
+   * the matched text in `match` and some words of context in `before` and `after`, all as plain text.
+   */
+  findOccurrences(type, tokens, properties = {}) {
+    const key = this.getKey(type);
+    const occurrences = this.search(type, tokens).map(({ kwicParts: parts, ...occurrence }) => ({
+      ...occurrence,
+      ...parts,
+      type,
+      existing: occurrence[key],
+      properties: { ...properties },
+    }));
+    this.emitTo('pb-occurrences', { type, authorityKey: key, properties, occurrences });
+    return occurrences;
+  }
+
+  /**
+   * Apply a list of reviewed occurrences as returned by `findOccurrences`. All changes
+   * are recorded as a single step in the undo history. Occurrences which are already
+   * annotated with the same type are updated with the new properties.
+   *
+   * @param {String} type the annotation type
+   * @param {Object[]} occurrences the occurrences to annotate
+   */
+  applyOccurrences(type, occurrences) {
+    this.saveHistory();
+    occurrences.forEach(occurrence => {
+      const properties = occurrence.properties || {};
+      if (occurrence.annotated) {
+        this.editAnnotation(occurrence.textNode.parentNode, properties);
+      } else {
+        this.updateAnnotation(
+          {
+            context: occurrence.context,
+            start: occurrence.start,
+            end: occurrence.end,
+            text: occurrence.text,
+            type: occurrence.type || type,
+            properties: { ...properties },
+          },
+          true,
+        );
+      }
+    });
+    this._checkAnnotationColor(type);
+    this.hideMarker();
+    this.refreshMarkers();
+    this.saveHistory();
+  }
+
   scrollTo(teiRange) {
     const root = this.shadowRoot.getElementById('view');
     const range = document.createRange();
     if (teiRange.annotated) {
       range.selectNode(teiRange.textNode);
     } else {
-      const context = Array.from(root.querySelectorAll(`[data-tei="${teiRange.context}"]`)).filter(
-        node => node.closest('pb-popover') === null && node.getAttribute('rel') !== 'footnote',
-      )[0];
+      const context = this._findContext(teiRange.context);
       const startPoint = pointToRange(context, teiRange.start);
       const endPoint = pointToRange(context, teiRange.end);
       range.setStart(startPoint[0], startPoint[1]);
@@ -1257,6 +2126,26 @@ class PbViewAnnotate extends PbView {
           border-radius: 4px;
         }
 
+        .annotation.fragment::after {
+          content: none;
+        }
+
+        .annotation-picker h4 {
+          margin: 0 0 4px 0;
+          font-weight: normal;
+        }
+
+        .annotation-picker button {
+          display: block;
+          width: 100%;
+          margin: 2px 0;
+          text-align: left;
+          background: transparent;
+          border: none;
+          cursor: pointer;
+          font-family: var(--pb-base-font-family);
+        }
+
         [part='highlight'] {
           border: 3px solid rgb(255, 174, 0);
           border-radius: 8px;
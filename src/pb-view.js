@@ -4,8 +4,71 @@ import { pbMixin, waitOnce } from './pb-mixin.js';
 import { registry } from './urls.js';
 import { typesetMath } from './pb-formula.js';
 import { loadStylesheets, themableMixin } from './theming.js';
+import {
+  cacheKey,
+  fetchFragment,
+  offlineStatus,
+  prefetchDocument,
+  removeDocument,
+} from './offline-cache.js';
+import { FragmentCache } from './fragment-cache.js';
+import { staticIndexKey, staticParameterNames } from './static-export.js';
+import {
+  TRANSIENT_STATUS,
+  fillErrorTemplate,
+  isRetryAction,
+  loadError,
+  retryDelay,
+} from './load-error.js';
 import '@polymer/iron-ajax';
 
+/**
+ * Get the alignment keys of an element from the given attribute. The attribute may contain
+ * several space-separated values. If a pattern is given, the key is the first group
+ * matched by it, otherwise a leading `#` is removed, so pointers like `@corresp` can be used.
+ */
+export function alignKeys(elem, attribute, pattern) {
+  const value = elem.getAttribute(attribute);
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(/\s+/)
+    .map(token => {
+      if (pattern) {
+        const match = pattern.exec(token);
+        return match ? match[1] || match[0] : null;
+      }
+      return token.replace(/^#/, '');
+    })
+    .filter(key => key);
+}
+
+/**
+ * Find the element scrolling the given element: the closest ancestor with scrollable overflow,
+ * crossing shadow DOM boundaries, or the document.
+ */
+function scrollContainer(elem) {
+  let node = elem;
+  while (node && node !== document.body && node !== document.documentElement) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      const { overflowY } = window.getComputedStyle(node);
+      if (
+        (overflowY === 'auto' || overflowY === 'scroll') &&
+        node.scrollHeight > node.clientHeight
+      ) {
+        return node;
+      }
+    }
+    node = node.parentNode || node.host;
+  }
+  return document.scrollingElement;
+}
+
+function containerTop(container) {
+  return container === document.scrollingElement ? 0 : container.getBoundingClientRect().top;
+}
+
 /**
  * This is the main component for viewing text which has been transformed via an ODD.
  * The document to be viewed is determined by the `pb-document` element the property
@@ -35,6 +98,44 @@ import '@polymer/iron-ajax';
  * </section>
  * ```
  *
+ * For reading without network connection, set `offline`: every fragment loaded is stored
+ * in the browser's cache and is read from there if the server cannot be reached. To make the entire
+ * document available offline, call `prefetch()`, send a `pb-offline-prefetch` event or set
+ * `offline-prefetch`. The view reports whether the document is available offline
+ * by emitting `pb-offline-status`. Only the document fragments are stored: the application
+ * needs its own service worker to make the page and its resources available offline.
+ *
+ * To turn pages faster, set `cache-size` to the number of fragments to keep in memory. After
+ * loading a fragment, the view then prefetches the next and previous fragment in the background.
+ *
+ * Parallel views, e.g. of a text and its translation, can be aligned: set `align` to the attribute
+ * which identifies corresponding segments in the HTML generated by the ODD, e.g. `data-corresp`
+ * for a `@corresp` pointing to the `xml:id` of the segment in the other view, which is output as `id`.
+ * If the keys are derived from identifiers with a common suffix, specify a regular expression
+ * in `align-pattern`, whose first group extracts the key. Scrolling one view scrolls the others
+ * to the corresponding segment, and hovering over a segment highlights the corresponding segments.
+ *
+ * ```html
+ * <pb-view id="original" src="document1" align="id" align-pattern="^orig-(.+)$" align-channel="align"></pb-view>
+ * <pb-view id="translation" src="document1" align="id" align-pattern="^trans-(.+)$" align-channel="align"></pb-view>
+ * ```
+ *
+ * If loading a fragment fails, the view emits `pb-load-error`. Failures which may be transient,
+ * like timeouts or a server being temporarily unavailable, can be retried automatically by setting
+ * `retries`. Instead of the default error message, the view shows the content of a child element with
+ * `slot="error"` if present. See `load-error.js` for how to insert the error details and a retry button:
+ *
+ * ```html
+ * <pb-view src="document1" retries="3">
+ *   <div slot="error">
+ *     <p>The text could not be loaded (<span data-error="status"></span>).</p>
+ *     <button data-error-action="retry">Try again</button>
+ *   </div>
+ * </pb-view>
+ * ```
+ *
+ * @slot error - Custom content to show if loading failed
+ * @csspart error - div around the error slot
  * @cssprop [--pb-view-column-gap=10px] - The gap between columns in two-column mode
  * @cssprop --pb-view-loader-font - Font used in the message shown during loading in infinite scroll mode
  * @cssprop [--pb-view-loader-color=black] - Text color in the message shown during loading in infinite scroll mode
@@ -45,6 +146,7 @@ import '@polymer/iron-ajax';
  * @cssprop --pb-footnote-font-size - Font size for the footnote marker
  * @cssprop --pb-footnote-font-family - Font family for the footnote marker
  * @cssprop --pb-view-scroll-margin-top - Applied to any element with an id
+ * @cssprop --pb-highlight-color - Background color of segments highlighted in `align` mode
  * @csspart content - The root div around the displayed content
  * @csspart footnotes - div containing the footnotes
 
@@ -53,6 +155,13 @@ import '@polymer/iron-ajax';
  * @fires pb-end-update - Fired after the element has finished updating its content
  * @fires pb-navigate - When received, navigate forward or backward in the document
  * @fires pb-refresh - When received, refresh the content based on the parameters passed in the event
+ * @fires pb-offline-status - Fired in `offline` mode after content was loaded and while prefetching the document
+ * @fires pb-offline-prefetch - When received, store all fragments of the document for offline use
+ * @fires pb-offline-remove - When received, remove the fragments of the document stored for offline use
+ * @fires pb-load-error - Fired if loading a fragment failed, with the status, URL, parameters
+ * and description of the error
+ * @fires pb-align - Fired in `align` mode if the user scrolls the view or moves the mouse over a segment.
+ * When received, scroll to and highlight the corresponding segments
  * @fires pb-toggle - When received, toggle content properties
  */
 export class PbView extends themableMixin(pbMixin(LitElement)) {
@@ -174,6 +283,52 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
       static: {
         type: String,
       },
+      /**
+       * If set, store each fragment loaded in the browser's cache and show the cached
+       * fragment if it cannot be loaded from the server, e.g. because the network is down.
+       * Not supported in combination with `static`.
+       */
+      offline: {
+        type: Boolean,
+      },
+      /**
+       * If set together with `offline`, store all fragments of the document for the current
+       * ODD and view after the first fragment was loaded, so the entire document can be read offline.
+       */
+      offlinePrefetch: {
+        type: Boolean,
+        attribute: 'offline-prefetch',
+      },
+      /**
+       * Maximum number of fragments to keep in memory. If greater than zero, fragments are
+       * shown from memory when navigating back and forth, and the next and previous fragments
+       * are prefetched after each load. The cache is cleared on `pb-refresh` or if the ODD
+       * changes. Default is 0, which disables the cache.
+       */
+      cacheSize: {
+        type: Number,
+        attribute: 'cache-size',
+      },
+      /**
+       * Number of times to repeat a request which failed due to a transient problem like a timeout
+       * or a server being temporarily unavailable (see `TRANSIENT_STATUS` in `load-error.js`). Default is 0.
+       */
+      retries: {
+        type: Number,
+      },
+      /**
+       * Time in ms to wait before the first retry. The delay doubles with every further retry.
+       */
+      retryDelay: {
+        type: Number,
+        attribute: 'retry-delay',
+      },
+      /**
+       * Maximum time in ms to wait for the server to respond. Default is 0, which means no timeout.
+       */
+      timeout: {
+        type: Number,
+      },
       /**
        * The server returns footnotes separately. Set this property
        * if you wish to append them to the main text.
@@ -303,6 +458,29 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
         type: Boolean,
         attribute: 'no-scroll',
       },
+      /**
+       * Enables alignment with other views: name of the attribute in the generated HTML
+       * which contains the key(s) connecting a segment with segments in the other views.
+       */
+      align: {
+        type: String,
+      },
+      /**
+       * Regular expression to extract the key from the values of the `align` attribute.
+       * The key is the first group matched. By default the value is used with a leading `#` removed.
+       */
+      alignPattern: {
+        type: String,
+        attribute: 'align-pattern',
+      },
+      /**
+       * Channel to send and receive `pb-align` events on. Defaults to the channels
+       * given in `emit` and `subscribe`.
+       */
+      alignChannel: {
+        type: String,
+        attribute: 'align-channel',
+      },
       _features: {
         type: Object,
       },
@@ -326,6 +504,10 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
         type: Node,
         attribute: false,
       },
+      _error: {
+        type: Object,
+        attribute: false,
+      },
       _additionalParams: {
         type: Object,
       },
@@ -354,6 +536,22 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
     this._chunks = [];
     this._scrollTarget = null;
     this.static = null;
+    this.offline = false;
+    this.offlinePrefetch = false;
+    this.cacheSize = 0;
+    this._fragments = null;
+    this._prefetches = new Map();
+    this.align = null;
+    this.alignPattern = null;
+    this.alignChannel = null;
+    this._alignScrolling = false;
+    this._alignScrollDone = null;
+    this._alignScrollTargets = new Set();
+    this.retries = 0;
+    this.retryDelay = 1000;
+    this.timeout = 0;
+    this._retries = 0;
+    this._error = null;
   }
 
   attributeChangedCallback(name, oldVal, newVal) {
@@ -446,6 +644,16 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
       [],
     );
 
+    if (this.align) {
+      this.subscribeTo(
+        'pb-align',
+        this._alignTo.bind(this),
+        this.alignChannel ? [this.alignChannel] : undefined,
+      );
+      this._alignScrollListener = ev => this._alignScrolled(ev);
+      document.addEventListener('scroll', this._alignScrollListener, true);
+    }
+
     this.signalReady();
 
     if (this.onUpdate) {
@@ -460,11 +668,32 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
     if (this._scrollObserver) {
       this._scrollObserver.disconnect();
     }
+    if (this._alignScrollListener) {
+      document.removeEventListener('scroll', this._alignScrollListener, true);
+    }
+    if (this._alignScrollDone) {
+      this._alignScrollDone();
+    }
+    clearTimeout(this._retryTimer);
   }
 
   firstUpdated() {
     super.firstUpdated();
     this.enableScrollbar(true);
+    this.addEventListener('click', ev => {
+      if (this._error && isRetryAction(ev)) {
+        this.retry();
+      }
+    });
+    if (this.align) {
+      const view = this.shadowRoot.getElementById('view');
+      view.addEventListener('mouseover', ev => this._alignHover(ev));
+      view.addEventListener('mouseleave', () => {
+        this._alignHovered = '';
+        this._alignHighlight([]);
+        this._emitAlign('hover', []);
+      });
+    }
     if (this.infiniteScroll) {
       this._topObserver = this.shadowRoot.getElementById('top-observer');
       this._bottomObserver = this.shadowRoot.getElementById('bottom-observer');
@@ -513,7 +742,12 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
         });
       });
     }
-    this.subscribeTo('pb-refresh', this._refresh.bind(this));
+    this.subscribeTo('pb-refresh', ev => {
+      this._clearCache();
+      this._refresh(ev);
+    });
+    this.subscribeTo('pb-offline-prefetch', () => this.prefetch());
+    this.subscribeTo('pb-offline-remove', () => this.removeOffline());
   }
 
   /**
@@ -654,6 +888,9 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
     if (!this.infiniteScroll) {
       this._clear();
     }
+    clearTimeout(this._retryTimer);
+    this._retries = 0;
+    this._error = null;
 
     if (this._scrollObserver) {
       if (this._bottomObserver) {
@@ -674,48 +911,220 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
       return;
     }
 
-    if (!this.url) {
-      if (this.minApiVersion('1.0.0')) {
-        this.url = 'api/parts';
-      } else {
-        this.url = 'modules/lib/components.xql';
-      }
+    const url = this._fragmentUrl();
+    if (this.cacheSize > 0 && this._loadCached(url, params)) {
+      return;
     }
+    this._request(url, params);
+  }
 
-    let url = `${this.getEndpoint()}/${this.url}`;
-
-    if (this.minApiVersion('1.0.0')) {
-      url += `/${encodeURIComponent(this.getDocument().path)}/json`;
+  _request(url, params) {
+    if (this.offline) {
+      this._loadOffline(url, params);
+      return;
     }
 
+    const loadContent = this.shadowRoot.getElementById('loadContent');
     loadContent.url = url;
     loadContent.params = params;
     loadContent.generateRequest();
   }
 
   /**
-   * Use a static URL to load pre-generated content.
+   * Show the fragment from the in-memory cache, or wait for a running prefetch to return it.
+   *
+   * @returns {boolean} true if the fragment was found
    */
-  async _staticUrl(params) {
-    function createKey(paramNames) {
-      const urlComponents = [];
-      paramNames.sort().forEach(key => {
-        if (params.hasOwnProperty(key)) {
-          urlComponents.push(`${key}=${params[key]}`);
-        }
+  _loadCached(url, params) {
+    const odd = this.getOdd();
+    if (!this._fragments || this._fragments.maxSize !== this.cacheSize || this._cachedOdd !== odd) {
+      this._clearCache();
+      this._fragments = new FragmentCache(this.cacheSize);
+      this._cachedOdd = odd;
+    }
+    const key = cacheKey(url, params);
+    const cached = this._fragments.get(key);
+    if (cached) {
+      console.log('<pb-view> Showing cached fragment %s', key);
+      this._showContent(cached, params);
+      return true;
+    }
+    const pending = this._prefetches.get(key);
+    if (pending) {
+      pending.then(
+        data => this._showContent(data, params),
+        () => this._request(url, params),
+      );
+      return true;
+    }
+    return false;
+  }
+
+  _cacheFragment(url, params, data) {
+    if (this._fragments && data && !data.error) {
+      this._fragments.set(cacheKey(url, params), data);
+    }
+  }
+
+  _clearCache() {
+    this._fragments = null;
+    this._prefetches = new Map();
+  }
+
+  /**
+   * Load the fragments before and after the current one into the in-memory cache. The parameters
+   * are determined the same way as in `navigate`.
+   */
+  _prefetchNeighbours(resp) {
+    const url = this._fragmentUrl();
+    const fragments = this._fragments;
+    const prefetches = this._prefetches;
+    [
+      [resp.next, resp.nextId],
+      [resp.previous, resp.previousId],
+    ].forEach(([position, xmlId]) => {
+      if (!position) {
+        return;
+      }
+      const params = this.getParameters(xmlId ? null : position);
+      delete params.id;
+      if (xmlId) {
+        params.id = xmlId;
+      }
+      const key = cacheKey(url, params);
+      if (fragments.has(key) || prefetches.has(key)) {
+        return;
+      }
+      const request = this.offline
+        ? fetchFragment(url, params).then(result => result.data)
+        : fetch(key, { credentials: 'include' }).then(response => {
+            if (!response.ok) {
+              throw new Error(`Prefetching ${key} failed with status ${response.status}`);
+            }
+            return response.json();
+          });
+      const prefetch = request
+        .then(data => {
+          if (data && !data.error) {
+            fragments.set(key, data);
+          }
+          return data;
+        })
+        .finally(() => prefetches.delete(key));
+      // failed prefetches are ignored, the fragment will be requested again when needed
+      prefetch.catch(() => null);
+      prefetches.set(key, prefetch);
+    });
+  }
+
+  _fragmentUrl() {
+    if (!this.url) {
+      this.url = this.minApiVersion('1.0.0') ? 'api/parts' : 'modules/lib/components.xql';
+    }
+    let url = `${this.getEndpoint()}/${this.url}`;
+    if (this.minApiVersion('1.0.0')) {
+      url += `/${encodeURIComponent(this.getDocument().path)}/json`;
+    }
+    return url;
+  }
+
+  /**
+   * Load content via the offline cache instead of `iron-ajax`.
+   */
+  async _loadOffline(url, params) {
+    try {
+      const { data, fromCache } = await fetchFragment(url, params);
+      this._cacheFragment(url, params, data);
+      this._showContent(data, params);
+      const status = await offlineStatus(url, params);
+      this._emitOfflineStatus(status ? 'available' : 'partial', {
+        fromCache,
+        fragments: status ? status.fragments : null,
       });
-      return urlComponents.join('&');
+      if (!status && this.offlinePrefetch && !this._prefetching) {
+        this.prefetch();
+      }
+    } catch (error) {
+      console.error('<pb-view> %s', error.message);
+      this._emitOfflineStatus('unavailable', { fromCache: false });
+      const status = error.status || 0;
+      this._loadFailed(
+        {
+          status,
+          url,
+          params,
+          description: error.message,
+          timedOut: false,
+          transient: TRANSIENT_STATUS.indexOf(status) > -1,
+        },
+        () => this._loadOffline(url, params),
+      );
     }
+  }
 
-    const index = await fetch(`index.json`).then(response => response.json());
-    const paramNames = ['odd', 'view', 'xpath', 'map'];
-    this.querySelectorAll('pb-param').forEach(param =>
-      paramNames.push(`user.${param.getAttribute('name')}`),
+  /**
+   * Store all fragments of the current document for the current ODD and view in
+   * the browser's cache, so the document can be read offline.
+   *
+   * @returns {Promise<number>} the number of fragments stored
+   */
+  async prefetch() {
+    if (this._prefetching) {
+      return this._prefetching;
+    }
+    const params = this.getParameters();
+    this._prefetching = prefetchDocument(this._fragmentUrl(), params, fragments =>
+      this._emitOfflineStatus('prefetching', { fragments }),
     );
-    let url = params.id ? createKey([...paramNames, 'id']) : createKey([...paramNames, 'root']);
+    try {
+      const fragments = await this._prefetching;
+      this._emitOfflineStatus('available', { fragments });
+      return fragments;
+    } catch (error) {
+      console.error('<pb-view> Prefetching document failed: %s', error.message);
+      this._emitOfflineStatus('failed', { error: error.message });
+      return 0;
+    } finally {
+      this._prefetching = null;
+    }
+  }
+
+  /**
+   * Remove all fragments of the current document from the browser's cache.
+   */
+  async removeOffline() {
+    try {
+      await removeDocument(this._fragmentUrl());
+      this._emitOfflineStatus('partial', { fragments: null });
+    } catch (error) {
+      console.error('<pb-view> Removing offline document failed: %s', error.message);
+      this._emitOfflineStatus('failed', { error: error.message });
+    }
+  }
+
+  _emitOfflineStatus(status, detail) {
+    const doc = this.getDocument();
+    this.emitTo('pb-offline-status', {
+      status,
+      path: doc.path,
+      odd: this.getOdd(),
+      view: this.getView(),
+      ...detail,
+    });
+  }
+
+  /**
+   * Use a static URL to load pre-generated content, see `static-export.js`.
+   */
+  async _staticUrl(params) {
+    const index = await fetch(`index.json`).then(response => response.json());
+    const paramNames = staticParameterNames(this);
+    let url = params.id
+      ? staticIndexKey(params, [...paramNames, 'id'])
+      : staticIndexKey(params, [...paramNames, 'root']);
     let file = index[url];
     if (!file) {
-      url = createKey(paramNames);
+      url = staticIndexKey(params, paramNames);
       file = index[url];
     }
 
@@ -737,16 +1146,61 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
   }
 
   _handleError() {
-    this._clear();
     const loader = this.shadowRoot.getElementById('loadContent');
-    let message;
-    const { response } = loader.lastError;
+    this._loadFailed(loadError(loader.lastError, loader.url, loader.params), () =>
+      loader.generateRequest(),
+    );
+  }
 
-    if (response) {
-      message = response.description;
-    } else {
-      message = '<pb-i18n key="dialogs.serverError"></pb-i18n>';
+  /**
+   * Report a failed request and repeat it after a delay if the failure may be transient
+   * and the number of retries is not yet exhausted. Otherwise show an error message.
+   *
+   * @param {Object} error details of the error, see `loadError`
+   * @param {Function} request function sending the request again
+   */
+  _loadFailed(error, request) {
+    const attempt = this._retries;
+    const retry = error.transient && attempt < this.retries;
+    this.emitTo('pb-load-error', { ...error, attempt, retry });
+    this._retryRequest = request;
+    if (retry) {
+      console.log('<pb-view> Retrying request to %s', error.url);
+      this._retries += 1;
+      this._retryTimer = setTimeout(request, retryDelay(attempt, this.retryDelay));
+      return;
     }
+    this._retries = 0;
+    this._showError(error);
+  }
+
+  /**
+   * Send the last failed request again, e.g. if the user clicked on a retry button
+   * in the custom error message.
+   */
+  retry() {
+    if (!this._retryRequest) {
+      return;
+    }
+    clearTimeout(this._retryTimer);
+    this._error = null;
+    this._loading = true;
+    this.emitTo('pb-start-update');
+    this._retryRequest();
+  }
+
+  _showError(error) {
+    this._clear();
+    const template = this.querySelector(':scope > [slot="error"]');
+    if (template) {
+      fillErrorTemplate(template, error);
+      this._error = error;
+      this._loading = false;
+      this.emitTo('pb-end-update');
+      return;
+    }
+
+    const message = error.description || '<pb-i18n key="dialogs.serverError"></pb-i18n>';
 
     let content;
     if (this.notFound != null) {
@@ -761,8 +1215,15 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
 
   _handleContent() {
     const loader = this.shadowRoot.getElementById('loadContent');
-    const resp = loader.lastResponse;
+    if (this.static === null) {
+      this._cacheFragment(loader.url, loader.params, loader.lastResponse);
+    }
+    this._showContent(loader.lastResponse, loader.params);
+  }
 
+  _showContent(resp, params) {
+    this._retries = 0;
+    this._error = null;
     if (!resp) {
       console.error('<pb-view> No response received');
       return;
@@ -775,7 +1236,7 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
       return;
     }
 
-    this._replaceContent(resp, loader.params._dir);
+    this._replaceContent(resp, params._dir);
 
     this.animate();
 
@@ -802,6 +1263,10 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
     this.nodeId = resp.root;
     this.switchView = resp.switchView;
 
+    if (this.cacheSize > 0 && this.static === null && this._fragments) {
+      this._prefetchNeighbours(resp);
+    }
+
     this.updateComplete.then(() => {
       const view = this.shadowRoot.getElementById('view');
       this._applyToggles(view);
@@ -811,7 +1276,7 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
       const eventOptions = {
         data: resp,
         root: view,
-        params: loader.params,
+        params,
         id: this.xmlId,
         position: this.nodeId,
       };
@@ -1258,6 +1723,150 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
     return range.cloneContents();
   }
 
+  _alignSegments() {
+    const view = this.shadowRoot.getElementById('view');
+    return view ? Array.from(view.querySelectorAll(`[${this.align}]`)) : [];
+  }
+
+  _alignKeys(elem) {
+    if (this.alignPattern !== this._alignPatternSource) {
+      this._alignPatternSource = this.alignPattern;
+      this._alignRegExp = this.alignPattern ? new RegExp(this.alignPattern) : null;
+    }
+    return alignKeys(elem, this.align, this._alignRegExp);
+  }
+
+  _emitAlign(mode, keys, offset = 0, container = scrollContainer(this)) {
+    this.emitTo(
+      'pb-align',
+      {
+        mode,
+        keys,
+        offset,
+        source: this,
+        container,
+      },
+      this.alignChannel ? [this.alignChannel] : undefined,
+    );
+  }
+
+  _alignHover(ev) {
+    const segment = ev
+      .composedPath()
+      .find(node => node.hasAttribute && node.hasAttribute(this.align));
+    const keys = segment ? this._alignKeys(segment) : [];
+    if (keys.join(' ') === this._alignHovered) {
+      return;
+    }
+    this._alignHovered = keys.join(' ');
+    this._alignHighlight(keys);
+    this._emitAlign('hover', keys);
+  }
+
+  /**
+   * Called for every scroll event in the document: if this view was scrolled by the user,
+   * report the first segment visible together with its distance from the top.
+   * Scroll events are collected until the next animation frame, so the scroll container
+   * is looked up at most once per frame.
+   */
+  _alignScrolled(ev) {
+    if (this._alignScrolling) {
+      return;
+    }
+    this._alignScrollTargets.add(ev.target === document ? document.scrollingElement : ev.target);
+    if (this._alignFrame) {
+      return;
+    }
+    this._alignFrame = window.requestAnimationFrame(() => {
+      const targets = this._alignScrollTargets;
+      this._alignFrame = null;
+      this._alignScrollTargets = new Set();
+      if (this._alignScrolling) {
+        return;
+      }
+      const container = scrollContainer(this);
+      if (!targets.has(container)) {
+        return;
+      }
+      const top = containerTop(container);
+      const segment = this._alignSegments().find(elem => elem.getBoundingClientRect().bottom > top);
+      if (segment) {
+        this._emitAlign(
+          'scroll',
+          this._alignKeys(segment),
+          segment.getBoundingClientRect().top - top,
+          container,
+        );
+      }
+    });
+  }
+
+  /**
+   * Scroll to and highlight the segments corresponding to the ones in another view.
+   */
+  _alignTo(ev) {
+    const { mode, keys, offset, source, container } = ev.detail;
+    if (source === this) {
+      return;
+    }
+    const segments = this._alignSegments().filter(elem =>
+      this._alignKeys(elem).some(key => keys.indexOf(key) > -1),
+    );
+    if (mode === 'hover') {
+      this._alignHighlight(keys);
+    }
+    const ownContainer = scrollContainer(this);
+    // views sharing a scroll container are scrolled together anyway
+    if (segments.length === 0 || ownContainer === container) {
+      return;
+    }
+    const top = containerTop(ownContainer);
+    const rect = segments[0].getBoundingClientRect();
+    if (mode === 'scroll') {
+      const delta = rect.top - top - offset;
+      if (Math.abs(delta) >= 1) {
+        this._suppressAlignScroll(ownContainer);
+        ownContainer.scrollTop += delta;
+      }
+    } else if (rect.top < top || rect.bottom > top + ownContainer.clientHeight) {
+      this._suppressAlignScroll(ownContainer);
+      segments[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }
+
+  /**
+   * Do not report scrolling caused by aligning this view until the scroll has settled,
+   * which may take a while for smooth scrolling. Browsers not supporting `scrollend`
+   * fall back to a timeout.
+   */
+  _suppressAlignScroll(container) {
+    const target = container === document.scrollingElement ? document : container;
+    if (this._alignScrollDone) {
+      this._alignScrollDone();
+    }
+    let timer;
+    const done = () => {
+      this._alignScrolling = false;
+      this._alignScrollDone = null;
+      clearTimeout(timer);
+      target.removeEventListener('scrollend', done);
+    };
+    timer = setTimeout(done, 'onscrollend' in window ? 2000 : 1000);
+    target.addEventListener('scrollend', done);
+    this._alignScrollDone = done;
+    this._alignScrolling = true;
+  }
+
+  _alignHighlight(keys) {
+    this._alignSegments().forEach(elem => {
+      if (keys.length > 0 && this._alignKeys(elem).some(key => keys.indexOf(key) > -1)) {
+        elem.classList.add('pb-aligned');
+      } else {
+        elem.classList.remove('pb-aligned');
+      }
+    });
+  }
+
   _updateSource(newVal, oldVal) {
     if (typeof oldVal !== 'undefined' && newVal !== oldVal) {
       this.xpath = null;
@@ -1274,6 +1883,10 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
         background: transparent;
       }
 
+      .pb-aligned {
+        background-color: var(--pb-highlight-color, #f9e976);
+      }
+
       :host(.noscroll) {
         scrollbar-width: none; /* Firefox 64 */
         -ms-overflow-style: none;
@@ -1413,12 +2026,14 @@ export class PbView extends themableMixin(pbMixin(LitElement)) {
           <div id="content">${this._content}</div>
           ${this.infiniteScroll ? html`<div id="bottom-observer" class="observer"></div>` : null}
           <div id="footnotes" part="footnotes">${this._footnotes}</div>
+          <div id="error" part="error" ?hidden="${!this._error}"><slot name="error"></slot></div>
         </div>
         <iron-ajax
           id="loadContent"
           verbose
           handle-as="json"
           method="get"
+          .timeout="${this.timeout}"
           with-credentials
           @response="${this._handleContent}"
           @error="${this._handleError}"
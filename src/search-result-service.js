@@ -1,4 +1,105 @@
 import { get as i18n } from './pb-i18n.js';
+import { addMonths, addYears, fromISO, getCalendar, toISO } from './calendars.js';
+
+/*
+ * returns a copy of a binObject with the count, info and per-series counts
+ * of a value in the input data added. For uncertain dates, only
+ * the given share (weight) of the counts is added.
+ */
+function addValue(binObject, value, weight = 1, uncertain = false) {
+  const series = { ...binObject.series };
+  const uncertainSeries = { ...binObject.uncertainSeries };
+  let { info } = binObject;
+  let count = 0;
+  if (typeof value !== 'object') {
+    count = (value || 0) * weight;
+  } else {
+    if (value.series) {
+      Object.keys(value.series).forEach(name => {
+        const seriesCount = (value.series[name] || 0) * weight;
+        series[name] = (series[name] || 0) + seriesCount;
+        if (uncertain) {
+          uncertainSeries[name] = (uncertainSeries[name] || 0) + seriesCount;
+        }
+        count += seriesCount;
+      });
+    }
+    if (typeof value.count === 'number') {
+      count = value.count * weight;
+    }
+    if (value.info) {
+      info = info.concat(value.info);
+    }
+  }
+  return {
+    ...binObject,
+    value: binObject.value + count,
+    info,
+    series,
+    uncertain: uncertain ? binObject.uncertain + count : binObject.uncertain,
+    uncertainSeries,
+  };
+}
+
+/*
+ * expands a date with a precision of year, month or day into the
+ * first and last day it covers. Month or day may be "00" if unknown.
+ * EDTF qualifiers for uncertain (?) or approximate (~, %) dates are ignored.
+ * EXAMPLES:
+ * expandDate("1850") // => ["1850-01-01", "1850-12-31"]
+ * expandDate("1850-02~") // => ["1850-02-01", "1850-02-28"]
+ * expandDate("1850-00-00") // => ["1850-01-01", "1850-12-31"]
+ */
+function expandDate(str) {
+  const match = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?[~?%]?$/.exec(str);
+  if (!match) {
+    return null;
+  }
+  const [, yearStr, monthStr = '00', dayStr = '00'] = match;
+  const month = Number(monthStr);
+  const day = Number(dayStr);
+  if (yearStr === '0000' || month > 12 || day > 31) {
+    return null;
+  }
+  if (month === 0) {
+    return [`${yearStr}-01-01`, `${yearStr}-12-31`];
+  }
+  if (day === 0) {
+    const lastDay = new Date(Date.UTC(Number(yearStr), month, 0)).getUTCDate();
+    return [`${yearStr}-${monthStr}-01`, `${yearStr}-${monthStr}-${lastDay}`];
+  }
+  return [`${yearStr}-${monthStr}-${dayStr}`, `${yearStr}-${monthStr}-${dayStr}`];
+}
+
+/*
+ * parses an uncertain date or interval into its first and last day.
+ * Open ends of an interval are returned as null.
+ * Returns null if the string cannot be parsed.
+ * EXAMPLES:
+ * parseUncertainDate("1850~") // => { start: "1850-01-01", end: "1850-12-31" }
+ * parseUncertainDate("1850/1852") // => { start: "1850-01-01", end: "1852-12-31" }
+ * parseUncertainDate("../1860") // => { start: null, end: "1860-12-31" }
+ */
+export function parseUncertainDate(str) {
+  const parts = str.split('/');
+  if (parts.length === 1) {
+    const range = expandDate(str);
+    return range ? { start: range[0], end: range[1] } : null;
+  }
+  if (parts.length !== 2) {
+    return null;
+  }
+  const isOpen = part => part === '' || part === '..';
+  const from = isOpen(parts[0]) ? null : expandDate(parts[0]);
+  const to = isOpen(parts[1]) ? null : expandDate(parts[1]);
+  if ((!from && !isOpen(parts[0])) || (!to && !isOpen(parts[1])) || (!from && !to)) {
+    return null;
+  }
+  if (from && to && from[0] > to[1]) {
+    return null;
+  }
+  return { start: from ? from[0] : null, end: to ? to[1] : null };
+}
 
 export class SearchResultService {
   /*
@@ -14,20 +115,34 @@ export class SearchResultService {
    *   getMaxDate()
    *   export()
    *   getIntervalSizes()
+   *   setRange()
+   *   getScopeForRange()
    */
 
   /*
    * CONSRTUCTOR INPUTS EXPLAINED
    * jsonData: data to load, object with
    *   keys => valid datestrings formatted YYYY-MM-DD
-   *   values => number of results for this day
+   *   values => number of results for this day or an object
+   *     with properties count, info and series. series maps the name
+   *     of each series (e.g. the sender of a letter) to its count
+   *   keys may also be uncertain dates or intervals, see _validateJsonData
    * maxInterval: max amount of bins allowed
    * scopes: array of all 6 possible values for scope
+   * calendar: calendar used for the years and months of the bins and their labels,
+   *   see calendars.js. dateStr of bins and input data remain gregorian
    */
-  constructor(jsonData = {}, maxInterval = 60, scopes = ['D', 'W', 'M', 'Y', '5Y', '10Y']) {
-    this.data = { invalid: {}, valid: {} };
+  constructor(
+    jsonData = {},
+    maxInterval = 60,
+    scopes = ['D', 'W', 'M', 'Y', '5Y', '10Y'],
+    calendar = 'gregorian',
+  ) {
+    this.data = { invalid: {}, valid: {}, uncertain: [] };
+    this.series = [];
     this.maxInterval = maxInterval;
     this.scopes = scopes;
+    this.calendar = calendar;
     this._validateJsonData(jsonData);
   }
 
@@ -37,11 +152,19 @@ export class SearchResultService {
    * - max date as dateStr or utc-date-object
    */
   getMinDateStr() {
-    return Object.keys(this.data.valid).sort()[0];
+    if (this.range) {
+      return this.range.start;
+    }
+    return Object.keys(this.data.valid)
+      .concat(this.data.uncertain.map(entry => entry.start))
+      .sort()[0];
   }
 
   getMaxDateStr() {
-    const days = Object.keys(this.data.valid);
+    if (this.range) {
+      return this._UTCDateToDateStr(this._addDays(this._dateStrToUTCDate(this.range.end), -1));
+    }
+    const days = Object.keys(this.data.valid).concat(this.data.uncertain.map(entry => entry.end));
     return days.sort()[days.length - 1];
   }
 
@@ -57,6 +180,37 @@ export class SearchResultService {
     return this._UTCDateToDateStr(this._increaseDateBy(scope, date));
   }
 
+  /*
+   * returns the first day of the bin containing dateStr
+   */
+  getStartOfRangeDate(scope, dateStr) {
+    return this._getFirstDay(this._classify(dateStr, scope));
+  }
+
+  /*
+   * restricts the exported bins to the range from startDateStr to
+   * endDateStr (excluded), regardless of the dates in the data.
+   * Used to show a part of the timeline when zooming.
+   */
+  setRange(startDateStr, endDateStr) {
+    this.range = { start: startDateStr, end: endDateStr };
+  }
+
+  /*
+   * returns the finest scope which shows the range from startDateStr
+   * to endDateStr (excluded) in no more than maxInterval bins
+   */
+  getScopeForRange(startDateStr, endDateStr) {
+    const maxDateStr = this._UTCDateToDateStr(
+      this._addDays(this._dateStrToUTCDate(endDateStr), -1),
+    );
+    const scope = this.scopes.find(
+      candidate =>
+        this._computeIntervalSize(candidate, startDateStr, maxDateStr) <= this.maxInterval,
+    );
+    return scope || this.scopes[this.scopes.length - 1];
+  }
+
   /*
    * exports data for each scope
    * when no argument is provided, the optimal scope based
@@ -76,8 +230,9 @@ export class SearchResultService {
       data: [],
       scope,
       binTitleRotated: this._binTitleRotatedLookup(scope),
+      series: this.series,
     };
-    if (Object.keys(this.data.valid).length === 0) {
+    if (!this.getMinDateStr()) {
       return exportData;
     }
     // get start and end date
@@ -93,48 +248,54 @@ export class SearchResultService {
       currentDate = this._increaseDateBy(scope, currentDate);
     }
     // count all values
+    const minDateStr = this.getMinDateStr();
+    const maxDateStr = this.getMaxDateStr();
     Object.keys(this.data.valid)
+      .filter(dateStr => dateStr >= minDateStr && dateStr <= maxDateStr)
       .sort()
       .forEach(dateStr => {
         const currentCategory = this._classify(dateStr, scope);
-        const targetBinObject = exportData.data.find(it => it.category === currentCategory);
+        const index = exportData.data.findIndex(it => it.category === currentCategory);
         try {
-          const value = this.data.valid[dateStr];
-          if (typeof value === 'object') {
-            targetBinObject.value += value.count || 0;
-            if (value.info) {
-              targetBinObject.info = targetBinObject.info.concat(value.info);
-            }
-          } else {
-            targetBinObject.value += this.data.valid[dateStr] || 0;
-          }
+          exportData.data[index] = addValue(exportData.data[index], this.data.valid[dateStr]);
         } catch (e) {
           console.log(e);
           console.log('currentCategory');
           console.log(currentCategory);
         }
       });
+    // spread uncertain dates across the bins they cover
+    this.data.uncertain.forEach(entry => {
+      const start = this._dateStrToUTCDate(entry.start);
+      const end = this._addDays(this._dateStrToUTCDate(entry.end), 1);
+      exportData.data = exportData.data.map(binObject => {
+        const binStart = this._dateStrToUTCDate(binObject.dateStr);
+        const binEnd = this._increaseDateBy(scope, binStart);
+        const overlap = Math.min(end, binEnd) - Math.max(start, binStart);
+        if (overlap > 0) {
+          return addValue(binObject, entry.value, overlap / (end - start), true);
+        }
+        return binObject;
+      });
+    });
     if (this.data.invalid) {
-      let invalid = 0;
-      let info = [];
+      let unknown = {
+        tooltip: i18n('timeline.unknown'),
+        title: i18n('timeline.unknown'),
+        // binTitle: i18n('timeline.unknown'),
+        category: '?',
+        separator: true,
+        value: 0,
+        info: [],
+        series: {},
+        uncertain: 0,
+        uncertainSeries: {},
+      };
       Object.values(this.data.invalid).forEach(value => {
-        if (typeof value === 'object') {
-          invalid += value.count || 0;
-          info = info.concat(value.info);
-        } else {
-          invalid += value;
-        }
+        unknown = addValue(unknown, value);
       });
-      if (invalid > 0) {
-        exportData.data.push({
-          tooltip: i18n('timeline.unknown'),
-          title: i18n('timeline.unknown'),
-          // binTitle: i18n('timeline.unknown'),
-          category: '?',
-          separator: true,
-          value: invalid,
-          info,
-        });
+      if (unknown.value > 0) {
+        exportData.data.push(unknown);
       }
     }
     return exportData;
@@ -159,20 +320,53 @@ export class SearchResultService {
   }
 
   /*
-   * splits input data in 2 sections
+   * splits input data in 3 sections
    * => valid data
-   * => invalid (if not a vaid date, for example 2012-00-00 is invalid)
+   * => uncertain: dates with a precision of year or month, approximate
+   *    or uncertain dates and intervals, for example
+   *    2012, 2012-05, 2012~, 2012-05?, 2012/2014, ../2012 or 2012-05/..
+   *    open intervals end at the first or last date in the data
+   * => invalid (if not a valid date, for example 2012-00-00, 0000-00-00 or ?)
+   *    dates with unknown month or day are not spread, but counted in the "?" bin
    */
   _validateJsonData(jsonData) {
+    const series = new Set();
     Object.keys(jsonData)
       .sort()
       .forEach(key => {
         if (this._isValidDateStr(key)) {
           this.data.valid[key] = jsonData[key];
         } else {
-          this.data.invalid[key] = jsonData[key];
+          const range = /^\d{4}-\d{2}-\d{2}$/.test(key) ? null : parseUncertainDate(key);
+          if (range) {
+            this.data.uncertain.push({ key, ...range, value: jsonData[key] });
+          } else {
+            this.data.invalid[key] = jsonData[key];
+          }
+        }
+        if (jsonData[key] && jsonData[key].series) {
+          Object.keys(jsonData[key].series).forEach(name => series.add(name));
         }
       });
+    this.series = Array.from(series).sort();
+
+    // close open intervals using the earliest and latest date known
+    const bounds = Object.keys(this.data.valid);
+    this.data.uncertain
+      .filter(entry => entry.start && entry.end)
+      .forEach(entry => bounds.push(entry.start, entry.end));
+    bounds.sort();
+    const uncertain = [];
+    this.data.uncertain.forEach(entry => {
+      const start = entry.start || bounds[0];
+      const end = entry.end || bounds[bounds.length - 1];
+      if (!start || !end || start > end) {
+        this.data.invalid[entry.key] = entry.value;
+      } else {
+        uncertain.push({ ...entry, start, end });
+      }
+    });
+    this.data.uncertain = uncertain;
   }
 
   /*
@@ -195,16 +389,16 @@ export class SearchResultService {
    * can be read by the pb-timeline component
    */
   _buildBinObject(dateStr, category, scope) {
-    const split = dateStr.split('-');
-    const yearStr = split[0];
-    const monthStr = split[1];
-    const dayStr = split[2];
+    const yearStr = dateStr.split('-')[0];
     // for all scopes this remains the same
     const binObject = {
       dateStr,
       category,
       value: 0,
       info: [],
+      series: {},
+      uncertain: 0,
+      uncertainSeries: {},
     };
     // scope specific bin data
     if (scope === '10Y') {
@@ -238,15 +432,15 @@ export class SearchResultService {
         binObject.seperator = true;
       }
     } else if (scope === 'M') {
-      const monthNum = Number(monthStr);
-      const month = this._monthLookup(monthNum); // Jan,Feb,Mar,...,Nov,Dez
+      const [calendarYear, monthNum] = category.split('-').map(Number);
+      const month = this._monthName(monthNum, calendarYear); // Jan,Feb,Mar,...,Nov,Dez
       binObject.binTitle = month[0]; // J,F,M,A,M,J,J,..N,D
-      binObject.tooltip = `${month} ${yearStr}`; // May 1996
-      binObject.selectionStart = `${month} ${yearStr}`;
-      binObject.selectionEnd = `${month} ${yearStr}`;
+      binObject.tooltip = `${month} ${calendarYear}`; // May 1996
+      binObject.selectionStart = `${month} ${calendarYear}`;
+      binObject.selectionEnd = `${month} ${calendarYear}`;
       // every first of the month
       if (monthNum === 1) {
-        binObject.title = yearStr; // YYYY
+        binObject.title = `${calendarYear}`; // YYYY
         binObject.seperator = true;
       }
     } else if (scope === 'W') {
@@ -264,12 +458,17 @@ export class SearchResultService {
       // seperator every start of the year
       binObject.seperator = week === 'W1';
     } else if (scope === 'D') {
-      binObject.tooltip = dateStr;
-      binObject.selectionStart = dateStr;
-      binObject.selectionEnd = dateStr;
+      const date = this._calendarDate(dateStr);
+      const gregorian = this.calendar === 'gregorian';
+      // dates in other calendars are shown with the name of the month: 1 Ramadan 1266
+      const month = gregorian ? '' : this._monthName(date.month, date.year);
+      const label = gregorian ? dateStr : `${date.day} ${month} ${date.year}`;
+      binObject.tooltip = label;
+      binObject.selectionStart = label;
+      binObject.selectionEnd = label;
       // every monday
       if (this._dateStrToUTCDate(dateStr).getUTCDay() === 1) {
-        binObject.binTitle = `${Number(dayStr)}.${Number(monthStr)}`;
+        binObject.binTitle = gregorian ? `${date.day}.${date.month}` : `${date.day} ${month}`;
         binObject.title = `${this._classify(dateStr, 'W').replace('-', ' ')}`;
         binObject.seperator = true;
       }
@@ -290,6 +489,8 @@ export class SearchResultService {
    * _classify("2016-01-12", "M") // => "2010-01"
    * _classify("2016-01-12", "W") // => "2016-W2"
    * _classify("2016-01-12", "D") // => "2016-01-12"
+   * years and months are those of the calendar, e.g. for the islamic calendar:
+   * _classify("2016-01-12", "M") // => "1437-04"
    */
   _classify(dateStr, scope) {
     // returns category (as string)
@@ -301,16 +502,16 @@ export class SearchResultService {
       // both inputs provided
       throw new Error(`both inputs must be provided. Got dateStr=${dateStr}, scope=${scope}`);
     }
+    const { year, month } = this._calendarDate(dateStr);
     switch (scope) {
       case '10Y':
       case '5Y':
         const intervalSize = Number(scope.replace('Y', ''));
-        const startYear = Math.floor(Number(dateStr.split('-')[0]) / intervalSize) * intervalSize;
-        return startYear.toString();
+        return (Math.floor(year / intervalSize) * intervalSize).toString();
       case 'Y':
-        return dateStr.substr(0, 4);
+        return String(year).padStart(4, '0');
       case 'M':
-        return dateStr.substr(0, 7);
+        return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}`;
       case 'W':
         const UTCDate = this._dateStrToUTCDate(dateStr);
         return this._UTCDateToWeekFormat(UTCDate);
@@ -332,12 +533,13 @@ export class SearchResultService {
       return categoryStr;
     }
     if (categoryStr.match(/^\d{4}-\d{2}$/)) {
-      // YYYY-MM
-      return `${categoryStr}-01`; // add    -01
+      // YYYY-MM => first day of the month in the calendar
+      const [year, month] = categoryStr.split('-').map(Number);
+      return toISO(this.calendar, year, month, 1);
     }
     if (categoryStr.match(/^\d{4}$/)) {
-      // YYYY
-      return `${categoryStr}-01-01`; // add -01-01
+      // YYYY => first day of the year in the calendar
+      return toISO(this.calendar, Number(categoryStr), 1, 1);
     }
     if (categoryStr.match(/^\d{4}-W([1-9]|[1-4][0-9]|5[0-3])$/)) {
       // YYYY-W?  // ? => [1-53]
@@ -444,13 +646,12 @@ export class SearchResultService {
     };
   }
 
-  _computeIntervalSize(scope) {
-    const maxDate = this.getMaxDateStr();
+  _computeIntervalSize(scope, minDate = this.getMinDateStr(), maxDate = this.getMaxDateStr()) {
     if (!maxDate) {
       return 0;
     }
     const endDate = this._dateStrToUTCDate(maxDate);
-    const firstDayDateStr = this._getFirstDay(this._classify(this.getMinDateStr(), scope));
+    const firstDayDateStr = this._getFirstDay(this._classify(minDate, scope));
     let currentDate = this._dateStrToUTCDate(firstDayDateStr);
     let count = 0;
     while (currentDate <= endDate) {
@@ -461,6 +662,9 @@ export class SearchResultService {
   }
 
   _increaseDateBy(scope, date) {
+    if (this.calendar !== 'gregorian' && scope !== 'D' && scope !== 'W') {
+      return this._addCalendarInterval(scope, date);
+    }
     switch (scope) {
       case 'D':
         return this._addDays(date, 1);
@@ -477,6 +681,30 @@ export class SearchResultService {
     }
   }
 
+  /*
+   * adds a month or n years in the calendar to a UTC date object
+   */
+  _addCalendarInterval(scope, UTCDate) {
+    const date = this._calendarDate(this._UTCDateToDateStr(new Date(UTCDate.valueOf())));
+    const next =
+      scope === 'M'
+        ? addMonths(this.calendar, date, 1)
+        : addYears(this.calendar, date, Number(scope.replace('Y', '')) || 1);
+    return this._dateStrToUTCDate(toISO(this.calendar, next.year, next.month, next.day));
+  }
+
+  /*
+   * converts dateStr (YYYY-MM-DD) to year, month and day (as numbers)
+   * in the calendar
+   */
+  _calendarDate(dateStr) {
+    if (this.calendar === 'gregorian') {
+      const [year, month, day] = dateStr.split('-').map(Number);
+      return { year, month, day };
+    }
+    return fromISO(this.calendar, dateStr);
+  }
+
   /*
    * functions that add n days (_addDays), months (_addMonths)
    * or years (_addYears) to a UTC date object
@@ -527,6 +755,15 @@ export class SearchResultService {
     return true;
   }
 
+  /*
+   * name of a month in the calendar. For calendars using
+   * the gregorian months, see _monthLookup
+   */
+  _monthName(num, year) {
+    const calendar = getCalendar(this.calendar);
+    return calendar.monthNames ? calendar.monthNames(year)[num - 1] : this._monthLookup(num);
+  }
+
   /*
    * Converts month number (str or number) to a 3 char
    * abbreviation of the month (in english)
@@ -0,0 +1,233 @@
+/* eslint-disable no-param-reassign */
+/**
+ * Exports the fragments of a document displayed by `pb-view` as static files, which can be
+ * published on any HTTP server and loaded by a `pb-view` with the `static` property set.
+ *
+ * `crawl` walks the document from its first to its last fragment using `navigate()`,
+ * recording the JSON returned by the server for each fragment. The result consists of
+ * an `index.json`, mapping the request parameters to the file containing the fragment,
+ * the fragment files below `parts/` and the stylesheet generated from the ODD below `css/`.
+ *
+ * The index is looked up by `pb-view` relative to the HTML page, so the files
+ * should be written to the directory containing the page showing the document.
+ *
+ * `crawl` relies on `pb-view` to load the fragments, so it has to run in the browser. Within
+ * an application, pass the result to `writeExport` to save it into a directory chosen by the
+ * user. To export from the command line, open the page showing the document in a headless
+ * browser, run `crawl` in the page and convert the result with `serializeExport`, so it can
+ * be passed back to the driver, e.g. using Puppeteer:
+ *
+ * ```js
+ * const page = await browser.newPage();
+ * // wait until the first fragment has been shown
+ * await page.goto(pageUrl, { waitUntil: 'networkidle0' });
+ * const { index, files } = await page.evaluate(async () => {
+ *   const { crawl, serializeExport } = await import('/path/to/pb-components/src/static-export.js');
+ *   return serializeExport(await crawl(document.querySelector('pb-view')));
+ * });
+ * for (const [path, content] of Object.entries(files)) {
+ *   await fs.mkdir(dirname(join(out, path)), { recursive: true });
+ *   await fs.writeFile(join(out, path), content);
+ * }
+ * await fs.writeFile(join(out, 'index.json'), JSON.stringify(index, null, 2));
+ * ```
+ *
+ * Unlike `writeExport`, the driver needs to merge an existing `index.json` itself.
+ */
+
+/**
+ * Parameters taken into account when looking up a fragment in the static index.
+ */
+export const STATIC_PARAMETERS = ['odd', 'view', 'xpath', 'map'];
+
+/**
+ * Get the key under which a fragment is recorded in `index.json`.
+ *
+ * @param {Object} params the parameters sent to the server to load the fragment
+ * @param {Array<string>} paramNames names of the parameters to include in the key
+ * @returns {string} the key
+ */
+export function staticIndexKey(params, paramNames) {
+  const urlComponents = [];
+  [...paramNames].sort().forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(params, key)) {
+      urlComponents.push(`${key}=${params[key]}`);
+    }
+  });
+  return urlComponents.join('&');
+}
+
+/**
+ * Get the names of all parameters relevant for the static index of the given `pb-view`,
+ * including the user-defined parameters given in nested `pb-param` elements.
+ *
+ * @param {HTMLElement} view the `pb-view`
+ * @returns {Array<string>} the parameter names
+ */
+export function staticParameterNames(view) {
+  const paramNames = [...STATIC_PARAMETERS];
+  view
+    .querySelectorAll('pb-param')
+    .forEach(param => paramNames.push(`user.${param.getAttribute('name')}`));
+  return paramNames;
+}
+
+function fileName(key) {
+  return `parts/${key.replace(/[^\w.-]+/g, '_') || 'index'}.json`;
+}
+
+function waitForEvent(view, type, timeout, message, trigger = () => {}) {
+  return new Promise((resolve, reject) => {
+    let timer;
+    const listener = ev => {
+      if (ev.detail._source !== view) {
+        return;
+      }
+      clearTimeout(timer);
+      view.removeEventListener(type, listener);
+      resolve(ev.detail);
+    };
+    timer = setTimeout(() => {
+      view.removeEventListener(type, listener);
+      reject(new Error(`${message} within ${timeout}ms`));
+    }, timeout);
+    view.addEventListener(type, listener);
+    trigger();
+  });
+}
+
+function waitForUpdate(view, timeout, load) {
+  return waitForEvent(view, 'pb-update', timeout, 'No content received from pb-view', load);
+}
+
+/*
+ * `pb-view` ignores requests while loading, so wait for the current request to finish
+ */
+function waitForIdle(view, timeout) {
+  if (!view._loading) {
+    return Promise.resolve();
+  }
+  return waitForEvent(view, 'pb-end-update', timeout, 'pb-view did not finish loading');
+}
+
+/**
+ * Walk through all fragments of the document shown by the `pb-view`, starting at the first one.
+ * The view should not use `infinite-scroll`.
+ *
+ * @param {HTMLElement} view the `pb-view` to crawl
+ * @param {Object} [options] options
+ * @param {function({fragments: number, root: string}): void} [options.onProgress] called after
+ * each fragment with the number of fragments recorded so far
+ * @param {number} [options.timeout] time in ms to wait for each fragment
+ * @param {boolean} [options.css] also export the stylesheet generated from the ODD, default is true
+ * @returns {Promise<{index: Object, files: Map<string, string>}>} the index and a map of file
+ * names to the content to write into the file
+ */
+export async function crawl(view, { onProgress = () => {}, timeout = 60000, css = true } = {}) {
+  const paramNames = staticParameterNames(view);
+  const index = {};
+  const files = new Map();
+  const visited = new Set();
+
+  const record = ({ data, params }) => {
+    const key = staticIndexKey(params, [...paramNames, params.id ? 'id' : 'root']);
+    const file = fileName(key);
+    files.set(file, JSON.stringify(data));
+    index[key] = file;
+    // the first fragment is requested without position, but by its root if the user navigates back to it
+    if (!params.id && !params.root && data.root) {
+      index[staticIndexKey({ ...params, root: data.root }, [...paramNames, 'root'])] = file;
+    }
+    onProgress({ fragments: visited.size + 1, root: data.root });
+  };
+
+  const next = async update => {
+    record(update);
+    if (!view.next || visited.has(update.data.root)) {
+      return;
+    }
+    visited.add(update.data.root);
+    await next(await waitForUpdate(view, timeout, () => view.navigate('forward')));
+  };
+
+  // do not change the browser location while crawling
+  const { disableHistory } = view;
+  view.disableHistory = true;
+  try {
+    await waitForIdle(view, timeout);
+    await next(
+      await waitForUpdate(view, timeout, () => {
+        view.xmlId = null;
+        view.nodeId = null;
+        view.goto(null);
+      }),
+    );
+  } finally {
+    view.disableHistory = disableHistory;
+  }
+
+  if (css) {
+    const odd = view.getOdd();
+    const stylesheet = await fetch(`${view.getEndpoint()}/transform/${odd}.css`, {
+      credentials: 'include',
+    })
+      .then(response => (response.ok ? response.text() : null))
+      .catch(() => null);
+    if (stylesheet !== null) {
+      files.set(`css/${odd}.css`, stylesheet);
+    }
+  }
+  return { index, files };
+}
+
+/**
+ * Convert the result of `crawl` into a plain object, which can be serialized as JSON,
+ * e.g. to return it from a headless browser.
+ *
+ * @param {{index: Object, files: Map<string, string>}} result the result returned by `crawl`
+ * @returns {{index: Object, files: Object<string, string>}} the index and an object mapping
+ * file names to their content
+ */
+export function serializeExport(result) {
+  return { index: result.index, files: Object.fromEntries(result.files) };
+}
+
+async function writeFile(directory, path, content) {
+  const segments = path.split('/');
+  const name = segments.pop();
+  const dir = await segments.reduce(
+    (parent, segment) =>
+      parent.then(handle => handle.getDirectoryHandle(segment, { create: true })),
+    Promise.resolve(directory),
+  );
+  const handle = await dir.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  await writable.write(content);
+  await writable.close();
+}
+
+async function readIndex(directory) {
+  try {
+    const handle = await directory.getFileHandle('index.json');
+    const file = await handle.getFile();
+    return JSON.parse(await file.text());
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Write the result of `crawl` into a directory, e.g. one selected by the user via
+ * `window.showDirectoryPicker()`. An existing `index.json` is extended, so several
+ * ODDs or views of the same document can be exported into one directory.
+ *
+ * @param {{index: Object, files: Map<string, string>}} result the result returned by `crawl`
+ * @param {FileSystemDirectoryHandle} directory the directory to write to
+ */
+export async function writeExport(result, directory) {
+  const index = { ...(await readIndex(directory)), ...result.index };
+  await Promise.all(
+    [...result.files.entries()].map(([path, content]) => writeFile(directory, path, content)),
+  );
+  await writeFile(directory, 'index.json', JSON.stringify(index, null, 2));
+}
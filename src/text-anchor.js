@@ -0,0 +1,133 @@
+/**
+ * Approximate string matching used to re-anchor annotations after the
+ * annotated text has changed.
+ *
+ * A quote is located in the text using the algorithm by Sellers, which computes
+ * the edit distance between the quote and every substring of the text. All candidate
+ * matches within the allowed number of errors are then ranked by their edit distance,
+ * by how well the text around them matches the prefix and suffix recorded with the quote,
+ * and by their distance to the original position.
+ */
+
+/**
+ * Find all substrings of text matching pattern with at most maxErrors edits.
+ *
+ * @param {string} text the text to search
+ * @param {string} pattern the pattern to find
+ * @param {number} maxErrors maximum edit distance
+ * @returns {{start: number, end: number, errors: number}[]} the matches found
+ */
+export function approximateMatches(text, pattern, maxErrors) {
+  const m = pattern.length;
+  if (m === 0) {
+    return [];
+  }
+  // column of the DP matrix for the current text position: edit distance and start of match
+  let prevDist = new Array(m + 1);
+  let prevStart = new Array(m + 1);
+  for (let i = 0; i <= m; i += 1) {
+    prevDist[i] = i;
+    prevStart[i] = 0;
+  }
+  const matches = [];
+  for (let j = 1; j <= text.length; j += 1) {
+    const dist = new Array(m + 1);
+    const start = new Array(m + 1);
+    dist[0] = 0;
+    start[0] = j;
+    const c = text.charAt(j - 1);
+    for (let i = 1; i <= m; i += 1) {
+      const cost = pattern.charAt(i - 1) === c ? 0 : 1;
+      dist[i] = prevDist[i - 1] + cost;
+      start[i] = prevStart[i - 1];
+      if (prevDist[i] + 1 < dist[i]) {
+        dist[i] = prevDist[i] + 1;
+        start[i] = prevStart[i];
+      }
+      if (dist[i - 1] + 1 < dist[i]) {
+        dist[i] = dist[i - 1] + 1;
+        start[i] = start[i - 1];
+      }
+    }
+    if (dist[m] <= maxErrors) {
+      const last = matches[matches.length - 1];
+      // keep only the better of two overlapping matches starting at the same position,
+      // preferring the one closer in length to the pattern if both have the same distance
+      if (last && last.start === start[m]) {
+        if (
+          dist[m] < last.errors ||
+          (dist[m] === last.errors &&
+            Math.abs(j - start[m] - m) < Math.abs(last.end - last.start - m))
+        ) {
+          matches[matches.length - 1] = { start: start[m], end: j, errors: dist[m] };
+        }
+      } else {
+        matches.push({ start: start[m], end: j, errors: dist[m] });
+      }
+    }
+    prevDist = dist;
+    prevStart = start;
+  }
+  return matches;
+}
+
+function commonSuffixLength(a, b) {
+  let n = 0;
+  while (
+    n < a.length &&
+    n < b.length &&
+    a.charAt(a.length - 1 - n) === b.charAt(b.length - 1 - n)
+  ) {
+    n += 1;
+  }
+  return n;
+}
+
+function commonPrefixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a.charAt(n) === b.charAt(n)) {
+    n += 1;
+  }
+  return n;
+}
+
+/**
+ * Locate a quote in the given text, tolerating changes to the text.
+ *
+ * @param {string} text the text to search
+ * @param {Object} quote the quote to locate
+ * @param {string} quote.exact the quoted text
+ * @param {string} [quote.prefix] text preceding the quote
+ * @param {string} [quote.suffix] text following the quote
+ * @param {Object} [options] matching options
+ * @param {number} [options.hint] expected start offset of the quote
+ * @param {number} [options.tolerance] maximum number of errors relative to the length of the quote
+ * @returns {{start: number, end: number, errors: number}|null} the best match or null if none was found
+ */
+export function anchorQuote(text, quote, { hint, tolerance = 0.2 } = {}) {
+  const { exact, prefix = '', suffix = '' } = quote;
+  if (!exact) {
+    return null;
+  }
+  const maxErrors = Math.floor(exact.length * tolerance);
+  const candidates = approximateMatches(text, exact, maxErrors);
+  let best = null;
+  let bestScore = -Infinity;
+  candidates.forEach(candidate => {
+    const context =
+      (prefix.length > 0
+        ? commonSuffixLength(prefix, text.substring(0, candidate.start)) / prefix.length
+        : 0) +
+      (suffix.length > 0
+        ? commonPrefixLength(suffix, text.substring(candidate.end)) / suffix.length
+        : 0);
+    const distance =
+      typeof hint === 'number' ? Math.abs(candidate.start - hint) / Math.max(text.length, 1) : 0;
+    const score = 1 - candidate.errors / exact.length + context / 2 - distance / 4;
+    if (score > bestScore) {
+      bestScore = score;
+      best = candidate;
+    }
+  });
+  return best;
+}
@@ -51,3 +51,24 @@ export function getCSSProperty(elem, name, defaultValue) {
   }
   return defaultValue;
 }
+
+/**
+ * Names of the parameters describing an area selected on `pb-leaflet-map`.
+ */
+export const AREA_PARAMETERS = ['bbox', 'polygon'];
+
+/**
+ * Get the parameters of an area selected on a map, omitting those not set.
+ *
+ * @param {Object} params the parameters, e.g. the state of the registry
+ * @returns {Object} the area parameters or null if there are none
+ */
+export function getAreaParameters(params) {
+  const area = {};
+  AREA_PARAMETERS.forEach(name => {
+    if (params && params[name]) {
+      area[name] = params[name];
+    }
+  });
+  return Object.keys(area).length > 0 ? area : null;
+}
@@ -0,0 +1,315 @@
+/**
+ * Conversion between the annotation ranges used by `pb-view-annotate` and the
+ * [W3C Web Annotation Data Model](https://www.w3.org/TR/annotation-model/).
+ *
+ * An annotation range is anchored to an element of the transformed TEI via its node id
+ * (the value of `data-tei`), plus a start and end offset counted in characters from the
+ * start of that element. In the Web Annotation serialization, the node id becomes a
+ * `FragmentSelector`, which is refined by a `TextPositionSelector` and a `TextQuoteSelector`.
+ * Both refinements are given as alternative selectors for the same target, so tools which only
+ * understand quotes can still locate the annotated text.
+ *
+ * The annotation type is stored as a `tagging` body, the authority key as an `identifying`
+ * body pointing to the authority URI and all other properties as a JSON `describing` body.
+ */
+
+export const ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+
+/**
+ * Number of characters to include before and after a quote as
+ * `prefix` and `suffix` of a `TextQuoteSelector`.
+ */
+export const QUOTE_CONTEXT_LENGTH = 32;
+
+const PROPERTIES_FORMAT = 'application/json';
+
+function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function fragmentSelector(context, refinedBy) {
+  return {
+    type: 'FragmentSelector',
+    value: context,
+    refinedBy,
+  };
+}
+
+/**
+ * Create a `TextQuoteSelector` for the text between start and end.
+ *
+ * @param {string} text the full text of the context element
+ * @param {number} start start offset
+ * @param {number} end end offset
+ * @returns {object} the selector
+ */
+export function quoteSelector(text, start, end) {
+  return {
+    type: 'TextQuoteSelector',
+    exact: text.substring(start, end),
+    prefix: text.substring(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+    suffix: text.substring(end, end + QUOTE_CONTEXT_LENGTH),
+  };
+}
+
+/**
+ * Locate a `TextQuoteSelector` within the given text using exact matching.
+ * If the quote occurs more than once, prefer the occurrence whose surrounding
+ * text matches most of the selector's prefix and suffix.
+ *
+ * @param {string} text the text to search
+ * @param {object} selector a `TextQuoteSelector`
+ * @returns {{start: number, end: number}|null} the position found or null
+ */
+export function findQuote(text, selector) {
+  const { exact, prefix = '', suffix = '' } = selector;
+  if (!exact) {
+    return null;
+  }
+  let best = null;
+  let bestScore = -1;
+  let idx = text.indexOf(exact);
+  while (idx > -1) {
+    const before = text.substring(0, idx);
+    const after = text.substring(idx + exact.length);
+    let score = 0;
+    while (
+      score < prefix.length &&
+      prefix.charAt(prefix.length - 1 - score) === before.charAt(before.length - 1 - score)
+    ) {
+      score += 1;
+    }
+    let i = 0;
+    while (i < suffix.length && suffix.charAt(i) === after.charAt(i)) {
+      i += 1;
+    }
+    score += i;
+    if (score > bestScore) {
+      bestScore = score;
+      best = { start: idx, end: idx + exact.length };
+    }
+    idx = text.indexOf(exact, idx + 1);
+  }
+  return best;
+}
+
+/**
+ * Convert an annotation range to a W3C Web Annotation.
+ *
+ * @param {object} teiRange the annotation range as stored by `pb-view-annotate`
+ * @param {object} options conversion options
+ * @param {string} options.source URI of the annotated document
+ * @param {string} options.key name of the property containing the authority key
+ * @param {string} [options.text] full text of the context element, used for the `TextQuoteSelector`.
+ * If not given, the quote recorded with the range is used.
+ * @param {string} [options.id] optional id of the annotation
+ * @returns {object} the Web Annotation
+ */
+export function toWebAnnotation(teiRange, { source, key, text, id }) {
+  const properties = { ...teiRange.properties };
+  const body = [
+    {
+      type: 'TextualBody',
+      purpose: 'tagging',
+      value: teiRange.type,
+    },
+  ];
+  const ref = properties[key];
+  if (ref) {
+    body.push({
+      type: 'SpecificResource',
+      purpose: 'identifying',
+      source: ref,
+    });
+    delete properties[key];
+  }
+  if (Object.keys(properties).length > 0) {
+    body.push({
+      type: 'TextualBody',
+      purpose: 'describing',
+      format: PROPERTIES_FORMAT,
+      value: JSON.stringify(properties),
+    });
+  }
+
+  const selector = [
+    fragmentSelector(teiRange.context, {
+      type: 'TextPositionSelector',
+      start: teiRange.start,
+      end: teiRange.end,
+    }),
+  ];
+  if (typeof text === 'string') {
+    selector.push(
+      fragmentSelector(teiRange.context, quoteSelector(text, teiRange.start, teiRange.end)),
+    );
+  } else if (teiRange.quote) {
+    selector.push(
+      fragmentSelector(teiRange.context, { type: 'TextQuoteSelector', ...teiRange.quote }),
+    );
+  } else if (teiRange.text) {
+    selector.push(
+      fragmentSelector(teiRange.context, {
+        type: 'TextQuoteSelector',
+        exact: teiRange.text,
+      }),
+    );
+  }
+
+  const annotation = {
+    '@context': ANNOTATION_CONTEXT,
+    type: 'Annotation',
+    motivation: ref ? 'identifying' : 'tagging',
+    body,
+    target: {
+      source,
+      selector,
+    },
+  };
+  if (id) {
+    annotation.id = id;
+  }
+  return annotation;
+}
+
+/**
+ * Convert a W3C Web Annotation into an annotation range. Offsets are taken from
+ * the `TextPositionSelector` if present. If the annotation has a `TextQuoteSelector` only,
+ * `start` and `end` are left undefined and the selector is returned as `quote`, so the
+ * caller can locate it in the text.
+ *
+ * @param {object} annotation the Web Annotation
+ * @param {object} options conversion options
+ * @param {string} options.key name of the property to receive the authority key
+ * @returns {object|null} the annotation range or null if the annotation does not target a TEI node
+ * or its properties cannot be parsed
+ */
+export function fromWebAnnotation(annotation, { key }) {
+  let type;
+  let malformed = false;
+  const properties = {};
+  asArray(annotation.body).forEach(body => {
+    if (typeof body === 'string') {
+      type = type || body;
+      return;
+    }
+    switch (body.purpose) {
+      case 'tagging':
+        type = body.value;
+        break;
+      case 'identifying':
+        properties[key] = body.source || body.id || body.value;
+        break;
+      case 'describing':
+        if (body.format === PROPERTIES_FORMAT) {
+          try {
+            Object.assign(properties, JSON.parse(body.value));
+          } catch (e) {
+            malformed = true;
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  let context;
+  let position;
+  let quote;
+  asArray(annotation.target).forEach(target => {
+    asArray(target.selector).forEach(selector => {
+      let refined = selector;
+      if (selector.type === 'FragmentSelector') {
+        context = context || selector.value;
+        refined = selector.refinedBy;
+      }
+      if (!refined) {
+        return;
+      }
+      if (refined.type === 'TextPositionSelector') {
+        position = position || refined;
+      } else if (refined.type === 'TextQuoteSelector') {
+        quote = quote || refined;
+      }
+    });
+  });
+  if (malformed || !context || !(position || quote)) {
+    return null;
+  }
+  const teiRange = {
+    context,
+    start: position ? position.start : undefined,
+    end: position ? position.end : undefined,
+    text: quote ? quote.exact : '',
+    type,
+    properties,
+  };
+  if (teiRange.start !== undefined && teiRange.start === teiRange.end) {
+    teiRange.before = true;
+  }
+  if (quote) {
+    teiRange.quote = quote;
+  }
+  return teiRange;
+}
+
+/**
+ * Wrap a list of annotations into an `AnnotationCollection` with a single page.
+ *
+ * @param {object[]} annotations the annotations
+ * @param {string} [label] optional label for the collection
+ * @returns {object} the collection
+ */
+export function toAnnotationCollection(annotations, label) {
+  const items = annotations.map(annotation => {
+    const copy = { ...annotation };
+    delete copy['@context'];
+    return copy;
+  });
+  const collection = {
+    '@context': ANNOTATION_CONTEXT,
+    type: 'AnnotationCollection',
+    total: items.length,
+    first: {
+      type: 'AnnotationPage',
+      startIndex: 0,
+      items,
+    },
+  };
+  if (label) {
+    collection.label = label;
+  }
+  return collection;
+}
+
+/**
+ * Extract the list of annotations from JSON-LD data, which may be a single `Annotation`,
+ * an array of annotations, an `AnnotationPage` or an `AnnotationCollection` with embedded pages.
+ *
+ * @param {object|object[]} data the JSON-LD data
+ * @returns {object[]} list of annotations
+ */
+export function annotationsFromJson(data) {
+  if (!data) {
+    return [];
+  }
+  if (Array.isArray(data)) {
+    return data.flatMap(annotationsFromJson);
+  }
+  switch (data.type) {
+    case 'Annotation':
+      return [data];
+    case 'AnnotationPage':
+      return asArray(data.items).concat(
+        data.next && typeof data.next === 'object' ? annotationsFromJson(data.next) : [],
+      );
+    case 'AnnotationCollection':
+      return typeof data.first === 'object' ? annotationsFromJson(data.first) : [];
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,88 @@
+import { expect } from '@open-wc/testing';
+import { AnnotationHistory, diffRanges, applyDiff } from '../src/annotation-history.js';
+
+const person = { context: '1.4.2', start: 0, end: 5, type: 'person', properties: {} };
+const place = { context: '1.4.4', start: 10, end: 16, type: 'place', properties: {} };
+const date = { context: '1.4.6', start: 2, end: 12, type: 'date', properties: {} };
+
+describe('annotation history', () => {
+  it('computes and applies diffs', () => {
+    const before = [person, place];
+    const after = [person, { ...place, properties: { ref: 'geo-1' } }, date];
+    const diff = diffRanges(before, after);
+    expect(diff.index).to.equal(1);
+    expect(diff.removed).to.have.length(1);
+    expect(diff.added).to.have.length(2);
+    expect(applyDiff(before, diff)).to.deep.equal(after);
+    expect(applyDiff(after, diff, true)).to.deep.equal(before);
+    expect(diffRanges(before, [person, place])).to.be.null;
+  });
+
+  it('undoes and redoes steps', () => {
+    const history = new AnnotationHistory();
+    history.commit([person]);
+    history.commit([person, place]);
+    expect(history.entries).to.have.length(2);
+
+    expect(history.undo([person, place, date])).to.deep.equal([person, place]);
+    expect(history.undo([person, place])).to.deep.equal([person]);
+    expect(history.canRedo).to.be.true;
+    expect(history.redo([person])).to.deep.equal([person, place]);
+    expect(history.redo([person, place])).to.deep.equal([person, place, date]);
+    expect(history.canRedo).to.be.false;
+  });
+
+  it('converts from and to full snapshots', () => {
+    const history = new AnnotationHistory();
+    history.commit([person]);
+    history.commit([person, place]);
+    expect(history.snapshots).to.deep.equal([[], [person]]);
+
+    const restored = new AnnotationHistory();
+    restored.fromSnapshots(history.snapshots, [person, place]);
+    expect(restored.snapshots).to.deep.equal([[], [person]]);
+    expect(restored.undo([person, place])).to.deep.equal([person]);
+    expect(restored.undo([person])).to.deep.equal([]);
+  });
+
+  it('discards redo steps after new changes', () => {
+    const history = new AnnotationHistory();
+    history.commit([person]);
+    history.commit([person, place]);
+    history.undo([person, place]);
+    history.commit([person, date]);
+    expect(history.canRedo).to.be.false;
+    expect(history.redo([person, date])).to.be.null;
+  });
+
+  it('jumps to named checkpoints', () => {
+    const history = new AnnotationHistory();
+    history.addCheckpoint('start', []);
+    history.commit([person]);
+    history.addCheckpoint('persons', [person, place]);
+    history.commit([person, place, date]);
+
+    expect(history.restoreCheckpoint('persons', [person, place, date])).to.deep.equal([
+      person,
+      place,
+    ]);
+    expect(history.restoreCheckpoint('start', [person, place])).to.deep.equal([]);
+    expect(history.restoreCheckpoint('persons', [])).to.deep.equal([person, place]);
+    expect(history.restoreCheckpoint('unknown', [])).to.be.null;
+
+    history.undo([person, place]);
+    history.commit([date]);
+    expect(history.checkpoints.map(cp => cp.name)).to.deep.equal(['start']);
+  });
+
+  it('serializes to JSON', () => {
+    const history = new AnnotationHistory();
+    history.commit([person]);
+    history.addCheckpoint('first', [person]);
+    const copy = new AnnotationHistory();
+    copy.fromJSON(JSON.parse(JSON.stringify(history)));
+    expect(copy.entries).to.have.length(1);
+    expect(copy.checkpoints[0].name).to.equal('first');
+    expect(copy.undo([person])).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,88 @@
+import { expect } from '@open-wc/testing';
+import {
+  AnnotationSync,
+  LocalSyncTransport,
+  mergeRanges,
+  rangeKey,
+  resolveConflicts,
+} from '../src/annotation-sync.js';
+
+const person = { context: '1.4.2', start: 0, end: 5, type: 'person', properties: {} };
+const place = { context: '1.4.4', start: 10, end: 16, type: 'place', properties: {} };
+const date = { context: '1.4.6', start: 2, end: 12, type: 'date', properties: {} };
+
+describe('annotation sync', () => {
+  it('merges non-conflicting changes', () => {
+    const { merged, conflicts } = mergeRanges([person], [person, place], [date]);
+    expect(conflicts).to.be.empty;
+    expect(merged).to.have.deep.members([place, date]);
+  });
+
+  it('detects concurrent edits of the same annotation', () => {
+    const local = { ...person, properties: { ref: 'gnd-1' } };
+    const remote = { ...person, properties: { ref: 'gnd-2' } };
+    const { merged, conflicts } = mergeRanges([person], [local], [remote]);
+    expect(merged).to.be.empty;
+    expect(conflicts).to.deep.equal([{ local, remote }]);
+  });
+
+  it('detects overlapping additions', () => {
+    const local = { ...place, start: 12, end: 20 };
+    const { merged, conflicts } = mergeRanges([person], [person, local], [person, place]);
+    expect(merged).to.deep.equal([person]);
+    expect(conflicts).to.deep.equal([{ local, remote: place }]);
+  });
+
+  it('saves and merges via the transport', async () => {
+    const transport = new LocalSyncTransport();
+    const alice = new AnnotationSync(transport);
+    const bob = new AnnotationSync(transport);
+    await alice.load('letter.xml');
+    await bob.load('letter.xml');
+
+    let result = await alice.save('letter.xml', [person]);
+    expect(result.status).to.equal('saved');
+    expect(result.revision).to.equal(1);
+
+    result = await bob.save('letter.xml', [date]);
+    expect(result.status).to.equal('merged');
+    expect(result.revision).to.equal(2);
+    expect(result.ranges).to.have.deep.members([person, date]);
+
+    const stored = await transport.load('letter.xml');
+    expect(stored.ranges).to.have.deep.members([person, date]);
+  });
+
+  it('reports conflicts and saves the resolution', async () => {
+    const transport = new LocalSyncTransport();
+    const alice = new AnnotationSync(transport);
+    const bob = new AnnotationSync(transport);
+    await alice.load('letter.xml');
+    await bob.load('letter.xml');
+
+    const local = { ...place, start: 12, end: 20 };
+    await alice.save('letter.xml', [place]);
+    let result = await bob.save('letter.xml', [local]);
+    expect(result.status).to.equal('conflict');
+    expect(result.conflicts).to.have.length(1);
+
+    result = await bob.resolve('letter.xml', ['remote']);
+    expect(result.status).to.equal('merged');
+    const stored = await transport.load('letter.xml');
+    expect(stored.ranges).to.deep.equal([place]);
+  });
+
+  it('keeps both versions of an annotation under different keys', () => {
+    const local = { ...person, properties: { ref: 'gnd-1' } };
+    const remote = { ...person, properties: { ref: 'gnd-2' } };
+    const ranges = resolveConflicts([place], [{ local, remote }], ['both']);
+    expect(ranges).to.have.length(3);
+    expect(ranges[1]).to.deep.equal(remote);
+    expect(ranges[2].properties).to.deep.equal(local.properties);
+    expect(new Set(ranges.map(rangeKey)).size).to.equal(3);
+
+    const { merged, conflicts } = mergeRanges(ranges, ranges, [...ranges, date]);
+    expect(conflicts).to.be.empty;
+    expect(merged).to.have.length(4);
+  });
+});
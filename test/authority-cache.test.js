@@ -0,0 +1,107 @@
+import { expect } from '@open-wc/testing';
+import { AuthorityCache, cacheConnector } from '../src/authority/cache.js';
+import { Registry } from '../src/authority/registry.js';
+import { createConnectors, registerConnector } from '../src/authority/connectors.js';
+
+class CountingConnector extends Registry {
+  constructor(configElem) {
+    super(configElem);
+    this.calls = 0;
+    this.online = true;
+  }
+
+  query(key) {
+    this.calls += 1;
+    if (!this.online) {
+      return Promise.reject(new Error('offline'));
+    }
+    return Promise.resolve({ totalItems: 1, items: [{ id: key, label: `${key}-${this.calls}` }] });
+  }
+
+  info(key, container) {
+    this.calls += 1;
+    const heading = document.createElement('h3');
+    heading.textContent = key;
+    container.appendChild(heading);
+    return Promise.resolve({ id: key, strings: [key] });
+  }
+}
+
+function connector(cache) {
+  const configElem = document.createElement('pb-authority');
+  configElem.setAttribute('name', 'person');
+  return cacheConnector(new CountingConnector(configElem), cache);
+}
+
+describe('authority cache', () => {
+  it('caches queries by connector and query', async () => {
+    const cache = new AuthorityCache({ persist: false });
+    const gnd = connector(cache);
+    const [r1, r2] = await Promise.all([gnd.query('Bach'), gnd.query('Bach')]);
+    expect(gnd.calls).to.equal(1);
+    expect(r1).to.deep.equal(r2);
+    r1.items.pop();
+    const r3 = await gnd.query('Bach');
+    expect(r3.items).to.have.length(1);
+    await gnd.query('Händel');
+    expect(gnd.calls).to.equal(2);
+  });
+
+  it('renders info without caching', async () => {
+    const gnd = connector(new AuthorityCache({ persist: false }));
+    const container = document.createElement('div');
+    await gnd.info('118505025', container);
+    container.innerHTML = '';
+    const info = await gnd.info('118505025', container);
+    expect(gnd.calls).to.equal(2);
+    expect(info.id).to.equal('118505025');
+    expect(container.querySelector('h3').textContent).to.equal('118505025');
+  });
+
+  it('creates connectors using the cache passed', async () => {
+    registerConnector('Counting', CountingConnector);
+    const root = document.createElement('div');
+    root.innerHTML = '<pb-authority name="person" connector="Counting"></pb-authority>';
+    const caches = [new AuthorityCache({ persist: false }), new AuthorityCache({ persist: false })];
+    const [first, second] = caches.map(cache => createConnectors('.', root, cache)[0]);
+    await first.query('Bach');
+    await first.query('Bach');
+    await second.query('Bach');
+    expect(first.calls).to.equal(1);
+    expect(second.calls).to.equal(1);
+  });
+
+  it('uses a cache key independent of the class name', () => {
+    const configElem = document.createElement('pb-authority');
+    configElem.setAttribute('name', 'person');
+    configElem.setAttribute('connector', 'GND');
+    configElem.setAttribute('prefix', 'gnd');
+    expect(new CountingConnector(configElem).cacheKey).to.equal('GND:person:gnd');
+  });
+
+  it('uses expired entries if offline', async () => {
+    const cache = new AuthorityCache({ persist: false, ttl: 0 });
+    const gnd = connector(cache);
+    await gnd.query('Bach');
+    const r1 = await gnd.query('Bach');
+    expect(r1.items[0].label).to.equal('Bach-2');
+
+    gnd.online = false;
+    const r2 = await gnd.query('Bach');
+    expect(r2.items[0].label).to.equal('Bach-2');
+    let error;
+    await gnd.query('Händel').catch(e => {
+      error = e;
+    });
+    expect(error).to.be.an('error');
+  });
+
+  it('limits the number of entries', async () => {
+    const cache = new AuthorityCache({ persist: false, maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.set('c', 3);
+    expect(await cache.getEntry('a')).to.be.null;
+    expect((await cache.getEntry('c')).value).to.equal(3);
+  });
+});
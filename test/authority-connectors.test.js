@@ -0,0 +1,153 @@
+import { expect } from '@open-wc/testing';
+import { Registry } from '../src/authority/registry.js';
+import { GND } from '../src/authority/gnd.js';
+import { Metagrid } from '../src/authority/metagrid.js';
+import { Wikidata } from '../src/authority/wikidata.js';
+import { createConnectors, registerConnector } from '../src/authority/connectors.js';
+import { mergeResults } from '../src/authority/merge-results.js';
+
+class TestConnector extends Registry {
+  constructor(configElem, endpoint) {
+    super(configElem);
+    this.endpoint = endpoint;
+  }
+}
+
+function config(...authorities) {
+  const root = document.createElement('div');
+  root.innerHTML = authorities
+    .map(([name, connector]) =>
+      connector
+        ? `<pb-authority name="${name}" connector="${connector}"></pb-authority>`
+        : `<pb-authority name="${name}"></pb-authority>`,
+    )
+    .join('');
+  return root;
+}
+
+describe('authority connectors', () => {
+  it('creates built-in connectors', () => {
+    const connectors = createConnectors('.', config(['person', 'GND'], ['place']));
+    expect(connectors).to.have.length(2);
+    expect(connectors[0]).to.be.instanceOf(GND);
+    expect(connectors[1]).to.be.instanceOf(Metagrid);
+  });
+
+  it('creates registered connectors', () => {
+    registerConnector('Test', TestConnector);
+    const connectors = createConnectors('/exist/apps/test', config(['term', 'Test']));
+    expect(connectors[0]).to.be.instanceOf(TestConnector);
+    expect(connectors[0].register).to.equal('term');
+    expect(connectors[0].endpoint).to.equal('/exist/apps/test');
+  });
+
+  it('rejects unknown connectors', () => {
+    expect(() => createConnectors('.', config(['person', 'Unknown'], ['place', 'GND']))).to.throw(
+      /Unknown authority connector: Unknown\. Registered connectors: .*GND/,
+    );
+  });
+});
+
+describe('Wikidata connector', () => {
+  function wikidata(endpoint, attrs = '') {
+    const root = document.createElement('div');
+    root.innerHTML = `<pb-authority name="person" connector="Wikidata" prefix="wd" lang="de"
+      endpoint="${endpoint}" ${attrs}></pb-authority>`;
+    return createConnectors('.', root)[0];
+  }
+
+  it('restricts types by register', () => {
+    expect(wikidata('/demo/wikidata-search.json')).to.be.instanceOf(Wikidata);
+    expect(wikidata('/demo/wikidata-search.json')._types).to.deep.equal(['Q5']);
+    expect(wikidata('/demo/wikidata-search.json', 'types="Q515, Q486972"')._types).to.deep.equal([
+      'Q515',
+      'Q486972',
+    ]);
+    expect(wikidata('/demo/wikidata-search.json', 'types=""')._types).to.deep.equal([]);
+    expect(wikidata('/demo/wikidata-search.json')._languages).to.deep.equal(['de', 'en']);
+  });
+
+  it('queries the SPARQL endpoint', async () => {
+    const result = await wikidata('/demo/wikidata-search.json').query('Bach');
+    expect(result.totalItems).to.equal(2);
+    expect(result.items[0].id).to.equal('wd-Q1339');
+    expect(result.items[0].label).to.equal('Johann Sebastian Bach');
+    expect(result.items[0].details).to.equal('deutscher Komponist des Barock');
+    expect(result.items[0].sameAs).to.deep.equal([
+      'https://d-nb.info/gnd/11850553X',
+      'https://d-nb.info/gnd/118505025',
+    ]);
+    expect(result.items[1].details).to.equal('');
+  });
+
+  it('retrieves records and info', async () => {
+    const connector = wikidata('/demo/wikidata-record.json');
+    const record = await connector.getRecord('wd-Q1339');
+    expect(record.name).to.equal('Johann Sebastian Bach');
+    expect(record.birth).to.equal('1685-03-31T00:00:00Z');
+    expect(record.alternatives).to.deep.equal(['J. S. Bach', 'Bach']);
+
+    const container = document.createElement('div');
+    const info = await connector.info('wd-Q1339', container);
+    expect(info.id).to.equal('wd-Q1339');
+    expect(info.strings).to.include('J. S. Bach');
+    expect(container.querySelector('a').getAttribute('href')).to.equal(
+      'http://www.wikidata.org/entity/Q1339',
+    );
+    expect(container.textContent).to.contain('1685 - 1750');
+  });
+});
+
+describe('merging authority results', () => {
+  const local = [
+    {
+      id: 'P1',
+      label: 'Bach, Johann Sebastian',
+      provider: 'local',
+      sameAs: ['https://d-nb.info/gnd/118505025'],
+    },
+  ];
+  const gnd = [
+    {
+      id: 'gnd-118505025',
+      label: 'Bach, Johann Sebastian',
+      link: 'https://d-nb.info/gnd/118505025',
+      strings: ['Bach, Johann Sebastian', 'Bach, J. S.'],
+      sameAs: ['http://www.wikidata.org/entity/Q1339'],
+      provider: 'GND',
+    },
+    { id: 'gnd-1', label: 'Bach, Carl', link: 'https://d-nb.info/gnd/1', provider: 'GND' },
+  ];
+  const wikidata = [
+    {
+      id: 'Q2',
+      label: 'Bachmann',
+      link: 'http://www.wikidata.org/entity/Q2',
+      provider: 'Wikidata',
+    },
+    {
+      id: 'Q1339',
+      label: 'Johann Sebastian Bach',
+      link: 'https://www.wikidata.org/entity/Q1339',
+      provider: 'Wikidata',
+    },
+  ];
+
+  it('collapses duplicates using shared identifiers', () => {
+    const merged = mergeResults([local, gnd, wikidata], 'Bach');
+    expect(merged).to.have.length(3);
+    expect(merged[0].id).to.equal('P1');
+    expect(merged[0].sources.map(source => source.provider)).to.deep.equal([
+      'local',
+      'GND',
+      'Wikidata',
+    ]);
+    expect(merged[0].strings).to.include('Bach, J. S.');
+    expect(merged[0].strings).to.include('Johann Sebastian Bach');
+  });
+
+  it('ranks results', () => {
+    const merged = mergeResults([gnd, wikidata], 'Bach, Carl');
+    expect(merged.map(item => item.id)).to.deep.equal(['gnd-1', 'gnd-118505025', 'Q2']);
+  });
+});
@@ -0,0 +1,59 @@
+import { expect } from '@open-wc/testing';
+import { fromISO, registerCalendar, toISO } from '../src/calendars.js';
+import { ParseDateService } from '../src/parse-date-service.js';
+import { SearchResultService } from '../src/search-result-service.js';
+
+describe('calendars', () => {
+  it('converts between calendars', () => {
+    expect(toISO('julian', 1582, 10, 5)).to.equal('1582-10-15');
+    expect(fromISO('julian', '1700-02-28')).to.deep.equal({ year: 1700, month: 2, day: 18 });
+    expect(toISO('islamic', 1266, 9, 1)).to.equal('1850-07-11');
+    expect(fromISO('islamic', '1850-07-11')).to.deep.equal({ year: 1266, month: 9, day: 1 });
+    expect(toISO('hebrew', 5785, 1, 1)).to.equal('2024-10-03');
+    // Adar II in a leap year
+    expect(fromISO('hebrew', '2024-03-15')).to.deep.equal({ year: 5784, month: 7, day: 5 });
+  });
+
+  it('rejects unknown or invalid calendars', () => {
+    expect(() => toISO('mayan', 1, 1, 1)).to.throw(/Unknown calendar: mayan/);
+    expect(() => registerCalendar('broken', {})).to.throw();
+  });
+
+  it('parses dates in other calendars', () => {
+    const service = new ParseDateService();
+    expect(service.run('1 Ramadan 1266 AH')).to.equal('1850-07-11');
+    expect(service.run('18 Feb 1700 O.S.')).to.equal('1700-02-28');
+    expect(service.run('1 Tishri 5785', 'hebrew')).to.equal('2024-10-03');
+    expect(service.run('Adar II 5784', 'hebrew')).to.equal('2024-03-11');
+    expect(service.run('1 Tishri 5785 AM')).to.equal('2024-10-03');
+    expect(service.run('10 AM 1850')).to.equal('1850-01-01');
+    expect(service.run('3 May 1850 10:30 a.m.')).to.equal('1850-05-03');
+    expect(service.run('1266', 'islamic')).to.equal('1849-11-17');
+    expect(service.run('1 April 1970')).to.equal('1970-04-01');
+  });
+
+  it('bins and labels timeline data in the display calendar', () => {
+    const service = new SearchResultService(
+      { '1850-07-11': 2, '1850-09-20': 1 },
+      60,
+      undefined,
+      'islamic',
+    );
+    const exported = service.export('M');
+    expect(exported.data.map(bin => bin.dateStr)).to.deep.equal([
+      '1850-07-11',
+      '1850-08-10',
+      '1850-09-08',
+    ]);
+    expect(exported.data.map(bin => bin.tooltip)).to.deep.equal([
+      'Ramadan 1266',
+      'Shawwal 1266',
+      'Dhu al-Qada 1266',
+    ]);
+    expect(exported.data.map(bin => bin.value)).to.deep.equal([2, 0, 1]);
+    expect(new ParseDateService().run(exported.data[2].selectionStart, 'islamic')).to.equal(
+      '1850-09-08',
+    );
+    expect(service.getEndOfRangeDate('Y', '1850-07-11')).to.equal('1851-06-30');
+  });
+});
@@ -0,0 +1,107 @@
+/* eslint-disable no-unused-expressions */
+import { expect } from '@open-wc/testing';
+import { FragmentCache } from '../src/fragment-cache.js';
+import { defaultChannel } from '../src/pb-mixin.js';
+import '../src/pb-view.js';
+
+describe('fragment cache', () => {
+  it('removes the least recently used fragments', () => {
+    const cache = new FragmentCache(2);
+    cache.set('1.4', { content: 'one' });
+    cache.set('1.6', { content: 'two' });
+    expect(cache.get('1.4').content).to.equal('one');
+    cache.set('1.8', { content: 'three' });
+    expect(cache.size).to.equal(2);
+    expect(cache.has('1.6')).to.be.false;
+    expect(cache.get('1.6')).to.be.null;
+    expect(cache.get('1.4').content).to.equal('one');
+    expect(cache.get('1.8').content).to.equal('three');
+    cache.clear();
+    expect(cache.size).to.equal(0);
+  });
+});
+
+describe('pb-view fragment cache', () => {
+  const { fetch } = window;
+  let view;
+  let shown;
+  let requested;
+
+  beforeEach(async () => {
+    shown = [];
+    requested = [];
+    window.fetch = url => {
+      requested.push(url);
+      return Promise.resolve(new Response(JSON.stringify({ content: url })));
+    };
+    view = document.createElement('pb-view');
+    view.disableHistory = true;
+    view.cacheSize = 5;
+    view.view = 'div';
+    view.getDocument = () => ({ path: 'letter.xml', odd: 'letters' });
+    // do not load from the server, but record the fragments shown
+    view._refresh = () => {};
+    view._showContent = data => {
+      shown.push(data);
+      view._loading = false;
+    };
+    document.body.appendChild(view);
+    await view.updateComplete;
+    view._apiVersion = '1.0.0';
+    view._endpoint = 'https://example.com';
+  });
+
+  afterEach(() => {
+    window.fetch = fetch;
+    view.remove();
+  });
+
+  function cacheCurrent(data) {
+    const url = view._fragmentUrl();
+    const params = view.getParameters();
+    const found = view._loadCached(url, params);
+    view._cacheFragment(url, params, data);
+    return found;
+  }
+
+  it('shows cached fragments', () => {
+    view.nodeId = '1.4';
+    expect(cacheCurrent({ content: 'one' })).to.be.false;
+    expect(cacheCurrent({ content: 'one' })).to.be.true;
+    expect(shown).to.deep.equal([{ content: 'one' }]);
+  });
+
+  it('clears the cache on refresh', () => {
+    view.nodeId = '1.4';
+    cacheCurrent({ content: 'one' });
+    document.dispatchEvent(new CustomEvent('pb-refresh', { detail: { key: defaultChannel } }));
+    expect(view._fragments).to.be.null;
+    expect(cacheCurrent({ content: 'one' })).to.be.false;
+  });
+
+  it('clears the cache when the ODD changes', () => {
+    view.nodeId = '1.4';
+    cacheCurrent({ content: 'one' });
+    view.odd = 'other';
+    expect(cacheCurrent({ content: 'other' })).to.be.false;
+    expect(shown).to.be.empty;
+  });
+
+  it('prefetches the fragments navigate loads', async () => {
+    view.nodeId = '1.4';
+    cacheCurrent({ content: 'one' });
+    const resp = { root: '1.4', next: '1.6', previous: '1.2', previousId: 'chapter1' };
+    Object.assign(view, resp);
+    view._prefetchNeighbours(resp);
+    await Promise.all(view._prefetches.values());
+    expect(requested).to.have.length(2);
+    expect(requested.some(url => url.includes('root=1.6'))).to.be.true;
+    expect(requested.some(url => url.includes('id=chapter1'))).to.be.true;
+
+    view.navigate('forward');
+    expect(shown[0].content).to.include('root=1.6');
+    view.navigate('backward');
+    expect(shown[1].content).to.include('id=chapter1');
+    expect(requested).to.have.length(2);
+  });
+});
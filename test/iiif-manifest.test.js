@@ -0,0 +1,99 @@
+import { expect } from '@open-wc/testing';
+import { findCanvas, parseManifest, thumbnailOf } from '../src/iiif-manifest.js';
+
+const manifestV2 = {
+  '@context': 'http://iiif.io/api/presentation/2/context.json',
+  label: [
+    { '@value': 'Letter', '@language': 'en' },
+    { '@value': 'Brief', '@language': 'de' },
+  ],
+  sequences: [
+    {
+      canvases: [
+        {
+          '@id': 'https://example.com/canvas/1r',
+          label: 'f. 1r',
+          width: 1000,
+          height: 1500,
+          images: [
+            {
+              resource: {
+                '@id': 'https://example.com/iiif/letter-1r.jpg/full/full/0/default.jpg',
+                service: { '@id': 'https://example.com/iiif/letter-1r.jpg/' },
+              },
+            },
+          ],
+        },
+        {
+          '@id': 'https://example.com/canvas/1v',
+          label: 'f. 1v',
+          images: [{ resource: { '@id': 'https://example.com/letter-1v.jpg' } }],
+        },
+      ],
+    },
+  ],
+};
+
+const manifestV3 = {
+  '@context': 'http://iiif.io/api/presentation/3/context.json',
+  type: 'Manifest',
+  label: { en: ['Letter'], de: ['Brief'] },
+  items: [
+    {
+      id: 'https://example.com/canvas/1r',
+      type: 'Canvas',
+      label: { none: ['1r'] },
+      width: 2000,
+      height: 3000,
+      items: [
+        {
+          type: 'AnnotationPage',
+          items: [
+            {
+              type: 'Annotation',
+              body: {
+                id: 'https://example.com/iiif/letter-1r/full/max/0/default.jpg',
+                service: [{ id: 'https://example.com/iiif/letter-1r', type: 'ImageService3' }],
+              },
+            },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe('IIIF manifests', () => {
+  it('reads canvases from version 2 and 3 manifests', () => {
+    const v2 = parseManifest(manifestV2, 'de');
+    expect(v2.label).to.equal('Brief');
+    expect(v2.canvases.map(canvas => canvas.label)).to.deep.equal(['f. 1r', 'f. 1v']);
+    expect(v2.canvases[0].service).to.equal('https://example.com/iiif/letter-1r.jpg');
+    expect(v2.canvases[1].service).to.be.null;
+    expect(thumbnailOf(v2.canvases[1])).to.equal('https://example.com/letter-1v.jpg');
+
+    const v3 = parseManifest(manifestV3, 'en');
+    expect(v3.label).to.equal('Letter');
+    expect(v3.canvases[0]).to.include({
+      id: 'https://example.com/canvas/1r',
+      label: '1r',
+      width: 2000,
+      service: 'https://example.com/iiif/letter-1r',
+    });
+    expect(thumbnailOf(v3.canvases[0])).to.equal(
+      'https://example.com/iiif/letter-1r/full/,120/0/default.jpg',
+    );
+    expect(() => parseManifest({})).to.throw(/Not a IIIF Presentation manifest/);
+  });
+
+  it('maps annotation targets onto canvases', () => {
+    const { canvases } = parseManifest(manifestV2, 'en');
+    expect(findCanvas(canvases, 'https://example.com/canvas/1v#xywh=10,20,30,40')).to.deep.equal({
+      index: 1,
+      region: [10, 20, 30, 40],
+    });
+    expect(findCanvas(canvases, 'letter-1r.jpg').index).to.equal(0);
+    expect(findCanvas(canvases, 'https://example.com/letter-1v.jpg').index).to.equal(1);
+    expect(findCanvas(canvases, 'unknown.jpg').index).to.equal(-1);
+  });
+});
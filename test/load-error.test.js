@@ -0,0 +1,47 @@
+import { expect } from '@open-wc/testing';
+import { errorDescription, fillErrorTemplate, loadError, retryDelay } from '../src/load-error.js';
+
+describe('load errors', () => {
+  it('reports status and description of failed requests', () => {
+    const params = { odd: 'letters.odd' };
+    const error = loadError(
+      { request: {}, status: 500, response: { description: 'XPath error' } },
+      'api/parts/letter.xml/json',
+      params,
+    );
+    expect(error).to.deep.equal({
+      status: 500,
+      url: 'api/parts/letter.xml/json',
+      params,
+      description: 'XPath error',
+      timedOut: false,
+      transient: false,
+    });
+    expect(loadError({ request: {}, status: 503 }, 'api/search', {}).transient).to.be.true;
+    expect(loadError({ request: { timedOut: true }, status: 0 }, 'api/search', {})).to.include({
+      timedOut: true,
+      transient: true,
+    });
+    expect(loadError({ request: { aborted: true }, status: 0 }, 'api/search', {}).transient).to.be
+      .false;
+  });
+
+  it('reads descriptions from text responses', () => {
+    expect(errorDescription('{"description": "Document not found"}')).to.equal(
+      'Document not found',
+    );
+    expect(errorDescription('<html>Bad gateway</html>')).to.be.null;
+    expect(errorDescription(null)).to.be.null;
+  });
+
+  it('doubles the delay with every retry', () => {
+    expect([0, 1, 2].map(attempt => retryDelay(attempt, 500))).to.deep.equal([500, 1000, 2000]);
+  });
+
+  it('fills custom error templates', () => {
+    const template = document.createElement('div');
+    template.innerHTML = '<span data-error="status"></span> <span data-error="description"></span>';
+    fillErrorTemplate(template, { status: 404, description: null });
+    expect(template.textContent).to.equal('404 ');
+  });
+});
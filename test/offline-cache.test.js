@@ -0,0 +1,114 @@
+import { expect } from '@open-wc/testing';
+import {
+  cacheKey,
+  documentParameters,
+  fetchFragment,
+  offlineStatus,
+  prefetchDocument,
+  removeDocument,
+} from '../src/offline-cache.js';
+
+const URL_PARTS = 'https://example.com/api/parts/letter.xml/json';
+
+const fragments = {
+  [`${URL_PARTS}?odd=letters.odd&view=div`]: { root: '1.4', next: '1.6', content: 'one' },
+  [`${URL_PARTS}?odd=letters.odd&root=1.6&view=div`]: {
+    root: '1.6',
+    previous: '1.4',
+    content: 'two',
+  },
+};
+
+function serve(online) {
+  window.fetch = url => {
+    if (!online) {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    }
+    const data = fragments[url];
+    return Promise.resolve(
+      new Response(JSON.stringify(data || {}), {
+        status: data ? 200 : 404,
+        headers: { 'Content-Type': 'application/json' },
+      }),
+    );
+  };
+}
+
+describe('offline cache', () => {
+  const { fetch } = window;
+
+  afterEach(async () => {
+    window.fetch = fetch;
+    await removeDocument(URL_PARTS);
+  });
+
+  it('creates keys independent of parameter order', () => {
+    expect(cacheKey(URL_PARTS, { view: 'div', odd: 'letters.odd', _dir: 'forward' })).to.equal(
+      `${URL_PARTS}?odd=letters.odd&view=div`,
+    );
+    expect(cacheKey(URL_PARTS, { 'user.mode': 'a b', root: null })).to.equal(
+      `${URL_PARTS}?user.mode=a%20b`,
+    );
+    expect(documentParameters({ odd: 'letters.odd', root: '1.4', highlight: 'yes' })).to.deep.equal(
+      { odd: 'letters.odd' },
+    );
+  });
+
+  it('serves cached fragments if the network fails', async () => {
+    const params = { odd: 'letters.odd', view: 'div' };
+    serve(true);
+    const online = await fetchFragment(URL_PARTS, params);
+    expect(online).to.deep.equal({
+      data: fragments[cacheKey(URL_PARTS, params)],
+      fromCache: false,
+    });
+
+    serve(false);
+    const offline = await fetchFragment(URL_PARTS, params);
+    expect(offline.fromCache).to.be.true;
+    expect(offline.data.content).to.equal('one');
+
+    let error;
+    try {
+      await fetchFragment(URL_PARTS, { ...params, root: '1.6' });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.exist;
+  });
+
+  it('loads fragments from the network if the cache is not available', async () => {
+    const params = { odd: 'letters.odd', view: 'div' };
+    const { caches } = window;
+    Object.defineProperty(window, 'caches', { value: undefined, configurable: true });
+    try {
+      serve(true);
+      const online = await fetchFragment(URL_PARTS, params);
+      expect(online.fromCache).to.be.false;
+      expect(online.data.content).to.equal('one');
+      expect(await offlineStatus(URL_PARTS, params)).to.be.null;
+    } finally {
+      Object.defineProperty(window, 'caches', { value: caches, configurable: true });
+    }
+  });
+
+  it('prefetches all fragments of a document', async () => {
+    const params = { odd: 'letters.odd', view: 'div', root: '1.6' };
+    serve(true);
+    expect(await offlineStatus(URL_PARTS, params)).to.be.null;
+    const progress = [];
+    const count = await prefetchDocument(URL_PARTS, params, n => progress.push(n));
+    expect(count).to.equal(2);
+    expect(progress).to.deep.equal([1, 2]);
+    expect((await offlineStatus(URL_PARTS, params)).fragments).to.equal(2);
+
+    serve(false);
+    const first = await fetchFragment(URL_PARTS, { ...params, root: '1.4' });
+    expect(first.data.content).to.equal('one');
+    const second = await fetchFragment(URL_PARTS, params);
+    expect(second.data.content).to.equal('two');
+
+    expect(await removeDocument(URL_PARTS)).to.equal(4);
+    expect(await offlineStatus(URL_PARTS, params)).to.be.null;
+  });
+});
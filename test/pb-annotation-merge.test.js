@@ -0,0 +1,64 @@
+/* eslint-disable no-unused-expressions */
+import { fixture, expect, oneEvent } from '@open-wc/testing';
+import { cleanup } from './util.js';
+import { defaultChannel } from '../src/pb-mixin.js';
+
+import '../src/pb-annotation-merge.js';
+
+const local = {
+  context: '1.4.2',
+  start: 0,
+  end: 6,
+  type: 'person',
+  text: 'Johann',
+  properties: { ref: 'gnd-1' },
+};
+const remote = { ...local, properties: { ref: 'gnd-2' } };
+
+describe('pb-annotation-merge', () => {
+  afterEach(cleanup);
+
+  async function showConflicts(conflicts) {
+    const el = await fixture('<pb-annotation-merge></pb-annotation-merge>');
+    document.dispatchEvent(
+      new CustomEvent('pb-annotations-conflict', {
+        detail: { key: defaultChannel, conflicts },
+      }),
+    );
+    await el.updateComplete;
+    return el;
+  }
+
+  it('opens with the conflicts reported', async () => {
+    const el = await showConflicts([
+      { local, remote },
+      { local, remote: null },
+    ]);
+    expect(el.shadowRoot.querySelector('pb-dialog').open).to.be.true;
+    const items = el.shadowRoot.querySelectorAll('li');
+    expect(items).to.have.length(2);
+    expect(items[0].querySelector('.local td:nth-child(2)').textContent).to.equal('gnd-1');
+    expect(items[0].querySelector('.remote td:nth-child(2)').textContent).to.equal('gnd-2');
+    expect(items[1].querySelector('.remote .deleted')).to.exist;
+    expect(
+      Array.from(el.shadowRoot.querySelectorAll('input:checked')).map(
+        input => input.parentNode.className,
+      ),
+    ).to.deep.equal(['local', 'local']);
+  });
+
+  it('sends the choices of the user', async () => {
+    const el = await showConflicts([
+      { local, remote },
+      { local, remote: null },
+    ]);
+    el.shadowRoot.querySelector('li:nth-child(1) .both input').click();
+    el.shadowRoot.querySelector('li:nth-child(2) .remote input').click();
+    await el.updateComplete;
+
+    setTimeout(() => el.shadowRoot.querySelector('button.apply').click());
+    const ev = await oneEvent(document, 'pb-annotations-resolve');
+    expect(ev.detail.choices).to.deep.equal(['both', 'remote']);
+    expect(el.shadowRoot.querySelector('pb-dialog').open).to.be.false;
+  });
+});
@@ -0,0 +1,63 @@
+/* eslint-disable no-unused-expressions */
+import { fixture, expect, oneEvent } from '@open-wc/testing';
+import { cleanup } from './util.js';
+import { defaultChannel } from '../src/pb-mixin.js';
+
+import '../src/pb-annotation-queue.js';
+
+const occurrences = [
+  {
+    annotated: false,
+    before: 'wrote to <img src=x onerror=alert(1)> ',
+    match: 'Johann',
+    after: ' and',
+    properties: { ref: 'p1' },
+  },
+  {
+    annotated: true,
+    existing: 'p1',
+    before: 'and ',
+    match: 'Johann',
+    after: '.',
+    properties: { ref: 'p1' },
+  },
+];
+
+describe('pb-annotation-queue', () => {
+  afterEach(cleanup);
+
+  async function showQueue() {
+    const el = await fixture('<pb-annotation-queue></pb-annotation-queue>');
+    document.dispatchEvent(
+      new CustomEvent('pb-occurrences', {
+        detail: { key: defaultChannel, type: 'person', authorityKey: 'ref', occurrences },
+      }),
+    );
+    await el.updateComplete;
+    return el;
+  }
+
+  it('shows the context of occurrences as text', async () => {
+    const el = await showQueue();
+    const items = el.shadowRoot.querySelectorAll('li');
+    expect(items).to.have.length(2);
+    expect(el.shadowRoot.querySelector('img')).to.not.exist;
+    expect(items[0].querySelector('mark').textContent).to.equal('Johann');
+    expect(items[0].querySelector('.kwic').textContent).to.contain('<img src=x onerror=alert(1)>');
+  });
+
+  it('rejects occurrences already annotated with the same key', async () => {
+    const el = await showQueue();
+    expect(el.occurrences.map(occurrence => occurrence.status)).to.deep.equal([
+      'accepted',
+      'rejected',
+    ]);
+
+    setTimeout(() => el.shadowRoot.querySelector('button.apply').click());
+    const ev = await oneEvent(document, 'pb-apply-occurrences');
+    expect(ev.detail.type).to.equal('person');
+    expect(ev.detail.occurrences).to.have.length(1);
+    expect(ev.detail.occurrences[0].status).to.be.undefined;
+    expect(el.occurrences).to.be.empty;
+  });
+});
@@ -0,0 +1,23 @@
+/* eslint-disable no-unused-expressions */
+import { fixture, expect, waitUntil } from '@open-wc/testing';
+import { cleanup } from './util.js';
+
+import '../src/pb-authority-lookup.js';
+
+describe('pb-authority-lookup', () => {
+  afterEach(cleanup);
+
+  it('shows an error for unknown connectors', async () => {
+    const el = await fixture(`
+      <pb-authority-lookup>
+        <pb-authority name="person" connector="Unknown"></pb-authority>
+      </pb-authority-lookup>
+    `);
+    // the connectors are created once the page is ready
+    document.dispatchEvent(new CustomEvent('pb-page-ready', { detail: { endpoint: '.' } }));
+    await waitUntil(() => el.shadowRoot.querySelector('.error'), 'error not shown');
+    expect(el.shadowRoot.querySelector('.error').textContent).to.contain(
+      'Unknown authority connector: Unknown',
+    );
+  });
+});
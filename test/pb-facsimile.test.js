@@ -3,7 +3,7 @@ import { cleanup, waitForPage } from './util';
 import sinon from 'sinon';
 
 import '../src/pb-page.js';
-import '../src/pb-facsimile.js';
+import { applyStyle, isValidZone, parsePoints, zoneBounds, zonesOf } from '../src/pb-facsimile.js';
 import '../src/pb-facs-link.js';
 
 describe('pb-facsimile', () => {
@@ -278,3 +278,53 @@ describe('request handling', () => {
     );
   });
 });
+
+describe('zones', () => {
+  it('parses TEI points', () => {
+    expect(parsePoints(' 10,20 30.5,20  30,40 ')).to.deep.equal([
+      [10, 20],
+      [30.5, 20],
+      [30, 40],
+    ]);
+    expect(
+      parsePoints([
+        ['10', '20'],
+        [30, 40],
+      ]),
+    ).to.deep.equal([
+      [10, 20],
+      [30, 40],
+    ]);
+  });
+
+  it('computes the bounds of multiple zones', () => {
+    const zones = zonesOf({
+      zones: [
+        { id: 'z1', coordinates: [100, 200, 400, 50] },
+        { id: 'z2', points: '120,300 500,280 480,360' },
+      ],
+    });
+    expect(zones.every(isValidZone)).to.be.true;
+    expect(zones.map(zone => zoneBounds(zone, 0.5))).to.deep.equal([
+      [50, 100, 200, 25],
+      [60, 140, 190, 40],
+    ]);
+    expect(zonesOf({ coordinates: [1, 2, 3, 4], zone: 'z3' })).to.deep.equal([
+      { id: 'z3', points: undefined, coordinates: [1, 2, 3, 4], style: undefined },
+    ]);
+    expect(isValidZone({ coordinates: [1, 2, 3] })).to.be.false;
+  });
+
+  it('applies the style of each zone', () => {
+    const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+    applyStyle(polygon, { stroke: 'red', 'stroke-width': '3px' });
+    expect(polygon.style.getPropertyValue('stroke')).to.equal('red');
+    expect(polygon.style.getPropertyValue('stroke-width')).to.equal('3px');
+
+    const div = document.createElement('div');
+    applyStyle(div, 'border: 2px solid blue;');
+    expect(div.style.getPropertyValue('border-color')).to.equal('blue');
+    applyStyle(div, undefined);
+    expect(div.getAttribute('style')).to.equal('border: 2px solid blue;');
+  });
+});
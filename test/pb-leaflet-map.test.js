@@ -0,0 +1,184 @@
+/* eslint-disable no-unused-expressions */
+import { expect } from '@open-wc/testing';
+import {
+  areaSelection,
+  clusterWeight,
+  featureLabel,
+  featureStyle,
+  heatmapPoints,
+  periodLabel,
+  toWKT,
+} from '../src/pb-leaflet-map.js';
+import { getAreaParameters } from '../src/utils.js';
+
+function marker(lat, lng, weight) {
+  return {
+    options: weight ? { weight } : {},
+    getLatLng: () => ({ lat, lng }),
+  };
+}
+
+describe('pb-leaflet-map', () => {
+  it('sums up the weights of markers in a cluster', () => {
+    expect(clusterWeight([])).to.equal(0);
+    expect(clusterWeight([marker(46.9, 7.4), marker(47.4, 8.5)])).to.equal(2);
+    expect(
+      clusterWeight([marker(46.9, 7.4, 5), marker(47.4, 8.5), marker(46.2, 6.1, 12)]),
+    ).to.equal(18);
+  });
+
+  it('collects heatmap points from the marker layer', () => {
+    const markers = [marker(46.9, 7.4, 3), marker(47.4, 8.5)];
+    const layer = {
+      eachLayer: callback => markers.forEach(callback),
+    };
+    expect(heatmapPoints(layer)).to.deep.equal([
+      { latlng: { lat: 46.9, lng: 7.4 }, weight: 3 },
+      { latlng: { lat: 47.4, lng: 8.5 }, weight: undefined },
+    ]);
+  });
+
+  it('labels the period of a timeline bin', () => {
+    expect(periodLabel('Y', '1850-01-01', '1851-01-01')).to.equal('1850');
+    expect(periodLabel('10Y', '1850-01-01', '1860-01-01')).to.equal('1850–1859');
+    expect(periodLabel('M', '1850-03-01', '1850-04-01')).to.equal('1850-03');
+    expect(periodLabel('W', '1850-03-04', '1850-03-11')).to.equal('1850-03-04 – 1850-03-10');
+  });
+});
+
+describe('pb-leaflet-map shapes', () => {
+  const feature = {
+    type: 'Feature',
+    properties: { name: 'Lake Zurich', style: { color: 'blue' } },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [8.5, 47.3],
+          [9.1, 47.3],
+          [8.8, 47.6],
+          [8.5, 47.3],
+        ],
+      ],
+    },
+  };
+  let leaflet;
+
+  // stand-in for Leaflet, which is loaded by the map at runtime
+  beforeEach(() => {
+    leaflet = window.L;
+    window.L = {
+      geoJSON: (data, options) => ({
+        options,
+        addTo() {},
+        getBounds: () => ({ isValid: () => false }),
+      }),
+    };
+  });
+
+  afterEach(() => {
+    window.L = leaflet;
+  });
+
+  function clickShape(layer) {
+    const shape = { tooltips: [] };
+    shape.bindTooltip = tooltip => shape.tooltips.push(tooltip);
+    shape.bindPopup = () => {};
+    shape.on = (name, handler) => {
+      shape[name] = handler;
+    };
+    layer.options.onEachFeature(feature, shape);
+    return shape;
+  }
+
+  it('lets features override the style of the layer', () => {
+    const style = { color: 'red', weight: 2 };
+    expect(featureStyle(feature, style)).to.deep.equal({ color: 'blue', weight: 2 });
+    expect(featureStyle({ properties: {} }, style)).to.deep.equal(style);
+    expect(featureStyle(null, style)).to.deep.equal(style);
+  });
+
+  it('labels features by their properties', () => {
+    expect(featureLabel(feature)).to.equal('Lake Zurich');
+    expect(featureLabel({ properties: { label: 'Zürichsee', name: 'Lake Zurich' } })).to.equal(
+      'Zürichsee',
+    );
+    expect(featureLabel({ properties: {} })).to.be.undefined;
+  });
+
+  it('reports clicks on shapes', () => {
+    const map = document.createElement('pb-leaflet-map');
+    map._shapeLayer = {};
+    const details = [];
+    map.addEventListener('pb-leaflet-marker-click', ev => details.push(ev.detail));
+
+    const loc = { label: 'Zürichsee' };
+    let shape = clickShape(
+      map._addShape(feature, { style: { color: 'red' } }, f => ({ element: loc, feature: f })),
+    );
+    expect(shape.tooltips).to.deep.equal(['Lake Zurich']);
+    shape.click();
+    expect(details[0].element).to.equal(loc);
+    expect(details[0].feature).to.equal(feature);
+
+    const other = { ...feature, properties: {} };
+    const detail = { geometry: other, label: 'Zürichsee' };
+    map._showShape(detail);
+    shape = clickShape(map._allShapes[1]);
+    expect(shape.tooltips).to.deep.equal(['Zürichsee']);
+    shape.click();
+    expect(details[1].element).to.be.undefined;
+    expect(details[1].geometry).to.equal(other);
+    expect(details[1].label).to.equal('Zürichsee');
+  });
+});
+
+describe('pb-leaflet-map area selection', () => {
+  const triangle = {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [8.5, 47.3],
+        [9.1234567, 47.3],
+        [8.8, 47.6],
+        [8.5, 47.3],
+      ],
+    ],
+  };
+
+  function layer(geometry) {
+    return {
+      getBounds: () => ({
+        getWest: () => 8.5,
+        getSouth: () => 47.3,
+        getEast: () => 9.1234567,
+        getNorth: () => 47.6,
+      }),
+      toGeoJSON: () => ({ type: 'Feature', properties: {}, geometry }),
+    };
+  }
+
+  it('serializes polygons as WKT', () => {
+    expect(toWKT(triangle)).to.equal('POLYGON((8.5 47.3, 9.123457 47.3, 8.8 47.6, 8.5 47.3))');
+  });
+
+  it('passes the selected area as search parameters', () => {
+    const rectangle = areaSelection(layer(triangle), 'rectangle');
+    expect(rectangle.type).to.equal('rectangle');
+    expect(rectangle.bbox).to.deep.equal([8.5, 47.3, 9.123457, 47.6]);
+    expect(rectangle.params).to.deep.equal({ bbox: '8.5,47.3,9.123457,47.6', polygon: null });
+    expect(getAreaParameters(rectangle.params)).to.deep.equal({ bbox: '8.5,47.3,9.123457,47.6' });
+
+    const polygon = areaSelection(layer(triangle), 'polygon');
+    expect(polygon.geometry).to.equal(triangle);
+    expect(polygon.params.polygon).to.equal(toWKT(triangle));
+  });
+
+  it('clears all search parameters when the selection is removed', () => {
+    const cleared = areaSelection(null);
+    expect(cleared.type).to.be.null;
+    expect(cleared.params).to.deep.equal({ bbox: null, polygon: null });
+    expect(getAreaParameters(cleared.params)).to.be.null;
+    expect(getAreaParameters(null)).to.be.null;
+  });
+});
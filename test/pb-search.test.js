@@ -1,6 +1,8 @@
 /* eslint-disable no-unused-expressions */
 import { fixture, expect } from '@open-wc/testing';
 import { cleanup } from './util.js';
+import { defaultChannel } from '../src/pb-mixin.js';
+import { registry } from '../src/urls.js';
 
 import '../src/pb-search.js';
 
@@ -58,3 +60,35 @@ describe.skip('serialize URL parameters', () => {
     expect(JSON.stringify(teiTargetParam)).to.equal('["tei-text","tei-head"]');
   });
 });
+
+describe('search restricted to an area', () => {
+  let committed;
+
+  // record the state committed instead of changing the URL
+  beforeEach(() => {
+    committed = [];
+    registry.commit = (elem, state) => committed.push(state);
+  });
+
+  afterEach(() => {
+    delete registry.commit;
+    cleanup();
+  });
+
+  function selectArea(params) {
+    document.dispatchEvent(
+      new CustomEvent('pb-leaflet-area-selected', { detail: { key: defaultChannel, params } }),
+    );
+    return committed[committed.length - 1];
+  }
+
+  it('removes the area parameters when the selection is cleared', async () => {
+    await fixture('<pb-search></pb-search>');
+    let state = selectArea({ bbox: '8.5,47.3,9.1,47.6', polygon: null });
+    expect(state.bbox).to.equal('8.5,47.3,9.1,47.6');
+    expect(state.polygon).to.be.null;
+
+    state = selectArea({ bbox: null, polygon: null });
+    expect(state).to.include({ bbox: null, polygon: null, start: 1 });
+  });
+});
@@ -0,0 +1,299 @@
+/* eslint-disable no-unused-expressions */
+import { fixture, expect, oneEvent, waitUntil } from '@open-wc/testing';
+import { cleanup } from './util.js';
+import { defaultChannel } from '../src/pb-mixin.js';
+
+import { AnnotationSync, LocalSyncTransport } from '../src/annotation-sync.js';
+import '../src/pb-view-annotate.js';
+
+describe('pick overlapping annotations', () => {
+  afterEach(cleanup);
+
+  it('shows a menu when clicking on overlapping annotations', async () => {
+    const el = await fixture('<pb-view-annotate></pb-view-annotate>');
+    const view = el.shadowRoot.getElementById('view');
+    const content = document.createElement('div');
+    content.innerHTML = `
+      <span class="annotation annotation-person" data-type="person" data-annotation="{}"
+        >Johann <span class="annotation annotation-place" data-type="place" data-annotation="{}"
+          >&lt;b&gt;Jena</span
+        ></span
+      >
+    `;
+    view.appendChild(content);
+
+    const inner = content.querySelector('[data-type="place"]');
+    // popovers of annotations stop the click from propagating
+    inner.addEventListener('click', ev => ev.stopPropagation());
+    const rect = inner.getBoundingClientRect();
+    inner.dispatchEvent(
+      new MouseEvent('click', {
+        bubbles: true,
+        composed: true,
+        clientX: rect.left + 1,
+        clientY: rect.top + rect.height / 2,
+      }),
+    );
+
+    await waitUntil(() => view.querySelector('.annotation-picker'), 'picker not shown');
+    const buttons = view.querySelectorAll('.annotation-picker button');
+    expect(buttons).to.have.length(2);
+    const labels = Array.from(buttons).map(button => button.textContent);
+    expect(labels).to.include('place: <b>Jena');
+    expect(view.querySelector('.annotation-picker b')).to.not.exist;
+  });
+});
+
+describe('review occurrences', () => {
+  afterEach(cleanup);
+
+  async function annotateView() {
+    const el = await fixture('<pb-view-annotate></pb-view-annotate>');
+    const content = document.createElement('div');
+    content.innerHTML = `
+      <p data-tei="1.4">Johann wrote to &lt;img src=x onerror=alert(1)&gt; Johann and
+        <span class="annotation annotation-person" data-tei="1.4.2" data-type="person"
+          data-annotation='{"ref":"old"}'>Johann</span>.</p>
+    `;
+    el.shadowRoot.getElementById('view').appendChild(content);
+    return el;
+  }
+
+  it('returns the context of occurrences as plain text', async () => {
+    const el = await annotateView();
+    const occurrences = el.findOccurrences('person', ['Johann'], { ref: 'p1' });
+    expect(occurrences).to.have.length(3);
+    expect(occurrences.map(occurrence => occurrence.match)).to.deep.equal([
+      'Johann',
+      'Johann',
+      'Johann',
+    ]);
+    expect(occurrences[1].before).to.contain('onerror=alert(1)>');
+    expect(occurrences[1].kwic).to.contain('alert(1)&gt;');
+    expect(occurrences.map(occurrence => occurrence.annotated)).to.deep.equal([false, false, true]);
+    expect(occurrences[2].existing).to.equal('old');
+  });
+
+  it('applies occurrences as a single undo step', async () => {
+    const el = await annotateView();
+    const view = el.shadowRoot.getElementById('view');
+    const occurrences = el.findOccurrences('person', ['Johann'], { ref: 'p1' });
+    expect(el._history.canUndo).to.be.false;
+
+    el.applyOccurrences('person', occurrences);
+
+    const spans = view.querySelectorAll('.annotation-person');
+    expect(spans).to.have.length(3);
+    spans.forEach(span => expect(JSON.parse(span.dataset.annotation).ref).to.equal('p1'));
+    expect(el.annotations.filter(range => range.type === 'person')).to.have.length(2);
+    expect(el.annotations.filter(range => range.type === 'modify')).to.have.length(1);
+
+    expect(el._history.entries).to.have.length(1);
+    expect(el._history.undo(el.annotations)).to.deep.equal([]);
+  });
+});
+
+describe('sync annotations', () => {
+  afterEach(cleanup);
+
+  const person = { context: '1.4.2', start: 0, end: 6, type: 'person', properties: { ref: 'p1' } };
+  const place = { context: '1.4.4', start: 3, end: 7, type: 'place', properties: { ref: 'l1' } };
+
+  async function syncView(transport) {
+    const el = await fixture('<pb-view-annotate sync></pb-view-annotate>');
+    el.syncTransport = transport;
+    el.getDocument = () => ({ path: 'letter.xml' });
+    // do not reload the content from the server after merging
+    el._refresh = () => {};
+    return el;
+  }
+
+  it('loads the annotations shared on the server once', async () => {
+    const transport = new LocalSyncTransport();
+    await transport.save('letter.xml', { revision: null, ranges: [person] });
+    const el = await syncView(transport);
+
+    await el._loadShared();
+    expect(el.annotations).to.deep.equal([person]);
+    expect(el._getSync().revision).to.equal(1);
+
+    await transport.save('letter.xml', { revision: 1, ranges: [place] });
+    await el._loadShared();
+    expect(el.annotations).to.deep.equal([person]);
+  });
+
+  it('saves and merges changes of other users', async () => {
+    const transport = new LocalSyncTransport();
+    const el = await syncView(transport);
+    await el._loadShared();
+
+    el._ranges = [person];
+    setTimeout(() => el.saveShared());
+    let ev = await oneEvent(document, 'pb-annotations-synced');
+    expect(ev.detail.status).to.equal('saved');
+    expect(ev.detail.revision).to.equal(1);
+
+    const other = new AnnotationSync(transport);
+    await other.load('letter.xml');
+    await other.save('letter.xml', [person, place]);
+
+    el._ranges = [];
+    setTimeout(() => el.saveShared());
+    ev = await oneEvent(document, 'pb-annotations-synced');
+    expect(ev.detail.status).to.equal('merged');
+    expect(ev.detail.revision).to.equal(3);
+    expect(el.annotations).to.deep.equal([place]);
+  });
+
+  it('reports conflicts and saves the resolution', async () => {
+    const transport = new LocalSyncTransport();
+    const el = await syncView(transport);
+    await el._loadShared();
+
+    const other = new AnnotationSync(transport);
+    await other.load('letter.xml');
+    const remote = { ...person, properties: { ref: 'p2' } };
+    await other.save('letter.xml', [remote]);
+
+    el._ranges = [person];
+    setTimeout(() => el.saveShared());
+    let ev = await oneEvent(document, 'pb-annotations-conflict');
+    expect(ev.detail.conflicts).to.deep.equal([{ local: person, remote }]);
+
+    setTimeout(() =>
+      document.dispatchEvent(
+        new CustomEvent('pb-annotations-resolve', {
+          detail: { key: defaultChannel, choices: ['remote'] },
+        }),
+      ),
+    );
+    ev = await oneEvent(document, 'pb-annotations-synced');
+    expect(ev.detail.status).to.equal('merged');
+    expect(el.annotations).to.deep.equal([remote]);
+    const stored = await transport.load('letter.xml');
+    expect(stored.ranges).to.deep.equal([remote]);
+  });
+});
+
+describe('orphaned annotations', () => {
+  afterEach(cleanup);
+
+  const person = () => ({
+    context: '1.4',
+    start: 5,
+    end: 11,
+    type: 'person',
+    text: 'Johann',
+    properties: { ref: 'p1' },
+    quote: { exact: 'Johann', prefix: 'Dear ', suffix: ', gr' },
+  });
+  const place = () => ({
+    context: '1.4',
+    start: 26,
+    end: 35,
+    type: 'place',
+    text: 'Stuttgart',
+    properties: { ref: 'l1' },
+    quote: { exact: 'Stuttgart', prefix: 'from ', suffix: '.' },
+  });
+
+  async function annotateView() {
+    const el = await fixture('<pb-view-annotate></pb-view-annotate>');
+    const content = document.createElement('div');
+    content.innerHTML = '<p data-tei="1.4">My dear Johann, greetings from Jena.</p>';
+    el.shadowRoot.getElementById('view').appendChild(content);
+    return el;
+  }
+
+  async function orphanView() {
+    const el = await annotateView();
+    const orphan = place();
+    setTimeout(() => {
+      el.annotations = [person(), orphan];
+    });
+    const ev = await oneEvent(document, 'pb-annotations-orphaned');
+    return { el, orphan, orphans: ev.detail.orphans };
+  }
+
+  it('re-anchors annotations to the changed text', async () => {
+    const el = await annotateView();
+    const context = el._findContext('1.4');
+    const moved = person();
+    expect(el._anchorRange(moved, context)).to.equal('moved');
+    expect(moved.start).to.equal(8);
+    expect(moved.end).to.equal(14);
+    expect(moved.quote.prefix).to.contain('dear ');
+
+    expect(el._anchorRange(moved, context)).to.equal('anchored');
+    expect(el._anchorRange({ ...place(), quote: undefined }, context)).to.equal('anchored');
+    expect(el._anchorRange(place(), context)).to.equal('orphaned');
+
+    const insertion = {
+      context: '1.4',
+      start: 2,
+      end: 2,
+      quote: { exact: '', prefix: 'dear ', suffix: 'Johann' },
+    };
+    expect(el._anchorRange(insertion, context)).to.equal('moved');
+    expect(insertion.start).to.equal(8);
+  });
+
+  it('reports annotations which cannot be re-anchored', async () => {
+    const { el, orphan, orphans } = await orphanView();
+    expect(orphans).to.deep.equal([orphan]);
+    expect(el.orphanedAnnotations).to.deep.equal([orphan]);
+    expect(el.annotations).to.have.length(1);
+    expect(el.annotations[0].start).to.equal(8);
+    const view = el.shadowRoot.getElementById('view');
+    expect(view.querySelector('.annotation-person').textContent).to.equal('Johann');
+    expect(view.querySelector('.annotation-place')).to.not.exist;
+  });
+
+  it('reattaches orphans to the selected text', async () => {
+    const { el, orphan } = await orphanView();
+    const text = Array.from(el._findContext('1.4').childNodes).find(node =>
+      node.textContent.includes('Jena'),
+    );
+    const range = document.createRange();
+    const start = text.textContent.indexOf('Jena');
+    range.setStart(text, start);
+    range.setEnd(text, start + 4);
+    el._currentSelection = range;
+
+    setTimeout(() =>
+      document.dispatchEvent(
+        new CustomEvent('pb-reattach-orphan', { detail: { key: defaultChannel, orphan } }),
+      ),
+    );
+    const ev = await oneEvent(document, 'pb-annotations-orphaned');
+    expect(ev.detail.orphans).to.be.empty;
+    const reattached = el.annotations.find(annotation => annotation.type === 'place');
+    expect(reattached.text).to.equal('Jena');
+    expect(reattached.properties).to.deep.equal({ ref: 'l1' });
+    expect(el.shadowRoot.querySelector('.annotation-place').textContent).to.equal('Jena');
+  });
+
+  it('discards orphans', async () => {
+    const { el, orphan } = await orphanView();
+    setTimeout(() =>
+      document.dispatchEvent(
+        new CustomEvent('pb-discard-orphan', { detail: { key: defaultChannel, orphan } }),
+      ),
+    );
+    const ev = await oneEvent(document, 'pb-annotations-orphaned');
+    expect(ev.detail.orphans).to.be.empty;
+    expect(el.annotations).to.have.length(1);
+  });
+
+  it('forgets orphans when the document is refreshed', async () => {
+    const { el } = await orphanView();
+    // do not reload the content from the server
+    el._refresh = () => {};
+    setTimeout(() =>
+      document.dispatchEvent(new CustomEvent('pb-refresh', { detail: { key: defaultChannel } })),
+    );
+    const ev = await oneEvent(document, 'pb-annotations-orphaned');
+    expect(ev.detail.orphans).to.be.empty;
+    expect(el.orphanedAnnotations).to.be.empty;
+  });
+});
@@ -5,7 +5,7 @@ import { defaultChannel } from '../src/pb-mixin.js';
 
 import '../src/pb-document.js';
 import '../src/pb-page.js';
-import '../src/pb-view.js';
+import { alignKeys } from '../src/pb-view.js';
 
 describe('initialize and refresh view', () => {
   afterEach(cleanup);
@@ -99,3 +99,43 @@ describe('initialize and refresh view', () => {
     expect(notes.innerHTML).to.contain('brata');
   });
 });
+
+describe('align views', () => {
+  function segment(value) {
+    const elem = document.createElement('div');
+    if (value !== null) {
+      elem.setAttribute('data-align', value);
+    }
+    return elem;
+  }
+
+  it('reads alignment keys from an attribute', () => {
+    expect(alignKeys(segment(null), 'data-align')).to.deep.equal([]);
+    expect(alignKeys(segment(''), 'data-align')).to.deep.equal([]);
+    expect(alignKeys(segment('s1'), 'data-align')).to.deep.equal(['s1']);
+    expect(alignKeys(segment('#s1 #s2'), 'data-align')).to.deep.equal(['s1', 's2']);
+  });
+
+  it('extracts alignment keys with a pattern', () => {
+    expect(alignKeys(segment('trans.xml#p1 trans.xml#p2'), 'data-align', /#(.+)$/)).to.deep.equal([
+      'p1',
+      'p2',
+    ]);
+    expect(alignKeys(segment('p1 other'), 'data-align', /^p\d+$/)).to.deep.equal(['p1']);
+  });
+
+  it('compiles the alignment pattern only when it changes', () => {
+    const view = document.createElement('pb-view');
+    view.align = 'data-align';
+    view.alignPattern = '#(.+)$';
+    expect(view._alignKeys(segment('trans.xml#p1'))).to.deep.equal(['p1']);
+    const regexp = view._alignRegExp;
+    view._alignKeys(segment('trans.xml#p2'));
+    expect(view._alignRegExp).to.equal(regexp);
+
+    view.alignPattern = '^(p\\d+)$';
+    expect(view._alignKeys(segment('p3 #p4'))).to.deep.equal(['p3']);
+    view.alignPattern = null;
+    expect(view._alignKeys(segment('p3 #p4'))).to.deep.equal(['p3', 'p4']);
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from '@open-wc/testing';
+import { SearchResultService, parseUncertainDate } from '../src/search-result-service.js';
+
+describe('search result service', () => {
+  it('sums counts per bin', () => {
+    const service = new SearchResultService({
+      '1874-01-25': 2,
+      '1874-03-01': { count: 3, info: ['<a>letter</a>'] },
+      '1876-05-12': 1,
+    });
+    const exported = service.export('Y');
+    expect(exported.data.map(bin => bin.value)).to.deep.equal([5, 0, 1]);
+    expect(exported.data[0].info).to.have.length(1);
+    expect(exported.series).to.deep.equal([]);
+  });
+
+  it('sums counts per series', () => {
+    const service = new SearchResultService({
+      '1874-01-25': { series: { Escher: 2, Mevissen: 1 } },
+      '1875-03-01': { count: 4, series: { Mevissen: 4 } },
+      '0000-00-00': { series: { Weishaupt: 1 } },
+    });
+    const exported = service.export('Y');
+    expect(exported.series).to.deep.equal(['Escher', 'Mevissen', 'Weishaupt']);
+    expect(exported.data.map(bin => bin.value)).to.deep.equal([3, 4, 1]);
+    expect(exported.data[0].series).to.deep.equal({ Escher: 2, Mevissen: 1 });
+    expect(exported.data[2].category).to.equal('?');
+    expect(exported.data[2].series).to.deep.equal({ Weishaupt: 1 });
+  });
+
+  it('parses uncertain dates and intervals', () => {
+    expect(parseUncertainDate('1850~')).to.deep.equal({ start: '1850-01-01', end: '1850-12-31' });
+    expect(parseUncertainDate('1850-02')).to.deep.equal({ start: '1850-02-01', end: '1850-02-28' });
+    expect(parseUncertainDate('1850-00-00')).to.deep.equal({
+      start: '1850-01-01',
+      end: '1850-12-31',
+    });
+    expect(parseUncertainDate('1850/1852-06')).to.deep.equal({
+      start: '1850-01-01',
+      end: '1852-06-30',
+    });
+    expect(parseUncertainDate('../1860')).to.deep.equal({ start: null, end: '1860-12-31' });
+    expect(parseUncertainDate('1860/1850')).to.be.null;
+    expect(parseUncertainDate('0000-00-00')).to.be.null;
+    expect(parseUncertainDate('?')).to.be.null;
+  });
+
+  it('spreads uncertain dates across bins', () => {
+    const service = new SearchResultService({
+      '1850-06-01': 4,
+      '1850/1851': { count: 2, series: { Escher: 2 } },
+      '../1852': 3,
+      '?': 1,
+    });
+    const exported = service.export('Y');
+    expect(exported.data.map(bin => bin.category)).to.deep.equal(['1850', '1851', '1852', '?']);
+    expect(exported.data[0].value).to.be.closeTo(6, 0.01);
+    expect(exported.data[0].uncertain).to.be.closeTo(2, 0.01);
+    expect(exported.data[1].uncertainSeries.Escher).to.be.closeTo(1, 0.01);
+    expect(exported.data[2].value).to.be.closeTo(1, 0.01);
+    expect(exported.data[3].value).to.equal(1);
+    const total = exported.data.reduce((sum, bin) => sum + bin.value, 0);
+    expect(total).to.be.closeTo(10, 0.001);
+  });
+
+  it('counts dates with unknown month or day as unknown', () => {
+    const service = new SearchResultService({
+      '1850-00-00': 2,
+      '1850-05-00': 1,
+      '1851-03-01': 1,
+    });
+    const exported = service.export('Y');
+    expect(exported.data.map(bin => bin.category)).to.deep.equal(['1851', '?']);
+    expect(exported.data[1].value).to.equal(3);
+  });
+
+  it('chooses the scope for a zoomed range and restricts bins to it', () => {
+    const service = new SearchResultService({
+      '1700-05-01': 1,
+      '1850-03-02': 2,
+      '1850-06-01': 3,
+      '1990-01-01': 1,
+    });
+    expect(service.getScopeForRange('1800-01-01', '1900-01-01')).to.equal('5Y');
+    expect(service.getScopeForRange('1850-01-01', '1860-01-01')).to.equal('Y');
+    expect(service.getScopeForRange('1850-03-01', '1850-04-01')).to.equal('D');
+    expect(service.getStartOfRangeDate('M', '1850-03-20')).to.equal('1850-03-01');
+
+    service.setRange('1850-01-01', '1851-01-01');
+    const exported = service.export('M');
+    expect(exported.data).to.have.length(12);
+    expect(exported.data[11].dateStr).to.equal('1850-12-01');
+    expect(exported.data.reduce((sum, bin) => sum + bin.value, 0)).to.equal(5);
+  });
+});
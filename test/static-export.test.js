@@ -0,0 +1,118 @@
+import { expect } from '@open-wc/testing';
+import { crawl, serializeExport, staticIndexKey } from '../src/static-export.js';
+
+const fragments = {
+  1.4: { root: '1.4', next: '1.6', content: 'one' },
+  1.6: { root: '1.6', previous: '1.4', next: '1.8', nextId: 'chapter3', content: 'two' },
+  chapter3: { root: '1.8', previous: '1.6', content: 'three' },
+};
+
+/**
+ * Simulates a pb-view loading the fragments above.
+ */
+class FakeView extends EventTarget {
+  constructor() {
+    super();
+    this.nodeId = '1.6';
+    this.disableHistory = false;
+  }
+
+  querySelectorAll() {
+    const param = document.createElement('pb-param');
+    param.setAttribute('name', 'mode');
+    return [param];
+  }
+
+  getOdd() {
+    return 'letters';
+  }
+
+  getEndpoint() {
+    return 'https://example.com';
+  }
+
+  goto(root) {
+    this._load(root ? { root } : {}, fragments[root || '1.4']);
+  }
+
+  navigate() {
+    if (this.nextId) {
+      this._load({ id: this.nextId }, fragments[this.nextId]);
+    } else {
+      this._load({ root: this.next }, fragments[this.next]);
+    }
+  }
+
+  _load(position, data) {
+    const params = { odd: 'letters.odd', view: 'div', 'user.mode': 'a', ...position };
+    this.next = data.next;
+    this.nextId = data.nextId;
+    setTimeout(() =>
+      this.dispatchEvent(new CustomEvent('pb-update', { detail: { _source: this, data, params } })),
+    );
+  }
+}
+
+describe('static export', () => {
+  const { fetch } = window;
+
+  afterEach(() => {
+    window.fetch = fetch;
+  });
+
+  it('creates index keys from the given parameters', () => {
+    const params = { view: 'div', odd: 'letters.odd', root: '1.4', doc: 'letter.xml' };
+    expect(staticIndexKey(params, ['odd', 'view', 'xpath', 'root'])).to.equal(
+      'odd=letters.odd&root=1.4&view=div',
+    );
+    expect(staticIndexKey(params, ['odd', 'view'])).to.equal('odd=letters.odd&view=div');
+  });
+
+  it('records all fragments of a document', async () => {
+    window.fetch = () => Promise.resolve(new Response('.tei-p { color: red; }'));
+    const view = new FakeView();
+    const progress = [];
+    const { index, files } = await crawl(view, { onProgress: p => progress.push(p.fragments) });
+
+    expect(progress).to.deep.equal([1, 2, 3]);
+    expect(view.disableHistory).to.be.false;
+    expect(Object.keys(index)).to.have.members([
+      'odd=letters.odd&user.mode=a&view=div',
+      'odd=letters.odd&root=1.4&user.mode=a&view=div',
+      'odd=letters.odd&root=1.6&user.mode=a&view=div',
+      'id=chapter3&odd=letters.odd&user.mode=a&view=div',
+    ]);
+    expect(index['odd=letters.odd&root=1.4&user.mode=a&view=div']).to.equal(
+      index['odd=letters.odd&user.mode=a&view=div'],
+    );
+    const third = index['id=chapter3&odd=letters.odd&user.mode=a&view=div'];
+    expect(JSON.parse(files.get(third)).content).to.equal('three');
+    expect(files.get('css/letters.css')).to.equal('.tei-p { color: red; }');
+    expect(files.size).to.equal(4);
+  });
+
+  it('waits for the view to finish loading before starting', async () => {
+    window.fetch = () => Promise.resolve(new Response('', { status: 404 }));
+    const view = new FakeView();
+    // pb-view ignores requests while loading
+    view._loading = true;
+    const { goto } = view;
+    view.goto = root => {
+      if (!view._loading) {
+        goto.call(view, root);
+      }
+    };
+    setTimeout(() => {
+      view._loading = false;
+      view.dispatchEvent(new CustomEvent('pb-end-update', { detail: { _source: view } }));
+    }, 10);
+
+    const result = await crawl(view, { timeout: 1000 });
+    expect(Object.keys(result.index)).to.have.length(4);
+    expect(result.files.has('css/letters.css')).to.be.false;
+
+    const serialized = JSON.parse(JSON.stringify(serializeExport(result)));
+    expect(serialized.index).to.deep.equal(result.index);
+    expect(Object.keys(serialized.files)).to.have.members([...result.files.keys()]);
+  });
+});
@@ -0,0 +1,38 @@
+import { expect } from '@open-wc/testing';
+import { anchorQuote, approximateMatches } from '../src/text-anchor.js';
+
+const text = 'Brief von Ernst Müller an Ernst Meyer, geschrieben in Berlin am 3. Mai.';
+
+describe('text anchoring', () => {
+  it('finds approximate matches', () => {
+    const matches = approximateMatches(text, 'Berlim', 1);
+    expect(matches).to.have.length(1);
+    expect(matches[0]).to.deep.equal({ start: 54, end: 60, errors: 1 });
+    expect(approximateMatches(text, 'Hamburg', 1)).to.be.empty;
+  });
+
+  it('re-anchors a changed quote', () => {
+    const match = anchorQuote(
+      text,
+      { exact: 'Ernst Meier', prefix: 'Müller an ', suffix: ', geschrieben' },
+      { hint: 30 },
+    );
+    expect(match).to.deep.equal({ start: 26, end: 37, errors: 1 });
+  });
+
+  it('uses prefix and suffix to choose between candidates', () => {
+    expect(anchorQuote(text, { exact: 'Ernst', prefix: 'Müller an ' })).to.include({
+      start: 26,
+      end: 31,
+    });
+    expect(anchorQuote(text, { exact: 'Ernst', suffix: ' Müller' })).to.include({
+      start: 10,
+      end: 15,
+    });
+  });
+
+  it('rejects quotes exceeding the tolerance', () => {
+    expect(anchorQuote(text, { exact: 'Ernst Maier' }, { tolerance: 0 })).to.be.null;
+    expect(anchorQuote(text, { exact: 'Hamburg' })).to.be.null;
+  });
+});
@@ -0,0 +1,130 @@
+import { expect } from '@open-wc/testing';
+import {
+  toWebAnnotation,
+  fromWebAnnotation,
+  toAnnotationCollection,
+  annotationsFromJson,
+  findQuote,
+} from '../src/web-annotation.js';
+
+const text = 'Brief von Ernst Müller an Ernst Meier, geschrieben in Berlin.';
+
+const teiRange = {
+  context: '1.4.2.2',
+  start: 26,
+  end: 37,
+  text: 'Ernst Meier',
+  type: 'person',
+  properties: {
+    ref: 'https://d-nb.info/gnd/118580604',
+    role: 'addressee',
+  },
+};
+
+describe('web annotation conversion', () => {
+  it('exports position and quote selectors', () => {
+    const annotation = toWebAnnotation(teiRange, {
+      source: 'https://example.com/api/document/letter.xml',
+      key: 'ref',
+      text,
+    });
+    expect(annotation.type).to.equal('Annotation');
+    expect(annotation.motivation).to.equal('identifying');
+    expect(annotation.target.source).to.equal('https://example.com/api/document/letter.xml');
+    expect(annotation.target.selector).to.have.length(2);
+
+    const [position, quote] = annotation.target.selector;
+    expect(position.type).to.equal('FragmentSelector');
+    expect(position.value).to.equal('1.4.2.2');
+    expect(position.refinedBy).to.deep.equal({
+      type: 'TextPositionSelector',
+      start: 26,
+      end: 37,
+    });
+    expect(quote.refinedBy.type).to.equal('TextQuoteSelector');
+    expect(quote.refinedBy.exact).to.equal('Ernst Meier');
+    expect(quote.refinedBy.prefix).to.equal('Brief von Ernst Müller an ');
+    expect(quote.refinedBy.suffix).to.equal(', geschrieben in Berlin.');
+
+    const tagging = annotation.body.find(body => body.purpose === 'tagging');
+    expect(tagging.value).to.equal('person');
+    const identifying = annotation.body.find(body => body.purpose === 'identifying');
+    expect(identifying.source).to.equal('https://d-nb.info/gnd/118580604');
+    const describing = annotation.body.find(body => body.purpose === 'describing');
+    expect(JSON.parse(describing.value)).to.deep.equal({ role: 'addressee' });
+  });
+
+  it('round-trips an annotation range', () => {
+    const annotation = toWebAnnotation(teiRange, { source: 'letter.xml', key: 'ref', text });
+    const imported = fromWebAnnotation(annotation, { key: 'ref' });
+    expect(imported.context).to.equal(teiRange.context);
+    expect(imported.start).to.equal(teiRange.start);
+    expect(imported.end).to.equal(teiRange.end);
+    expect(imported.type).to.equal(teiRange.type);
+    expect(imported.text).to.equal(teiRange.text);
+    expect(imported.properties).to.deep.equal(teiRange.properties);
+  });
+
+  it('imports quote-only annotations', () => {
+    const imported = fromWebAnnotation(
+      {
+        type: 'Annotation',
+        body: { type: 'TextualBody', purpose: 'tagging', value: 'place' },
+        target: {
+          source: 'letter.xml',
+          selector: {
+            type: 'FragmentSelector',
+            value: '1.4.2.2',
+            refinedBy: { type: 'TextQuoteSelector', exact: 'Berlin' },
+          },
+        },
+      },
+      { key: 'ref' },
+    );
+    expect(imported.start).to.be.undefined;
+    expect(imported.quote.exact).to.equal('Berlin');
+    expect(findQuote(text, imported.quote)).to.deep.equal({ start: 54, end: 60 });
+  });
+
+  it('ignores annotations without a TEI node', () => {
+    const imported = fromWebAnnotation(
+      {
+        type: 'Annotation',
+        body: 'person',
+        target: 'https://example.com/image.jpg',
+      },
+      { key: 'ref' },
+    );
+    expect(imported).to.be.null;
+  });
+
+  it('skips annotations with malformed properties', () => {
+    const annotation = toWebAnnotation(teiRange, { source: 'letter.xml', key: 'ref', text });
+    annotation.body.find(body => body.purpose === 'describing').value = '{role: addressee';
+    expect(fromWebAnnotation(annotation, { key: 'ref' })).to.be.null;
+  });
+
+  it('uses prefix and suffix to disambiguate quotes', () => {
+    expect(findQuote(text, { exact: 'Ernst', prefix: 'an ' })).to.deep.equal({
+      start: 26,
+      end: 31,
+    });
+    expect(findQuote(text, { exact: 'Ernst', suffix: ' Müller' })).to.deep.equal({
+      start: 10,
+      end: 15,
+    });
+    expect(findQuote(text, { exact: 'Hamburg' })).to.be.null;
+  });
+
+  it('reads annotation collections', () => {
+    const annotation = toWebAnnotation(teiRange, { source: 'letter.xml', key: 'ref', text });
+    const collection = toAnnotationCollection([annotation, annotation], 'letter.xml');
+    expect(collection.type).to.equal('AnnotationCollection');
+    expect(collection.total).to.equal(2);
+    expect(collection.first.items[0]['@context']).to.be.undefined;
+    expect(annotationsFromJson(collection)).to.have.length(2);
+    expect(annotationsFromJson(collection.first)).to.have.length(2);
+    expect(annotationsFromJson(annotation)).to.have.length(1);
+    expect(annotationsFromJson([annotation, collection])).to.have.length(3);
+  });
+});